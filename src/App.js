@@ -1,10 +1,52 @@
 // src/App.js
-import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import React, { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import * as d3 from 'd3';
 import * as XLSX from 'xlsx';
 import InteractiveDCAChart from './InteractiveDCAChart';
 import DualRangeSlider from './DualRangeSlider';
-import { detectDateColumn } from './dca';
+import WellSelector from './WellSelector';
+import EconomicsPanel from './EconomicsPanel';
+import ForecastTable from './ForecastTable';
+import DeclineInput from './DeclineInput';
+import NumberInput from './NumberInput';
+import ParameterForm from './ParameterForm';
+import HistoryPanel from './HistoryPanel';
+import ColumnMappingDialog from './ColumnMappingDialog';
+import ImportReport from './ImportReport';
+import SheetPicker from './SheetPicker';
+import TypeCurvePanel from './TypeCurvePanel';
+import BacktestPanel from './BacktestPanel';
+import ModelRankingPanel from './ModelRankingPanel';
+import { AUTO_MODEL } from './model-selection';
+import { FIT_START_METHODS, DEFAULT_FIT_START } from './fit-start';
+import { detectDowntimeColumn } from './dca';
+import {
+  effectiveAnnualToNominalDaily, detectStepChanges, DAYS_PER_YEAR, MAX_B_TERMINAL, DECLINE_UNITS
+} from './dca-utilities';
+import {
+  DECLINE_MODELS, DECLINE_MODEL_IDS, DEFAULT_MODEL, RATIO_KINDS, paramsInDeclineUnit, stdErrorsInDeclineUnit, paramLabel
+} from './decline-models';
+import { DEFAULT_ECONOMICS, DAYS_PER_MONTH, MAX_ECONOMIC_MONTHS, runEconomics } from './economics';
+import { monthlyHistory, buildMonthlyTable } from './forecast-table';
+import { sheetSummaries, sheetsToCsv } from './workbook-import';
+import { DEFAULT_BACKTEST } from './backtest';
+import { loadTypeCurves, saveTypeCurve, deleteTypeCurve } from './type-curves';
+import { DATE_FORMATS, parseDates, isoDay } from './date-parsing';
+import { EMPTY_HISTORY, isNewState, recordEntry, moveTo, nameEntry } from './edit-history';
+import { DEFAULT_EXCLUSION_RULES } from './exclusions';
+import { RATE_UNITS, TIME_BASES, detectRateUnits, normalizeRows } from './normalization';
+import {
+  detectMapping, phaseColumnsOf, headerSignature, loadProfiles, saveProfile, deleteProfile, findProfile, validMapping
+} from './column-mapping';
+
+// Stable fallback so a well without stored curves doesn't re-trigger chart effects.
+const EMPTY_PHASE_PARAMS = {};
+const EMPTY_BREAKPOINTS = [];
+const EMPTY_LOCKS = {};
+const EMPTY_EXCLUSIONS = {};
+// A curve state is recorded once it has stopped changing for this long, so a drag or a
+// burst of typing becomes one history entry.
+const HISTORY_SETTLE_MS = 400;
 
 function App() {
   const [dataString, setDataString] = useState('');
@@ -29,9 +71,91 @@ function App() {
     pressure: "#000000"
   });
   const [yScaleType, setYScaleType] = useState("linear");
+  // X axis of the chart: "time" (rate vs date) or "cumulative" (rate vs Np).
+  const [plotMode, setPlotMode] = useState("time");
   const [forecastDays, setForecastDays] = useState(90);
+  // Auto-fit bounds (D as nominal fraction per day) and residual space.
+  const [fitBounds, setFitBounds] = useState({ bMin: 0, bMax: MAX_B_TERMINAL, dMin: 0.00001, dMax: 1 });
+  const [fitLogSpace, setFitLogSpace] = useState(false);
+  const [fitSpace, setFitSpace] = useState("time");
+  // Where fits start by default, before a start date is locked (see fit-start.js).
+  const [fitStartMethod, setFitStartMethod] = useState(DEFAULT_FIT_START);
+  // Decline model per phase (see decline-models.js), or AUTO_MODEL for the best-ranked one
+  // (see model-selection.js); Dmin applies to modified hyperbolic.
+  const [phaseModels, setPhaseModels] = useState({
+    oil: DEFAULT_MODEL,
+    water: DEFAULT_MODEL,
+    gas: DEFAULT_MODEL,
+    pressure: DEFAULT_MODEL
+  });
+  // Gas and water may instead follow the oil forecast through a ratio ("rate" = own curve).
+  const [ratioModes, setRatioModes] = useState({
+    gas: { kind: "rate", basis: "time" },
+    water: { kind: "rate", basis: "time" }
+  });
+  // Terminal decline as nominal per day, 6%/yr effective by default.
+  const [terminalDecline, setTerminalDecline] = useState(() => effectiveAnnualToNominalDaily(0.06));
+  // Unit decline rates are shown and typed in (see DECLINE_UNITS); they are stored nominal per day.
+  const [declineUnit, setDeclineUnit] = useState("secant");
+  // Pressure: right-hand axis or stacked panel, raw or rate-normalized, and no decline fit
+  // unless asked for. Initial pressure 0 uses the well's first reading.
+  const [pressureDisplay, setPressureDisplay] = useState("axis");
+  const [pressureOverlay, setPressureOverlay] = useState("pressure");
+  const [fitPressure, setFitPressure] = useState(false);
+  const [initialPressure, setInitialPressure] = useState(0);
+  // Probabilistic mode: number of bootstrap samples behind the P10/P50/P90 bands.
+  const [probabilisticEnabled, setProbabilisticEnabled] = useState(false);
+  const [probabilisticSamples, setProbabilisticSamples] = useState(100);
+  // Bumped by "Run bootstrap"; the bands are only computed on request, being hundreds of refits.
+  const [probabilisticRun, setProbabilisticRun] = useState(0);
+  // EUR cut-offs: economic limit rate per phase (0 = none) and maximum well life in years.
+  const [economicLimits, setEconomicLimits] = useState({ oil: 5, water: 0, gas: 20 });
+  const [maxWellLifeYears, setMaxWellLifeYears] = useState(30);
+  // Economics: cash-flow inputs, and whether its economic limit truncates the forecast.
+  const [showEconomics, setShowEconomics] = useState(false);
+  const [economicInputs, setEconomicInputs] = useState(DEFAULT_ECONOMICS);
+  const [applyEconomicLimit, setApplyEconomicLimit] = useState(true);
+  const [showForecastTable, setShowForecastTable] = useState(false);
+  const [showTypeCurves, setShowTypeCurves] = useState(false);
+  const [showBacktest, setShowBacktest] = useState(false);
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [showModelRanking, setShowModelRanking] = useState(false);
+  const [selectionCriterion, setSelectionCriterion] = useState("aicc");
+  const [backtestSettings, setBacktestSettings] = useState(DEFAULT_BACKTEST);
+  // Bumped by the panel's Run button; like the bootstrap, hindcasts only run on request.
+  const [backtestRun, setBacktestRun] = useState(0);
+  const [typeCurves, setTypeCurves] = useState(() => loadTypeCurves());
+  const [showHistory, setShowHistory] = useState(false);
+  // Undo/redo stacks of curve parameters, per well (see edit-history).
+  const [editHistory, setEditHistory] = useState({});
+  // Label for the next recorded state, set by the action that causes it.
+  const pendingEditRef = useRef(null);
+  // While armed, a click on the chart adds a segment breakpoint at that date.
+  const [breakpointMode, setBreakpointMode] = useState(false);
+  const [lassoMode, setLassoMode] = useState(false);
+  // Rate or period volume per phase column ('' = detected), the days-on column ('' =
+  // detected) and whether the chart runs on calendar or producing days.
+  const [rateUnitChoices, setRateUnitChoices] = useState({});
+  const [daysOnChoice, setDaysOnChoice] = useState('');
+  const [timeBasis, setTimeBasis] = useState('calendar');
+  // Column mapping chosen in the dialog or from a saved profile (null = detected).
+  const [mappingOverride, setMappingOverride] = useState(null);
+  const [showMapping, setShowMapping] = useState(false);
+  const [mappingProfiles, setMappingProfiles] = useState(() => loadProfiles());
+  const [appliedProfile, setAppliedProfile] = useState(null);
+  const [dateFormat, setDateFormat] = useState('auto');
+  const [pendingWorkbook, setPendingWorkbook] = useState(null);
+  // Sheets imported as wells name the well column for the next mapping.
+  const sheetWellColumnRef = useRef(null);
+  // The bundled sample data has known headers, so loading it doesn't ask for a mapping.
+  const promptMappingRef = useRef(true);
   const [chartKey, setChartKey] = useState(0);
 
+  // Fitted or hand-dragged curves, kept per well: { [well]: { phaseParams, autoFitEnabled, breakpoints } },
+  // where breakpoints are [{ date: "YYYY-MM-DD", model (null = phase model) }].
+  const [wellParams, setWellParams] = useState({});
+  const [selectedWell, setSelectedWell] = useState(null);
+
   const [chartParams, setChartParams] = useState(null);
   const [sixtyDayAverages, setSixtyDayAverages] = useState(null);
   const [sixtyDayJSON, setSixtyDayJSON] = useState("");
@@ -100,10 +224,11 @@ function App() {
       reader.onload = ev => {
         const data = new Uint8Array(ev.target.result);
         const workbook = XLSX.read(data, { type: 'array' });
-        const firstSheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[firstSheetName];
-        const csv = XLSX.utils.sheet_to_csv(worksheet);
-        setDataString(csv);
+        if (workbook.SheetNames.length > 1) {
+          setPendingWorkbook({ fileName: file.name, workbook, sheets: sheetSummaries(workbook) });
+        } else {
+          setDataString(sheetsToCsv(workbook, workbook.SheetNames).csv);
+        }
       };
       reader.readAsArrayBuffer(file);
     } else {
@@ -111,6 +236,13 @@ function App() {
     }
   }, []);
 
+  const importSheets = useCallback((names, mode) => {
+    const { csv, sheetColumn } = sheetsToCsv(pendingWorkbook.workbook, names, mode);
+    sheetWellColumnRef.current = mode === 'wells' ? sheetColumn : null;
+    setDataString(csv);
+    setPendingWorkbook(null);
+  }, [pendingWorkbook]);
+
   // Load sample data if not embedded and no CSV provided.
   useEffect(() => {
     if (!isEmbedded && !dataString) {
@@ -119,19 +251,127 @@ function App() {
           if (!response.ok) throw new Error('Sample data not found');
           return response.text();
         })
-        .then(text => setDataString(text))
+        .then(text => {
+          promptMappingRef.current = false;
+          setDataString(text);
+        })
         .catch(err => console.warn('Could not load sample data:', err));
     }
   }, [isEmbedded, dataString]);
 
-  // Update date range from CSV data.
+  const parsedData = useMemo(() => {
+    if (!dataString) return [];
+    try {
+      return d3.csvParse(dataString);
+    } catch (err) {
+      console.error("Error parsing CSV:", err);
+      return [];
+    }
+  }, [dataString]);
+
+  const columnsSignature = parsedData.columns ? headerSignature(parsedData.columns) : '';
+  const detectedMapping = useMemo(() =>
+    parsedData.columns ? detectMapping(parsedData.columns) : null,
+    [parsedData]
+  );
+  const mapping = mappingOverride || detectedMapping;
+
+  const applyMapping = useCallback((next) => {
+    setMappingOverride(next);
+    setRateUnitChoices(next.units || {});
+    setDaysOnChoice('');
+  }, []);
+
+  // A new header set: re-apply the saved profile for it, or ask for the mapping.
+  const lastSignatureRef = useRef('');
+  useEffect(() => {
+    if (!parsedData.columns || columnsSignature === lastSignatureRef.current) return;
+    lastSignatureRef.current = columnsSignature;
+    const profile = findProfile(mappingProfiles, parsedData.columns);
+    const sheetWell = sheetWellColumnRef.current;
+    sheetWellColumnRef.current = null;
+    setAppliedProfile(profile ? profile.name : null);
+    if (profile) {
+      applyMapping(validMapping(profile.mapping, parsedData.columns));
+    } else {
+      setMappingOverride(sheetWell && parsedData.columns.includes(sheetWell)
+        ? { ...detectMapping(parsedData.columns), well: sheetWell }
+        : null);
+      setRateUnitChoices({});
+      setDaysOnChoice('');
+    }
+    setShowMapping(!profile && promptMappingRef.current);
+    promptMappingRef.current = true;
+  }, [parsedData, columnsSignature, mappingProfiles, applyMapping]);
+
+  const dateColumn = (mapping && mapping.date) || 'Production_Date';
+  const wellColumn = (mapping && mapping.well) || null;
+
+  const parsedDates = useMemo(() =>
+    parseDates(parsedData, dateColumn, dateFormat),
+    [parsedData, dateColumn, dateFormat]
+  );
+  // Rows whose date reads, with it rewritten as the ISO day so every later `new Date` lands
+  // on UTC midnight of the same day; the rest are listed in the import report.
+  const datedRows = useMemo(() =>
+    parsedData
+      .map((row, i) => parsedDates.dates[i] ? { ...row, [dateColumn]: isoDay(parsedDates.dates[i]) } : null)
+      .filter(Boolean),
+    [parsedData, parsedDates, dateColumn]
+  );
+
+  const wells = useMemo(() => {
+    if (!wellColumn) return [];
+    const ids = new Set();
+    datedRows.forEach(row => {
+      if (row[wellColumn]) ids.add(row[wellColumn]);
+    });
+    return Array.from(ids).sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  }, [datedRows, wellColumn]);
+
+  // Keep the selection valid when a new dataset arrives.
+  useEffect(() => {
+    if (!wells.length) {
+      setSelectedWell(null);
+    } else if (!wells.includes(selectedWell)) {
+      setSelectedWell(wells[0]);
+    }
+  }, [wells, selectedWell]);
+
+  const wellRows = useMemo(() => {
+    if (!wellColumn || selectedWell === null) return datedRows;
+    return datedRows.filter(row => row[wellColumn] === selectedWell);
+  }, [datedRows, wellColumn, selectedWell]);
+
+  const phaseColumns = useMemo(() => phaseColumnsOf(mapping), [mapping]);
+  const detectedRateUnits = useMemo(() =>
+    detectRateUnits(phaseColumns, wellRows.map(row => row[dateColumn])),
+    [phaseColumns, wellRows, dateColumn]
+  );
+  const rateUnits = useMemo(() => {
+    let out = { ...detectedRateUnits };
+    Object.keys(rateUnitChoices).forEach(phase => {
+      if (rateUnitChoices[phase]) out[phase] = rateUnitChoices[phase];
+    });
+    return out;
+  }, [detectedRateUnits, rateUnitChoices]);
+  const mappedDaysOn = (mapping && mapping.daysOn) || null;
+  const daysOnColumn = daysOnChoice || mappedDaysOn;
+
+  // The well's rows by date with every phase as a calendar-day rate (see normalizeRows).
+  const rateRows = useMemo(() => {
+    if (!parsedData.columns) return [];
+    const sorted = wellRows
+      .filter(row => !isNaN(new Date(row[dateColumn]).getTime()))
+      .sort((a, b) => new Date(a[dateColumn]) - new Date(b[dateColumn]));
+    return normalizeRows(sorted, { dateCol: dateColumn, phaseColumns, units: rateUnits, daysOnColumn });
+  }, [parsedData, wellRows, dateColumn, phaseColumns, rateUnits, daysOnColumn]);
+
+  // Update date range from the selected well's rows.
   useEffect(() => {
-    if (!dataString) return;
     try {
-      const parsed = d3.csvParse(dataString);
-      if (parsed && parsed.length > 0 && parsed.columns) {
-        const dateCol = detectDateColumn(parsed.columns);
-        const dates = parsed.map(row => new Date(row[dateCol])).filter(d => !isNaN(d));
+      if (wellRows.length > 0 && parsedData.columns) {
+        const dates = wellRows.map(row => new Date(row[dateColumn])).filter(d => !isNaN(d));
         if (dates.length) {
           const minD = new Date(Math.min(...dates));
           const maxD = new Date(Math.max(...dates));
@@ -144,9 +384,9 @@ function App() {
         }
       }
     } catch (err) {
-      console.error("Error parsing CSV:", err);
+      console.error("Error reading production dates:", err);
     }
-  }, [dataString]);
+  }, [wellRows, parsedData, dateColumn]);
 
   const totalDays = useMemo(() => {
     if (minDate && maxDate) {
@@ -164,7 +404,335 @@ function App() {
     return minDate ? new Date(minDate.getTime() + filterRange[1] * 86400000) : null;
   }, [minDate, filterRange]);
 
-  const resetAutoFit = () => setChartKey(prev => prev + 1);
+  const wellKey = selectedWell ?? '';
+  const currentWellState = wellParams[wellKey];
+  const phaseParams = currentWellState?.phaseParams || EMPTY_PHASE_PARAMS;
+  const autoFitEnabled = currentWellState?.autoFitEnabled !== false;
+  const breakpoints = currentWellState?.breakpoints || EMPTY_BREAKPOINTS;
+  const locks = currentWellState?.locks || EMPTY_LOCKS;
+  const exclusions = currentWellState?.exclusions || EMPTY_EXCLUSIONS;
+  const exclusionRules = currentWellState?.exclusionRules || DEFAULT_EXCLUSION_RULES;
+
+  // Accepts a value or an updater, like a state setter scoped to the selected well.
+  const updatePhaseParams = useCallback((update) => {
+    setWellParams(prev => {
+      const state = prev[wellKey] || {};
+      const current = state.phaseParams || EMPTY_PHASE_PARAMS;
+      const next = typeof update === 'function' ? update(current) : update;
+      if (next === current) return prev;
+      return { ...prev, [wellKey]: { ...state, phaseParams: next } };
+    });
+  }, [wellKey]);
+
+  const updateAutoFit = useCallback((enabled) => {
+    setWellParams(prev => {
+      const state = prev[wellKey] || {};
+      if ((state.autoFitEnabled !== false) === enabled) return prev;
+      return { ...prev, [wellKey]: { ...state, autoFitEnabled: enabled } };
+    });
+  }, [wellKey]);
+
+  const updateBreakpoints = useCallback((update) => {
+    setWellParams(prev => {
+      const state = prev[wellKey] || {};
+      const current = state.breakpoints || EMPTY_BREAKPOINTS;
+      const next = (typeof update === 'function' ? update(current) : update)
+        .slice()
+        .sort((a, b) => a.date.localeCompare(b.date));
+      return { ...prev, [wellKey]: { ...state, breakpoints: next } };
+    });
+  }, [wellKey]);
+
+  // Clicked exclusions per phase: { phase: { day: boolean } } (see exclusions).
+  const updateExclusions = useCallback((phase, update) => {
+    setWellParams(prev => {
+      const state = prev[wellKey] || {};
+      const all = state.exclusions || EMPTY_EXCLUSIONS;
+      const current = all[phase] || {};
+      const next = typeof update === 'function' ? update(current) : update;
+      if (next === current) return prev;
+      return { ...prev, [wellKey]: { ...state, exclusions: { ...all, [phase]: next } } };
+    });
+  }, [wellKey]);
+
+  // Automatic exclusion rules of the well (see DEFAULT_EXCLUSION_RULES).
+  const updateExclusionRule = useCallback((key, value) => {
+    setWellParams(prev => {
+      const state = prev[wellKey] || {};
+      const rules = state.exclusionRules || DEFAULT_EXCLUSION_RULES;
+      if (rules[key] === value) return prev;
+      return { ...prev, [wellKey]: { ...state, exclusionRules: { ...rules, [key]: value } } };
+    });
+  }, [wellKey]);
+
+  // Names the next change of the curves in the history. An action that leaves them as they
+  // were (locking the value a curve already has) would otherwise name some later refit, so
+  // the label lapses unless the curves change within the settle time.
+  const phaseParamsRef = useRef(phaseParams);
+  phaseParamsRef.current = phaseParams;
+  const markEdit = useCallback((label) => {
+    const pending = { label, from: phaseParamsRef.current };
+    pendingEditRef.current = pending;
+    setTimeout(() => {
+      if (pendingEditRef.current === pending && phaseParamsRef.current === pending.from) pendingEditRef.current = null;
+    }, HISTORY_SETTLE_MS);
+  }, []);
+
+  // Locked parameters per phase: { phase: { key: value } }, plus Dmin (nominal per day) and
+  // start (forecast start date). An undefined value unlocks the key.
+  const updateLock = useCallback((phase, key, value) => {
+    markEdit(`${value === undefined ? 'Unlock' : 'Lock'} ${phase.toUpperCase()} ${key}`);
+    setWellParams(prev => {
+      const state = prev[wellKey] || {};
+      const { [key]: discarded, ...phaseLocks } = (state.locks || EMPTY_LOCKS)[phase] || {};
+      const nextPhase = value === undefined ? phaseLocks : { ...phaseLocks, [key]: value };
+      return { ...prev, [wellKey]: { ...state, locks: { ...state.locks, [phase]: nextPhase } } };
+    });
+  }, [wellKey, markEdit]);
+
+  // The fit-start marker dragged on the chart locks the phase's start date.
+  const moveFitStart = useCallback((phase, date) => updateLock(phase, 'start', date), [updateLock]);
+
+  // A typed value acts like a drag: it ends auto-fit, and moves the lock with it if held.
+  const setParamValue = useCallback((phase, key, value) => {
+    if (locks[phase] && key in locks[phase]) updateLock(phase, key, value);
+    else updateAutoFit(false);
+    markEdit(`Edit ${phase.toUpperCase()} ${key}`);
+    updatePhaseParams(prev => (prev[phase] ? { ...prev, [phase]: { ...prev[phase], [key]: value } } : prev));
+  }, [locks, updateLock, updateAutoFit, updatePhaseParams, markEdit]);
+
+  const wellHistory = editHistory[wellKey] || EMPTY_HISTORY;
+
+  // Record the well's curves, with the locks they were fitted under, once they settle;
+  // changes nobody labelled are refits.
+  useEffect(() => {
+    if (!Object.keys(phaseParams).length || !isNewState(wellHistory, phaseParams)) return;
+    const timer = setTimeout(() => {
+      const label = (pendingEditRef.current && pendingEditRef.current.label) || (autoFitEnabled ? 'Auto-fit' : 'Refit');
+      pendingEditRef.current = null;
+      setEditHistory(prev => ({
+        ...prev,
+        [wellKey]: recordEntry(prev[wellKey] || EMPTY_HISTORY, { label, phaseParams, locks, at: Date.now() })
+      }));
+    }, HISTORY_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [phaseParams, locks, autoFitEnabled, wellKey, wellHistory]);
+
+  // Restored curves are hand-edited curves: auto-fit stays off, and their locks (a locked
+  // start above all) come back with them, so the chart doesn't refit them to other ones.
+  const jumpToHistory = useCallback((index) => {
+    const next = moveTo(wellHistory, index);
+    if (!next) return;
+    const entry = next.entries[index];
+    pendingEditRef.current = null;
+    setEditHistory(prev => ({ ...prev, [wellKey]: next }));
+    setWellParams(prev => ({
+      ...prev,
+      [wellKey]: { ...prev[wellKey], phaseParams: entry.phaseParams, locks: entry.locks || EMPTY_LOCKS, autoFitEnabled: false }
+    }));
+  }, [wellHistory, wellKey]);
+  const undo = useCallback(() => jumpToHistory(wellHistory.index - 1), [jumpToHistory, wellHistory.index]);
+  const redo = useCallback(() => jumpToHistory(wellHistory.index + 1), [jumpToHistory, wellHistory.index]);
+
+  // Ctrl+Z / Ctrl+Y (or Ctrl+Shift+Z); form fields keep their own text undo.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      const k = e.key.toLowerCase();
+      if (k === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if (k === 'y' || (k === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  const addBreakpoint = useCallback((date) => {
+    updateBreakpoints(prev => prev.some(bp => bp.date === date) ? prev : [...prev, { date, model: null }]);
+    setBreakpointMode(false);
+  }, [updateBreakpoints]);
+
+  // Adds the step changes found in the first rate stream of the well (oil, else gas, else water).
+  const autoDetectBreakpoints = () => {
+    if (!parsedData.columns) return;
+    const column = phaseColumns.oil || phaseColumns.gas || phaseColumns.water;
+    if (!column) return;
+    const points = rateRows
+      .map(row => ({ t: new Date(row[dateColumn]).getTime() / 86400000, value: +row[column] }))
+      .filter(p => isFinite(p.t) && !isNaN(p.value));
+    const detected = detectStepChanges(points).map(t => new Date(t * 86400000).toISOString().slice(0, 10));
+    updateBreakpoints(prev => [
+      ...prev,
+      ...detected.filter(date => !prev.some(bp => bp.date === date)).map(date => ({ date, model: null }))
+    ]);
+  };
+
+  // A min typed above its max is read as the pair the other way round (the form says so).
+  const fitOptions = useMemo(() => ({
+    bounds: {
+      b: [Math.min(fitBounds.bMin, fitBounds.bMax), Math.max(fitBounds.bMin, fitBounds.bMax)],
+      D: [Math.min(fitBounds.dMin, fitBounds.dMax), Math.max(fitBounds.dMin, fitBounds.dMax)]
+    },
+    logSpace: fitLogSpace,
+    space: fitSpace
+  }), [fitBounds, fitLogSpace, fitSpace]);
+  // Type curves are fitted on time from their aligned start, with the terminal decline of the wells.
+  const typeCurveFitOptions = useMemo(() => ({
+    ...fitOptions,
+    space: 'time',
+    Dmin: terminalDecline
+  }), [fitOptions, terminalDecline]);
+
+  // Cash flow runs on the untruncated forecast up to the maximum well life, so its
+  // economic limit does not depend on the truncation it feeds back into the chart. It runs
+  // whenever that limit applies, so the forecast doesn't change with the panel open or shut.
+  const economicsResult = useMemo(() => {
+    if ((!showEconomics && !applyEconomicLimit) || !chartParams || !chartParams.forecastBasis) return null;
+    const { tStart, startDate, wellStartDate } = chartParams.forecastBasis;
+    const start = new Date(startDate);
+    const months = maxWellLifeYears > 0
+      ? (new Date(wellStartDate).getTime() + maxWellLifeYears * DAYS_PER_YEAR * 86400000 - start.getTime())
+        / (DAYS_PER_MONTH * 86400000)
+      : MAX_ECONOMIC_MONTHS;
+    const { pressure, ...streams } = chartParams.phaseParams;
+    return runEconomics(streams, { tStart, startDate: start, months }, economicInputs);
+  }, [showEconomics, applyEconomicLimit, chartParams, maxWellLifeYears, economicInputs]);
+
+  const economicLimitDate = economicsResult && applyEconomicLimit && economicsResult.limitReached
+    ? economicsResult.economicLimitDate.toISOString().slice(0, 10)
+    : null;
+
+  // Calendar-month actuals and forecast for the table and its exports.
+  const forecastTable = useMemo(() => {
+    if (!showForecastTable || !chartParams || !chartParams.forecastBasis || !parsedData.columns) return [];
+    const history = monthlyHistory(rateRows, dateColumn, phaseColumns);
+    const { tStart, startDate } = chartParams.forecastBasis;
+    let ends = {};
+    Object.keys(chartParams.eurDetails || {}).forEach(phase => {
+      const { limitDate } = chartParams.eurDetails[phase];
+      if (limitDate) ends[phase] = new Date(limitDate);
+    });
+    return buildMonthlyTable(chartParams.phaseParams, { tStart, startDate: new Date(startDate) }, history, ends);
+  }, [showForecastTable, chartParams, parsedData, rateRows, dateColumn, phaseColumns]);
+
+  // The well's rows for the History sheet, with the points left out of the fit flagged.
+  const historyRows = useMemo(() => {
+    const excluded = (chartParams && chartParams.excluded) || {};
+    if (!Object.keys(excluded).length || !parsedData.columns) return wellRows;
+    let byDay = {};
+    Object.keys(excluded).forEach(phase => {
+      excluded[phase].forEach(({ date, reason }) => {
+        byDay[date] = [...(byDay[date] || []), `${phase} (${reason})`];
+      });
+    });
+    return wellRows.map(row => {
+      const date = new Date(row[dateColumn]);
+      const flags = isNaN(date.getTime()) ? null : byDay[date.toISOString().slice(0, 10)];
+      return { ...row, Excluded: flags ? flags.join('; ') : '' };
+    });
+  }, [chartParams, parsedData, wellRows, dateColumn]);
+
+  // Columns the downtime rule can read instead of the detected one: any but dates, wells and rates.
+  const downtimeDetected = useMemo(() =>
+    parsedData.columns ? detectDowntimeColumn(parsedData.columns) : null,
+    [parsedData]
+  );
+  const downtimeColumns = useMemo(() => {
+    if (!parsedData.columns) return [];
+    const rates = Object.values(phaseColumns);
+    return parsedData.columns.filter(col =>
+      col !== dateColumn && col !== wellColumn && !rates.includes(col)
+    );
+  }, [parsedData, dateColumn, wellColumn, phaseColumns]);
+
+  const forecastParameterRows = useMemo(() => {
+    if (!chartParams) return [];
+    return Object.keys(chartParams.phaseParams).map(phase => {
+      // A ratio stream's oil curve already has its own row.
+      const { model, primary, ...params } = paramsInDeclineUnit(chartParams.phaseParams[phase], declineUnit);
+      const details = (chartParams.eurDetails || {})[phase] || {};
+      let labelled = {};
+      Object.keys(params).forEach(key => {
+        labelled[paramLabel(model || DEFAULT_MODEL, key, declineUnit)] = params[key];
+      });
+      return {
+        Phase: phase,
+        Model: model || DEFAULT_MODEL,
+        ...labelled,
+        Produced: details.historical ?? '',
+        Remaining: details.remaining ?? '',
+        EUR: details.eur ?? '',
+        'Limit Date': details.limitDate ?? '',
+        'Limit Reason': details.limitReason ?? ''
+      };
+    });
+  }, [chartParams, declineUnit]);
+
+  // The parameters as shown in the panel: decline rates in the chosen unit.
+  const displayParams = useMemo(() => {
+    if (!chartParams) return null;
+    const inUnit = params => {
+      const converted = paramsInDeclineUnit(params, declineUnit);
+      return params.primary ? { ...converted, primary: paramsInDeclineUnit(params.primary, declineUnit) } : converted;
+    };
+    let phaseParams = {};
+    Object.keys(chartParams.phaseParams).forEach(phase => {
+      phaseParams[phase] = inUnit(chartParams.phaseParams[phase]);
+    });
+    let fitStats = {};
+    Object.keys(chartParams.fitStats || {}).forEach(phase => {
+      const params = chartParams.phaseParams[phase];
+      const stats = chartParams.fitStats[phase];
+      fitStats[phase] = params ? { ...stats, stdErrors: stdErrorsInDeclineUnit(params, stats.stdErrors, declineUnit) } : stats;
+    });
+    let segments;
+    if (chartParams.segments) {
+      segments = {};
+      Object.keys(chartParams.segments).forEach(phase => {
+        segments[phase] = chartParams.segments[phase].map(segment => ({ ...segment, params: inUnit(segment.params) }));
+      });
+    }
+    return {
+      ...chartParams,
+      declineUnit: DECLINE_UNITS[declineUnit].label,
+      phaseParams,
+      fitStats,
+      segments,
+      excluded: Object.fromEntries(Object.entries(chartParams.excluded || {}).map(([phase, points]) => [phase, points.length])),
+      probabilistic: undefined
+    };
+  }, [chartParams, declineUnit]);
+
+  const eurLimits = useMemo(() => ({
+    rates: economicLimits,
+    maxLifeYears: maxWellLifeYears,
+    economicLimitDate
+  }), [economicLimits, maxWellLifeYears, economicLimitDate]);
+
+  // Bounds are non-negative; an ordering slip is flagged next to the inputs, not corrected
+  // under the user's typing.
+  const updateFitBound = (key, value) => {
+    if (!isFinite(value) || value < 0) return;
+    setFitBounds(prev => ({ ...prev, [key]: value }));
+  };
+  const swappedBounds = [fitBounds.bMin > fitBounds.bMax && 'b', fitBounds.dMin > fitBounds.dMax && 'D'].filter(Boolean);
+
+  // Drops the well's curves but keeps its segment breakpoints, locks, exclusions and
+  // exclusion rules; the history keeps the dropped curves, so a reset can be undone.
+  const resetAutoFit = () => {
+    markEdit('Reset auto-fit');
+    setWellParams(prev => {
+      const { [wellKey]: discarded, ...rest } = prev;
+      if (!discarded) return rest;
+      const { breakpoints: kept, locks: keptLocks, exclusions: keptExclusions, exclusionRules: keptRules } = discarded;
+      return { ...rest, [wellKey]: { breakpoints: kept, locks: keptLocks, exclusions: keptExclusions, exclusionRules: keptRules } };
+    });
+    setChartKey(prev => prev + 1);
+  };
 
   const handleParameters = useCallback((params) => {
     setChartParams(prev => {
@@ -204,7 +772,56 @@ function App() {
         <button onClick={() => setShowDataInput(prev => !prev)}>
           {showDataInput ? "Hide CSV Data" : "Show CSV Data"}
         </button>
+        <button onClick={() => setShowMapping(true)} disabled={!parsedData.columns}>
+          Columns…
+        </button>
+        <label style={{ fontSize: 12 }}>
+          Dates:
+          <select value={dateFormat} onChange={e => setDateFormat(e.target.value)} style={{ marginLeft: 5 }}>
+            {Object.keys(DATE_FORMATS).map(format => (
+              <option key={format} value={format}>
+                {format === 'auto' ? `Detect (${DATE_FORMATS[parsedDates.format]})` : DATE_FORMATS[format]}
+              </option>
+            ))}
+          </select>
+        </label>
+        {appliedProfile && (
+          <span style={{ fontSize: 12, color: '#666' }}>Mapping profile: {appliedProfile}</span>
+        )}
       </div>
+
+      {parsedDates.rejected.length > 0 && (
+        <ImportReport
+          rejected={parsedDates.rejected}
+          rows={parsedData}
+          total={parsedData.length}
+          wellColumn={wellColumn}
+          format={DATE_FORMATS[parsedDates.format]}
+        />
+      )}
+
+      {pendingWorkbook && (
+        <SheetPicker
+          fileName={pendingWorkbook.fileName}
+          sheets={pendingWorkbook.sheets}
+          onImport={importSheets}
+          onCancel={() => setPendingWorkbook(null)}
+        />
+      )}
+
+      {showMapping && parsedData.columns && !pendingWorkbook && (
+        <ColumnMappingDialog
+          key={columnsSignature}
+          columns={parsedData.columns}
+          rows={parsedData.slice(0, 50)}
+          mapping={{ ...mapping, units: rateUnitChoices }}
+          profiles={mappingProfiles}
+          onApply={next => { applyMapping(next); setShowMapping(false); }}
+          onCancel={() => setShowMapping(false)}
+          onSaveProfile={profile => setMappingProfiles(prev => saveProfile(prev, profile))}
+          onDeleteProfile={name => setMappingProfiles(prev => deleteProfile(prev, name))}
+        />
+      )}
       
       {showDataInput && (
         <div style={{ marginBottom: 10 }}>
@@ -250,8 +867,93 @@ function App() {
               }}>
               {showParameters ? "Hide Parameters" : "Show Parameters"}
             </button>
+            <button onClick={() => setShowEconomics(p => !p)}
+              style={{
+                padding: '6px 12px', border: 'none', background: '#52c41a',
+                color: '#fff', borderRadius: '4px', cursor: 'pointer'
+              }}>
+              {showEconomics ? "Hide Economics" : "Show Economics"}
+            </button>
+            <button onClick={() => setShowForecastTable(p => !p)}
+              style={{
+                padding: '6px 12px', border: 'none', background: '#722ed1',
+                color: '#fff', borderRadius: '4px', cursor: 'pointer'
+              }}>
+              {showForecastTable ? "Hide Forecast Table" : "Show Forecast Table"}
+            </button>
+            <button onClick={() => setShowDiagnostics(p => !p)}
+              style={{
+                padding: '6px 12px', border: 'none', background: '#eb2f96',
+                color: '#fff', borderRadius: '4px', cursor: 'pointer'
+              }}>
+              {showDiagnostics ? "Hide Diagnostics" : "Show Diagnostics"}
+            </button>
+            <button onClick={() => setShowModelRanking(p => !p)}
+              style={{
+                padding: '6px 12px', border: 'none', background: '#2f54eb',
+                color: '#fff', borderRadius: '4px', cursor: 'pointer'
+              }}>
+              {showModelRanking ? "Hide Model Ranking" : "Show Model Ranking"}
+            </button>
+            <button onClick={() => { setShowBacktest(p => !p); setBacktestRun(0); }}
+              style={{
+                padding: '6px 12px', border: 'none', background: '#13c2c2',
+                color: '#fff', borderRadius: '4px', cursor: 'pointer'
+              }}>
+              {showBacktest ? "Hide Backtest" : "Show Backtest"}
+            </button>
+            {wells.length > 1 && (
+              <button onClick={() => setShowTypeCurves(p => !p)}
+                style={{
+                  padding: '6px 12px', border: 'none', background: '#fa8c16',
+                  color: '#fff', borderRadius: '4px', cursor: 'pointer'
+                }}>
+                {showTypeCurves ? "Hide Type Curves" : "Show Type Curves"}
+              </button>
+            )}
+            <button onClick={undo} disabled={wellHistory.index < 1} title="Undo (Ctrl+Z)"
+              style={{
+                padding: '6px 12px', border: '1px solid #ccc', background: '#fff',
+                borderRadius: '4px', cursor: 'pointer'
+              }}>
+              Undo
+            </button>
+            <button onClick={redo} disabled={wellHistory.index >= wellHistory.entries.length - 1} title="Redo (Ctrl+Y)"
+              style={{
+                padding: '6px 12px', border: '1px solid #ccc', background: '#fff',
+                borderRadius: '4px', cursor: 'pointer'
+              }}>
+              Redo
+            </button>
+            <button onClick={() => setShowHistory(p => !p)}
+              style={{
+                padding: '6px 12px', border: '1px solid #ccc', background: '#fff',
+                borderRadius: '4px', cursor: 'pointer'
+              }}>
+              {showHistory ? "Hide History" : "History"}
+            </button>
           </div>
           
+          {showHistory && (
+            <div style={{
+              position: 'absolute',
+              top: '50px',
+              left: '10px',
+              zIndex: '95',
+              width: '260px',
+              backgroundColor: 'rgba(255, 255, 255, 0.95)',
+              padding: '15px',
+              borderRadius: '5px',
+              boxShadow: '0 2px 8px rgba(0, 0, 0, 0.15)'
+            }}>
+              <HistoryPanel
+                history={wellHistory}
+                onJump={jumpToHistory}
+                onName={name => setEditHistory(prev => ({ ...prev, [wellKey]: nameEntry(wellHistory, name) }))}
+              />
+            </div>
+          )}
+
           {showInstructions && (
             <div style={{
               position: 'absolute',
@@ -271,6 +973,7 @@ function App() {
                 <li>Hold D key to adjust D inversely</li>
                 <li>Hold B key to adjust both B and D inversely</li>
                 <li>Auto-fit is disabled after first drag</li>
+                <li>Ctrl+Z / Ctrl+Y undo and redo curve edits</li>
                 <li>Use date range slider to filter time period</li>
               </ul>
             </div>
@@ -286,12 +989,88 @@ function App() {
               padding: '15px',
               borderRadius: '5px',
               boxShadow: '0 2px 8px rgba(0, 0, 0, 0.15)',
-              maxWidth: '300px'
+              maxWidth: '360px',
+              maxHeight: '80vh',
+              overflowY: 'auto'
             }}>
               <h4 style={{ marginTop: 0 }}>Current Parameters</h4>
-              <pre style={{ fontSize: '12px', maxHeight: '300px', overflowY: 'auto' }}>
-                {JSON.stringify(chartParams, null, 2)}
-              </pre>
+              <ParameterForm
+                phaseParams={phaseParams}
+                locks={locks}
+                declineUnit={declineUnit}
+                forecastBasis={chartParams.forecastBasis}
+                onParamChange={setParamValue}
+                onLockChange={updateLock}
+                onAutoFit={() => { markEdit('Auto-fit unlocked'); updateAutoFit(true); }}
+              />
+              {chartParams.eurDetails && Object.keys(chartParams.eurDetails).length > 0 && (
+                <table style={{ fontSize: '12px', marginBottom: 10, borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: 'left', paddingRight: 8 }}>Phase</th>
+                      <th style={{ paddingRight: 8 }}>Produced</th>
+                      <th style={{ paddingRight: 8 }}>Remaining</th>
+                      <th style={{ paddingRight: 8 }}>EUR</th>
+                      <th>Limit</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.keys(chartParams.eurDetails).map(phase => {
+                      const { historical, remaining, eur, timeToLimitDays, limitReason } = chartParams.eurDetails[phase];
+                      const fmt = v => (v !== null && isFinite(v) ? Math.round(v).toLocaleString() : 'N/A');
+                      const limit = timeToLimitDays !== null
+                        ? `${(timeToLimitDays / DAYS_PER_YEAR).toFixed(1)} yr (${limitReason})`
+                        : 'none';
+                      return (
+                        <tr key={phase}>
+                          <td style={{ paddingRight: 8 }}>{phase.toUpperCase()}</td>
+                          <td style={{ textAlign: 'right', paddingRight: 8 }}>{fmt(historical)}</td>
+                          <td style={{ textAlign: 'right', paddingRight: 8 }}>{fmt(remaining)}</td>
+                          <td style={{ textAlign: 'right', paddingRight: 8 }}>{fmt(eur)}</td>
+                          <td style={{ textAlign: 'right' }}>{limit}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+              {economicsResult && applyEconomicLimit && economicsResult.neverEconomic && (
+                <div style={{ fontSize: 12, color: '#d4380d', marginBottom: 10 }}>
+                  The well never covers its operating costs at these economics, so the forecast is not cut at an economic limit.
+                </div>
+              )}
+              {chartParams.probabilistic && Object.keys(chartParams.probabilistic).length > 0 && (
+                <table style={{ fontSize: '12px', marginBottom: 10, borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr>
+                      <th style={{ textAlign: 'left', paddingRight: 8 }}>EUR</th>
+                      <th style={{ paddingRight: 8 }}>P90</th>
+                      <th style={{ paddingRight: 8 }}>P50</th>
+                      <th>P10</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.keys(chartParams.probabilistic).map(phase => {
+                      const { eur } = chartParams.probabilistic[phase];
+                      const fmt = v => (isFinite(v) ? Math.round(v).toLocaleString() : 'N/A');
+                      return (
+                        <tr key={phase}>
+                          <td style={{ paddingRight: 8 }}>{phase.toUpperCase()}</td>
+                          <td style={{ textAlign: 'right', paddingRight: 8 }}>{fmt(eur.p90)}</td>
+                          <td style={{ textAlign: 'right', paddingRight: 8 }}>{fmt(eur.p50)}</td>
+                          <td style={{ textAlign: 'right' }}>{fmt(eur.p10)}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+              <details>
+                <summary style={{ fontSize: '12px', cursor: 'pointer' }}>All values</summary>
+                <pre style={{ fontSize: '12px', maxHeight: '300px', overflowY: 'auto' }}>
+                  {JSON.stringify(displayParams, null, 2)}
+                </pre>
+              </details>
             </div>
           )}
           
@@ -299,11 +1078,52 @@ function App() {
             <InteractiveDCAChart
               key={chartKey}
               dataString={dataString}
+              wellColumn={wellColumn}
+              wellId={selectedWell}
+              dateColumn={dateColumn}
+              dateFormat={parsedDates.format}
+              phaseColumns={phaseColumns}
+              phaseParams={phaseParams}
+              onPhaseParamsChange={updatePhaseParams}
+              autoFitEnabled={autoFitEnabled}
+              onAutoFitChange={updateAutoFit}
               startDate={filteredStartDate ? filteredStartDate.toISOString().slice(0,10) : ""}
               endDate={filteredEndDate ? filteredEndDate.toISOString().slice(0,10) : ""}
               colors={colors}
               yScaleType={yScaleType}
+              plotMode={plotMode}
               forecastDays={forecastDays}
+              fitOptions={fitOptions}
+              phaseModels={phaseModels}
+              ratioModes={ratioModes}
+              pressureDisplay={pressureDisplay}
+              pressureOverlay={pressureOverlay}
+              fitPressure={fitPressure}
+              initialPressure={initialPressure}
+              terminalDecline={terminalDecline}
+              declineUnit={declineUnit}
+              probabilisticSamples={probabilisticEnabled ? probabilisticSamples : 0}
+              probabilisticRun={probabilisticEnabled ? probabilisticRun : 0}
+              eurLimits={eurLimits}
+              breakpoints={breakpoints}
+              locks={locks}
+              onEditStart={markEdit}
+              exclusions={exclusions}
+              exclusionRules={exclusionRules}
+              onExclusionsChange={updateExclusions}
+              lassoMode={lassoMode}
+              rateUnits={rateUnits}
+              daysOnColumn={daysOnColumn}
+              timeBasis={timeBasis}
+              backtest={showBacktest ? backtestSettings : null}
+              backtestRun={showBacktest ? backtestRun : 0}
+              showDiagnostics={showDiagnostics}
+              selectionCriterion={selectionCriterion}
+              showModelRanking={showModelRanking}
+              fitStartMethod={fitStartMethod}
+              onFitStartChange={moveFitStart}
+              breakpointMode={breakpointMode}
+              onBreakpointAdd={addBreakpoint}
               onParametersCalculated={handleParameters}
             />
           </div>
@@ -326,9 +1146,129 @@ function App() {
                 : 'N/A'}
             </div>
           </div>
+
+          {showEconomics && (
+            <EconomicsPanel
+              inputs={economicInputs}
+              onChange={setEconomicInputs}
+              result={economicsResult}
+              applyLimit={applyEconomicLimit}
+              onApplyLimitChange={setApplyEconomicLimit}
+            />
+          )}
+
+          {showForecastTable && (
+            <ForecastTable
+              table={forecastTable}
+              parameters={forecastParameterRows}
+              history={historyRows}
+              fileName={`forecast_${String(selectedWell ?? 'well').replace(/[^\w-]+/g, '_')}`}
+            />
+          )}
+
+          {(showModelRanking || Object.values(phaseModels).includes(AUTO_MODEL)) && (
+            <ModelRankingPanel
+              ranking={chartParams && chartParams.modelRanking}
+              criterion={selectionCriterion}
+              onCriterionChange={setSelectionCriterion}
+              logSpace={fitLogSpace}
+              onSelect={(phase, model) => {
+                // Keep the table open once no phase is left on auto.
+                setShowModelRanking(true);
+                setPhaseModels(prev => ({ ...prev, [phase]: model }));
+              }}
+              colors={colors}
+            />
+          )}
+
+          {showBacktest && (
+            <BacktestPanel
+              settings={backtestSettings}
+              onChange={setBacktestSettings}
+              onRun={() => setBacktestRun(r => r + 1)}
+              result={chartParams && chartParams.backtest}
+              fileName={`backtest_${String(selectedWell ?? 'well').replace(/[^\w-]+/g, '_')}`}
+            />
+          )}
+
+          {showTypeCurves && wells.length > 1 && (
+            <TypeCurvePanel
+              rows={datedRows}
+              columns={parsedData.columns}
+              dateColumn={dateColumn}
+              wellColumn={wellColumn}
+              phaseColumns={phaseColumns}
+              rateUnits={rateUnits}
+              daysOnColumn={daysOnColumn}
+              fitOptions={typeCurveFitOptions}
+              declineUnit={declineUnit}
+              colors={colors}
+              typeCurves={typeCurves}
+              onSave={typeCurve => setTypeCurves(prev => saveTypeCurve(prev, typeCurve))}
+              onDelete={name => setTypeCurves(prev => deleteTypeCurve(prev, name))}
+            />
+          )}
         </div>
         
         <div style={{ width: 250 }}>
+          {wells.length > 0 && (
+            <div style={{ marginBottom: 20 }}>
+              <h4>Well ({wellColumn})</h4>
+              <WellSelector
+                wells={wells}
+                selectedWell={selectedWell}
+                onSelect={setSelectedWell}
+              />
+            </div>
+          )}
+
+          {Object.keys(phaseColumns).length > 0 && (
+            <div style={{ marginBottom: 20 }}>
+              <h4>Rates</h4>
+              {['oil', 'gas', 'water'].filter(phase => phaseColumns[phase]).map(phase => (
+                <div key={phase} style={{ marginBottom: 5 }}>
+                  <label>
+                    {phase.toUpperCase()} ({phaseColumns[phase]}):
+                    <select
+                      value={rateUnitChoices[phase] || ''}
+                      onChange={e => setRateUnitChoices(prev => ({ ...prev, [phase]: e.target.value }))}
+                      style={{ marginLeft: 5, maxWidth: 130 }}
+                    >
+                      <option value="">Detected: {RATE_UNITS[detectedRateUnits[phase]]}</option>
+                      {Object.keys(RATE_UNITS).map(unit => (
+                        <option key={unit} value={unit}>{RATE_UNITS[unit]}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              ))}
+              <div style={{ marginBottom: 5 }}>
+                <label>
+                  Days on:
+                  <select value={daysOnChoice} onChange={e => setDaysOnChoice(e.target.value)} style={{ marginLeft: 5, maxWidth: 130 }}>
+                    <option value="">{mappedDaysOn ? `Mapped (${mappedDaysOn})` : 'None (calendar days)'}</option>
+                    {parsedData.columns.filter(col => !Object.values(phaseColumns).includes(col)).map(col => (
+                      <option key={col} value={col}>{col}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <label>
+                Time:
+                <select value={timeBasis} onChange={e => setTimeBasis(e.target.value)} style={{ marginLeft: 5 }}>
+                  {Object.keys(TIME_BASES).map(basis => (
+                    <option key={basis} value={basis} disabled={basis === 'producing' && !daysOnColumn}>
+                      {TIME_BASES[basis]}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <div style={{ fontSize: 12, color: '#666', marginTop: 5 }}>
+                Volumes are divided by the days to the next report, or by days on in producing time.
+              </div>
+            </div>
+          )}
+
           <div style={{ marginBottom: 20 }}>
             <h4>Phase Colors</h4>
             {['oil', 'water', 'gas', 'pressure'].map(phase => (
@@ -368,6 +1308,25 @@ function App() {
                 /> Log
               </label>
             </div>
+            <div style={{ marginBottom: 10 }}>
+              <label>
+                X axis:
+                <select value={plotMode} onChange={e => setPlotMode(e.target.value)} style={{ marginLeft: 5 }}>
+                  <option value="time">Time (q vs t)</option>
+                  <option value="cumulative">Cumulative (q vs Np)</option>
+                </select>
+              </label>
+            </div>
+            <div style={{ marginBottom: 10 }}>
+              <label>
+                Decline unit:
+                <select value={declineUnit} onChange={e => setDeclineUnit(e.target.value)} style={{ marginLeft: 5 }}>
+                  {Object.keys(DECLINE_UNITS).map(unit => (
+                    <option key={unit} value={unit}>{DECLINE_UNITS[unit].label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
             <div>
               <label>
                 Forecast Extension (Days): {forecastDays}
@@ -384,6 +1343,398 @@ function App() {
             </div>
           </div>
           
+          <div style={{ marginBottom: 20 }}>
+            <h4>Decline Models</h4>
+            {['oil', 'water', 'gas', ...(fitPressure ? ['pressure'] : [])].map(phase => (
+              <div key={phase} style={{ marginBottom: 5 }}>
+                <label>
+                  {phase.toUpperCase()}:
+                  <select
+                    value={phaseModels[phase]}
+                    onChange={e => setPhaseModels(prev => ({ ...prev, [phase]: e.target.value }))}
+                    style={{ marginLeft: 5, maxWidth: 170 }}
+                  >
+                    <option value={AUTO_MODEL}>Auto (best fit)</option>
+                    {DECLINE_MODEL_IDS.map(id => (
+                      <option key={id} value={id}>{DECLINE_MODELS[id].label}</option>
+                    ))}
+                  </select>
+                </label>
+                {ratioModes[phase] && (
+                  <div style={{ marginLeft: 10, marginTop: 3 }}>
+                    <label>
+                      Forecast as:
+                      <select
+                        value={ratioModes[phase].kind}
+                        onChange={e => setRatioModes(prev => ({ ...prev, [phase]: { ...prev[phase], kind: e.target.value } }))}
+                        style={{ marginLeft: 5 }}
+                      >
+                        <option value="rate">Own decline curve</option>
+                        {Object.keys(RATIO_KINDS).filter(kind => RATIO_KINDS[kind].phase === phase).map(kind => (
+                          <option key={kind} value={kind}>{RATIO_KINDS[kind].label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {ratioModes[phase].kind !== "rate" && (
+                      <select
+                        value={ratioModes[phase].basis}
+                        onChange={e => setRatioModes(prev => ({ ...prev, [phase]: { ...prev[phase], basis: e.target.value } }))}
+                        style={{ marginLeft: 5 }}
+                      >
+                        <option value="time">vs time</option>
+                        <option value="cumulative">vs cum oil</option>
+                      </select>
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+            {Object.values(phaseModels).some(model => model === "modified" || model === AUTO_MODEL) && (
+              <label>
+                Dmin ({DECLINE_UNITS[declineUnit].short}):
+                <DeclineInput
+                  value={terminalDecline}
+                  unit={declineUnit}
+                  onChange={setTerminalDecline}
+                  style={{ marginLeft: 5, width: 70 }}
+                />
+              </label>
+            )}
+          </div>
+
+          <div style={{ marginBottom: 20 }}>
+            <h4>Pressure</h4>
+            <div style={{ marginBottom: 5 }}>
+              <label>
+                Show on:
+                <select value={pressureDisplay} onChange={e => setPressureDisplay(e.target.value)} style={{ marginLeft: 5 }}>
+                  <option value="axis">Right-hand axis</option>
+                  <option value="panel">Separate panel</option>
+                </select>
+              </label>
+            </div>
+            <div style={{ marginBottom: 5 }}>
+              <label>
+                Plot:
+                <select value={pressureOverlay} onChange={e => setPressureOverlay(e.target.value)} style={{ marginLeft: 5 }}>
+                  <option value="pressure">Pressure</option>
+                  <option value="normalized">Rate-normalized (Δp/q)</option>
+                </select>
+              </label>
+            </div>
+            {pressureOverlay === "normalized" && (
+              <div style={{ marginBottom: 5 }}>
+                <label>
+                  Initial pressure (psi):
+                  <input
+                    type="number"
+                    min="0"
+                    step="10"
+                    value={initialPressure}
+                    onChange={e => setInitialPressure(Math.max(0, Number(e.target.value) || 0))}
+                    style={{ marginLeft: 5, width: 70 }}
+                  />
+                </label>
+                <div style={{ fontSize: 12, color: '#666' }}>0 uses the first reading.</div>
+              </div>
+            )}
+            <label>
+              <input
+                type="checkbox"
+                checked={fitPressure}
+                onChange={e => setFitPressure(e.target.checked)}
+              /> Fit a decline curve to pressure
+            </label>
+          </div>
+
+          <div style={{ marginBottom: 20 }}>
+            <h4>Segments</h4>
+            {breakpoints.length === 0 && (
+              <div style={{ fontSize: 12, color: '#666', marginBottom: 5 }}>One segment (no breakpoints).</div>
+            )}
+            {breakpoints.map(bp => (
+              <div key={bp.date} style={{ display: 'flex', alignItems: 'center', gap: 5, marginBottom: 5 }}>
+                <span style={{ fontSize: 12 }}>{bp.date}</span>
+                <select
+                  value={bp.model || ''}
+                  onChange={e => {
+                    const model = e.target.value || null;
+                    updateBreakpoints(prev => prev.map(p => (p.date === bp.date ? { ...p, model } : p)));
+                  }}
+                  style={{ maxWidth: 120 }}
+                >
+                  <option value="">Phase model</option>
+                  {DECLINE_MODEL_IDS.map(id => (
+                    <option key={id} value={id}>{DECLINE_MODELS[id].label}</option>
+                  ))}
+                </select>
+                <button
+                  title="Remove breakpoint"
+                  onClick={() => updateBreakpoints(prev => prev.filter(p => p.date !== bp.date))}
+                >
+                  &times;
+                </button>
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: 5, flexWrap: 'wrap' }}>
+              <button
+                onClick={() => setBreakpointMode(p => !p)}
+                style={breakpointMode ? { background: '#fa8c16', color: '#fff', border: '1px solid #fa8c16' } : undefined}
+              >
+                {breakpointMode ? 'Click the chart…' : 'Add by click'}
+              </button>
+              <button onClick={autoDetectBreakpoints}>Auto-detect</button>
+              <button onClick={() => updateBreakpoints([])} disabled={!breakpoints.length}>Clear</button>
+            </div>
+          </div>
+
+          <div style={{ marginBottom: 20 }}>
+            <h4>Exclusions</h4>
+            <div style={{ fontSize: 12, color: '#666', marginBottom: 5 }}>
+              Click a point to exclude or keep it; excluded points are hollow.
+            </div>
+            <div style={{ marginBottom: 5 }}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={exclusionRules.zeroRate}
+                  onChange={e => updateExclusionRule('zeroRate', e.target.checked)}
+                /> Rates at or below
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  value={exclusionRules.minRate}
+                  onChange={e => updateExclusionRule('minRate', Math.max(0, Number(e.target.value) || 0))}
+                  style={{ marginLeft: 5, width: 50 }}
+                />
+              </label>
+            </div>
+            <div style={{ marginBottom: 5 }}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={exclusionRules.outliers}
+                  onChange={e => updateExclusionRule('outliers', e.target.checked)}
+                /> Beyond
+                <input
+                  type="number"
+                  min="1"
+                  step="0.5"
+                  value={exclusionRules.sigma}
+                  onChange={e => updateExclusionRule('sigma', Math.max(1, Number(e.target.value) || 1))}
+                  style={{ margin: '0 5px', width: 45 }}
+                />
+                σ of a
+                <input
+                  type="number"
+                  min="3"
+                  step="2"
+                  value={exclusionRules.window}
+                  onChange={e => updateExclusionRule('window', Math.max(3, Math.round(Number(e.target.value)) || 3))}
+                  style={{ margin: '0 5px', width: 45 }}
+                />
+                point median
+              </label>
+            </div>
+            <div style={{ marginBottom: 5 }}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={exclusionRules.downtime}
+                  disabled={!downtimeDetected && !exclusionRules.downtimeColumn}
+                  onChange={e => updateExclusionRule('downtime', e.target.checked)}
+                /> Under
+                <input
+                  type="number"
+                  min="0"
+                  max="24"
+                  step="1"
+                  value={exclusionRules.minHours}
+                  onChange={e => updateExclusionRule('minHours', Math.min(24, Math.max(0, Number(e.target.value) || 0)))}
+                  style={{ margin: '0 5px', width: 45 }}
+                />
+                hours on, from
+              </label>
+              <select
+                value={exclusionRules.downtimeColumn}
+                onChange={e => updateExclusionRule('downtimeColumn', e.target.value)}
+                style={{ marginLeft: 5, maxWidth: 120 }}
+              >
+                <option value="">{downtimeDetected ? `Detected (${downtimeDetected.column})` : 'Choose column'}</option>
+                {downtimeColumns.map(col => <option key={col} value={col}>{col}</option>)}
+              </select>
+            </div>
+            <div style={{ display: 'flex', gap: 5, flexWrap: 'wrap' }}>
+              <button
+                onClick={() => setLassoMode(p => !p)}
+                title="Draw a loop around points to exclude them; hold Shift to keep them instead"
+                style={lassoMode ? { background: '#1890ff', color: '#fff', border: '1px solid #1890ff' } : undefined}
+              >
+                {lassoMode ? 'Lasso on…' : 'Lasso'}
+              </button>
+              <button
+                onClick={() => Object.keys(exclusions).forEach(phase => updateExclusions(phase, {}))}
+                disabled={!Object.values(exclusions).some(overrides => Object.keys(overrides).length)}
+              >
+                Clear clicked
+              </button>
+            </div>
+            {chartParams && chartParams.excluded && Object.keys(chartParams.excluded).length > 0 && (
+              <div style={{ fontSize: 12, color: '#666', marginTop: 5 }}>
+                Excluded: {Object.keys(chartParams.excluded)
+                  .map(phase => `${chartParams.excluded[phase].length} ${phase}`)
+                  .join(', ')}
+              </div>
+            )}
+          </div>
+
+          <div style={{ marginBottom: 20 }}>
+            <h4>EUR Limits</h4>
+            {['oil', 'water', 'gas'].map(phase => (
+              <div key={phase} style={{ marginBottom: 5 }}>
+                <label>
+                  {phase.toUpperCase()} economic limit (rate/day):
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={economicLimits[phase]}
+                    onChange={e => setEconomicLimits(prev => ({ ...prev, [phase]: Math.max(0, Number(e.target.value) || 0) }))}
+                    style={{ marginLeft: 5, width: 60 }}
+                  />
+                </label>
+              </div>
+            ))}
+            <label>
+              Max well life (years):
+              <input
+                type="number"
+                min="0"
+                step="1"
+                value={maxWellLifeYears}
+                onChange={e => setMaxWellLifeYears(Math.max(0, Number(e.target.value) || 0))}
+                style={{ marginLeft: 5, width: 60 }}
+              />
+            </label>
+            <div style={{ marginTop: 5 }}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={applyEconomicLimit}
+                  onChange={e => setApplyEconomicLimit(e.target.checked)}
+                /> Cash-flow economic limit (see Economics)
+              </label>
+            </div>
+            <div style={{ fontSize: 12, color: '#666', marginTop: 5 }}>0 disables a limit.</div>
+          </div>
+
+          <div style={{ marginBottom: 20 }}>
+            <h4>Auto-fit</h4>
+            {[
+              ['bMin', 'b min', 0.1],
+              ['bMax', 'b max', 0.1]
+            ].map(([key, label, step]) => (
+              <div key={key} style={{ marginBottom: 5 }}>
+                <label>
+                  {label}:
+                  <NumberInput
+                    min="0"
+                    step={step}
+                    value={fitBounds[key]}
+                    onChange={value => updateFitBound(key, value)}
+                    style={{ marginLeft: 5, width: 80 }}
+                  />
+                </label>
+              </div>
+            ))}
+            {/* b is what the fit is looking for, so D bounds in a secant unit convert as tangent (b = 0). */}
+            {[['dMin', 'D min'], ['dMax', 'D max']].map(([key, label]) => {
+              const unit = declineUnit === "secant" ? "tangent" : declineUnit;
+              return (
+                <div key={key} style={{ marginBottom: 5 }}>
+                  <label>
+                    {label} ({DECLINE_UNITS[unit].short}):
+                    <DeclineInput
+                      value={fitBounds[key]}
+                      unit={unit}
+                      onChange={value => updateFitBound(key, value)}
+                      style={{ marginLeft: 5, width: 80 }}
+                    />
+                  </label>
+                </div>
+              );
+            })}
+            {swappedBounds.length > 0 && (
+              <div style={{ fontSize: 12, color: '#d4380d', marginBottom: 5 }}>
+                Min above max for {swappedBounds.join(' and ')}; the fit swaps them.
+              </div>
+            )}
+            <label>
+              <input
+                type="checkbox"
+                checked={fitLogSpace}
+                onChange={e => setFitLogSpace(e.target.checked)}
+              /> Fit in log-rate space
+            </label>
+            <div style={{ marginTop: 5 }}>
+              <label>
+                Residuals:
+                <select value={fitSpace} onChange={e => setFitSpace(e.target.value)} style={{ marginLeft: 5 }}>
+                  <option value="time">Rate vs time</option>
+                  <option value="cumulative">Rate vs cumulative</option>
+                </select>
+              </label>
+            </div>
+            <div style={{ marginTop: 5 }}>
+              <label>
+                Fit from:
+                <select value={fitStartMethod} onChange={e => setFitStartMethod(e.target.value)} style={{ marginLeft: 5 }}>
+                  {Object.keys(FIT_START_METHODS).map(key => (
+                    <option key={key} value={key}>{FIT_START_METHODS[key]}</option>
+                  ))}
+                </select>
+              </label>
+              <div style={{ fontSize: 12, color: '#666', marginTop: 3 }}>
+                Drag a fit-start marker on the chart to lock a phase's start.
+              </div>
+            </div>
+          </div>
+
+          <div style={{ marginBottom: 20 }}>
+            <h4>Probabilistic</h4>
+            <label>
+              <input
+                type="checkbox"
+                checked={probabilisticEnabled}
+                onChange={e => {
+                  setProbabilisticEnabled(e.target.checked);
+                  setProbabilisticRun(0);
+                }}
+              /> P10/P50/P90 bands
+            </label>
+            {probabilisticEnabled && (
+              <div style={{ marginTop: 5 }}>
+                <label>
+                  Bootstrap samples:
+                  <select
+                    value={probabilisticSamples}
+                    onChange={e => setProbabilisticSamples(Number(e.target.value))}
+                    style={{ marginLeft: 5 }}
+                  >
+                    {[50, 100, 250, 500].map(n => <option key={n} value={n}>{n}</option>)}
+                  </select>
+                </label>
+                <button onClick={() => setProbabilisticRun(r => r + 1)} style={{ marginLeft: 5 }}>Run bootstrap</button>
+                <div style={{ fontSize: 12, color: '#666', marginTop: 3 }}>
+                  {chartParams && chartParams.probabilistic && Object.keys(chartParams.probabilistic).length > 0
+                    ? 'Bands are for the curves as they were when run.'
+                    : 'Run to draw the bands; they clear when the curves or data change.'}
+                </div>
+              </div>
+            )}
+          </div>
+
           <div>
             <button
               onClick={resetAutoFit}
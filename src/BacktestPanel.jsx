@@ -0,0 +1,165 @@
+// src/BacktestPanel.jsx
+import React from 'react';
+import { HOLDOUT_UNITS, MAX_CUTOFFS, backtestToCSV } from './backtest';
+
+const fieldStyle = { marginLeft: 5, width: 60 };
+const cellStyle = { textAlign: 'right', padding: '2px 6px' };
+const headStyle = { padding: '2px 6px', position: 'sticky', top: 0, background: '#fafafa' };
+const buttonStyle = {
+  padding: '4px 10px', border: '1px solid #ccc', background: '#fff',
+  borderRadius: '4px', cursor: 'pointer'
+};
+
+const pct = v => (v !== null && v !== undefined && isFinite(v) ? `${v.toFixed(1)}%` : '');
+const signedPct = v => (v !== null && v !== undefined && isFinite(v) ? `${v > 0 ? '+' : ''}${v.toFixed(1)}%` : '');
+
+const downloadText = (text, fileName) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Hold-out settings and the scores the chart reports for them once run: means per phase
+// over the cut-offs, then each cut-off on its own.
+const BacktestPanel = ({ settings, onChange, onRun, result, fileName }) => {
+  const setField = (key, value) => onChange(prev => ({ ...prev, [key]: value }));
+  const runs = (result && result.runs) || [];
+  const summary = (result && result.summary) || {};
+  const phases = Object.keys(summary);
+  const unit = HOLDOUT_UNITS[settings.unit].toLowerCase();
+
+  return (
+    <div style={{ marginTop: 20, borderTop: '1px solid #ddd', paddingTop: 10 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+        <h4 style={{ margin: 0 }}>Backtest</h4>
+        <button style={buttonStyle} onClick={onRun}>Run</button>
+        <button
+          style={buttonStyle}
+          disabled={!runs.length}
+          onClick={() => downloadText(backtestToCSV(runs), `${fileName}.csv`)}
+        >
+          Download CSV
+        </button>
+      </div>
+      <div style={{ display: 'flex', gap: 15, flexWrap: 'wrap', margin: '10px 0', fontSize: 13 }}>
+        <label>
+          Hold out the last
+          <input
+            type="number"
+            min={1}
+            value={settings.holdout}
+            onChange={e => setField('holdout', Math.max(1, Number(e.target.value) || 1))}
+            style={fieldStyle}
+          />
+          <select value={settings.unit} onChange={e => setField('unit', e.target.value)} style={{ marginLeft: 5 }}>
+            {Object.keys(HOLDOUT_UNITS).map(key => <option key={key} value={key}>{HOLDOUT_UNITS[key].toLowerCase()}</option>)}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={settings.rolling} onChange={e => setField('rolling', e.target.checked)} />
+          {' '}Rolling cut-offs every
+          <input
+            type="number"
+            min={1}
+            value={settings.step}
+            disabled={!settings.rolling}
+            onChange={e => setField('step', Math.max(1, Number(e.target.value) || 1))}
+            style={fieldStyle}
+          />
+          {' '}{unit}
+          {settings.rolling && <span style={{ color: '#666' }}> (latest {MAX_CUTOFFS} at most)</span>}
+        </label>
+        <label>
+          Fit at least
+          <input
+            type="number"
+            min={1}
+            value={settings.minHistory}
+            onChange={e => setField('minHistory', Math.max(1, Number(e.target.value) || 1))}
+            style={fieldStyle}
+          />
+          {' '}{unit} first
+        </label>
+      </div>
+
+      {!result ? (
+        <div style={{ color: '#666', fontSize: 13 }}>
+          Run to refit at the cut-off{settings.rolling ? 's' : ''} and score the hindcasts; the scores clear when the fits or settings change.
+        </div>
+      ) : !runs.length ? (
+        <div style={{ color: '#666', fontSize: 13 }}>
+          The fitted range is too short for this hold-out; shorten it or widen the date range.
+        </div>
+      ) : (
+        <>
+          <table style={{ fontSize: 12, borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={headStyle}>Phase</th>
+                <th style={headStyle}>Cut-offs</th>
+                <th style={headStyle}>MAPE</th>
+                <th style={headStyle}>Bias</th>
+                <th style={headStyle}>Cum error</th>
+                <th style={headStyle}>|Cum error|</th>
+              </tr>
+            </thead>
+            <tbody>
+              {phases.map(phase => (
+                <tr key={phase}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>{phase.toUpperCase()}</td>
+                  <td style={cellStyle}>{summary[phase].runs}</td>
+                  <td style={cellStyle}>{pct(summary[phase].mape)}</td>
+                  <td style={cellStyle}>{signedPct(summary[phase].bias)}</td>
+                  <td style={cellStyle}>{signedPct(summary[phase].cumError)}</td>
+                  <td style={cellStyle}>{pct(summary[phase].absCumError)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {runs.length > 1 && (
+            <div style={{ maxHeight: 200, overflowY: 'auto', marginTop: 10 }}>
+              <table style={{ fontSize: 12, borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={headStyle} rowSpan={2}>Cut-off</th>
+                    {phases.map(phase => <th key={phase} style={headStyle} colSpan={3}>{phase.toUpperCase()}</th>)}
+                  </tr>
+                  <tr>
+                    {phases.map(phase => ['MAPE', 'Bias', 'Cum'].map(h => (
+                      <th key={`${phase}-${h}`} style={headStyle}>{h}</th>
+                    )))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {runs.map(run => (
+                    <tr key={run.cutoff}>
+                      <td style={cellStyle}>{run.cutoff}</td>
+                      {phases.map(phase => {
+                        const scores = run.phases[phase] || {};
+                        return (
+                          <React.Fragment key={phase}>
+                            <td style={cellStyle}>{pct(scores.mape)}</td>
+                            <td style={cellStyle}>{signedPct(scores.bias)}</td>
+                            <td style={cellStyle}>{signedPct(scores.cumError)}</td>
+                          </React.Fragment>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <div style={{ fontSize: 12, color: '#666', marginTop: 5 }}>
+            Bias above zero means the forecast ran high; cum error compares volumes over the held-out period.
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BacktestPanel;
@@ -0,0 +1,135 @@
+// src/ColumnMappingDialog.jsx
+import React, { useState } from 'react';
+import { MAPPING_FIELDS, PHASE_FIELDS, headerSignature, validMapping } from './column-mapping';
+import { RATE_UNITS } from './normalization';
+
+const overlayStyle = {
+  position: 'fixed', inset: 0, zIndex: 1000,
+  background: 'rgba(0, 0, 0, 0.35)',
+  display: 'flex', alignItems: 'center', justifyContent: 'center'
+};
+const dialogStyle = {
+  background: '#fff', borderRadius: '5px', padding: '15px 20px',
+  boxShadow: '0 2px 12px rgba(0, 0, 0, 0.25)', maxWidth: '640px', maxHeight: '85vh', overflowY: 'auto'
+};
+const cellStyle = { padding: '3px 6px', fontSize: 12 };
+const previewStyle = { ...cellStyle, color: '#666', fontFamily: 'monospace' };
+
+// First few non-empty values of a column, so the user can see what a header holds.
+const preview = (rows, column) => {
+  if (!column) return '';
+  return rows
+    .map(row => row[column])
+    .filter(v => v !== undefined && v !== null && v !== '')
+    .slice(0, 3)
+    .join(', ');
+};
+
+// Shows the detected (or profile) mapping of date, well, phase and days-on columns with
+// previews; each can be overridden, and the result saved as a named profile for files
+// with the same headers.
+const ColumnMappingDialog = ({ columns, rows, mapping, profiles, onApply, onCancel, onSaveProfile, onDeleteProfile }) => {
+  const [draft, setDraft] = useState(mapping);
+  const [profileName, setProfileName] = useState('');
+  const signature = headerSignature(columns);
+  const setField = (key, value) => setDraft(prev => ({ ...prev, [key]: value }));
+  const setUnit = (phase, value) => setDraft(prev => ({ ...prev, units: { ...prev.units, [phase]: value } }));
+  // The same header picked twice is almost always a slip.
+  const used = MAPPING_FIELDS.map(({ key }) => draft[key]).filter(Boolean);
+  const duplicates = used.filter((column, i) => used.indexOf(column) !== i);
+
+  return (
+    <div style={overlayStyle}>
+      <div style={dialogStyle} role="dialog" aria-label="Column mapping">
+        <h4 style={{ marginTop: 0 }}>Column Mapping</h4>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Field</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Column</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Units</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Preview</th>
+            </tr>
+          </thead>
+          <tbody>
+            {MAPPING_FIELDS.map(({ key, label, required }) => (
+              <tr key={key}>
+                <td style={cellStyle}>{label}{required ? ' *' : ''}</td>
+                <td style={cellStyle}>
+                  <select
+                    aria-label={`${label} column`}
+                    value={draft[key] || ''}
+                    onChange={e => setField(key, e.target.value)}
+                    style={{ maxWidth: 160, borderColor: duplicates.includes(draft[key]) ? '#f5222d' : undefined }}
+                  >
+                    <option value="">(none)</option>
+                    {columns.map(col => <option key={col} value={col}>{col}</option>)}
+                  </select>
+                </td>
+                <td style={cellStyle}>
+                  {PHASE_FIELDS.includes(key) && key !== 'pressure' && (
+                    <select
+                      value={(draft.units || {})[key] || ''}
+                      onChange={e => setUnit(key, e.target.value)}
+                      disabled={!draft[key]}
+                    >
+                      <option value="">Detect</option>
+                      {Object.keys(RATE_UNITS).map(unit => <option key={unit} value={unit}>{RATE_UNITS[unit]}</option>)}
+                    </select>
+                  )}
+                </td>
+                <td style={previewStyle}>{preview(rows, draft[key])}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {duplicates.length > 0 && (
+          <div style={{ fontSize: 12, color: '#f5222d', marginTop: 5 }}>
+            {[...new Set(duplicates)].join(', ')} is mapped more than once; map each column to one field to apply.
+          </div>
+        )}
+
+        <div style={{ marginTop: 10, display: 'flex', gap: 5, alignItems: 'center' }}>
+          <input
+            type="text"
+            placeholder="Profile name"
+            value={profileName}
+            onChange={e => setProfileName(e.target.value)}
+          />
+          <button
+            disabled={!profileName.trim() || !draft.date || duplicates.length > 0}
+            onClick={() => { onSaveProfile({ name: profileName.trim(), signature, mapping: draft }); setProfileName(''); }}
+          >
+            Save profile
+          </button>
+        </div>
+        {profiles.length > 0 && (
+          <div style={{ marginTop: 10, fontSize: 12 }}>
+            Saved profiles:
+            {profiles.map(profile => (
+              <div key={profile.name} style={{ display: 'flex', gap: 5, alignItems: 'center', marginTop: 3 }}>
+                <span style={{ fontWeight: profile.signature === signature ? 'bold' : 'normal' }}>{profile.name}</span>
+                {profile.signature === signature && <span style={{ color: '#666' }}>(these headers)</span>}
+                <button onClick={() => setDraft(validMapping(profile.mapping, columns))}>Load</button>
+                <button title="Delete profile" onClick={() => onDeleteProfile(profile.name)}>&times;</button>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ marginTop: 15, display: 'flex', justifyContent: 'flex-end', gap: 5 }}>
+          <button onClick={onCancel}>Cancel</button>
+          <button
+            onClick={() => onApply(draft)}
+            disabled={!draft.date || duplicates.length > 0}
+            style={{ background: '#1890ff', color: '#fff', border: '1px solid #1890ff', borderRadius: '4px', padding: '4px 12px' }}
+          >
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnMappingDialog;
@@ -0,0 +1,39 @@
+// src/DeclineInput.jsx
+import React, { useState, useEffect } from 'react';
+import { declineUnitToNominalDaily, nominalDailyToDeclineUnit } from './dca-utilities';
+
+const formatDecline = (value, unit) =>
+  isFinite(value) ? String(+value.toPrecision(unit === 'daily' ? 4 : 5)) : '';
+
+// Number input for a decline rate stored as nominal per day but typed in the display unit.
+// The text is kept locally so partial entries ("6.") survive the round trip through the
+// stored value; it is reset when the unit, the exponent or the stored value changes elsewhere.
+const DeclineInput = ({ value, unit, b = 0, onChange, style }) => {
+  const [text, setText] = useState(() => formatDecline(nominalDailyToDeclineUnit(value, unit, b), unit));
+
+  useEffect(() => {
+    setText(prev => {
+      const typed = declineUnitToNominalDaily(Number(prev), unit, b);
+      return prev !== '' && Math.abs(typed - value) <= 1e-12 * Math.max(1, Math.abs(value))
+        ? prev
+        : formatDecline(nominalDailyToDeclineUnit(value, unit, b), unit);
+    });
+  }, [value, unit, b]);
+
+  return (
+    <input
+      type="number"
+      min="0"
+      step={unit === 'daily' ? 0.0001 : 0.5}
+      value={text}
+      onChange={e => {
+        setText(e.target.value);
+        const nominal = declineUnitToNominalDaily(Number(e.target.value), unit, b);
+        if (e.target.value !== '' && isFinite(nominal) && nominal >= 0) onChange(nominal);
+      }}
+      style={style}
+    />
+  );
+};
+
+export default DeclineInput;
@@ -0,0 +1,111 @@
+// src/DiagnosticsPanel.jsx
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+
+const width = 390, height = 150;
+const margin = { top: 20, right: 15, bottom: 30, left: 55 };
+const cellStyle = { textAlign: 'right', padding: '2px 6px' };
+const headStyle = { padding: '2px 6px', background: '#fafafa' };
+
+const fixed = (v, digits) => (isFinite(v) ? v.toFixed(digits) : 'N/A');
+
+// Residuals (actual − curve) of one phase against date, around a zero line.
+const ResidualPlot = ({ phase, residuals, firstDate, color }) => {
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (!residuals.length) return;
+
+    const toDate = t => new Date(firstDate.getTime() + t * 86400000);
+    const x = d3.scaleTime()
+      .domain(d3.extent(residuals, p => toDate(p.t)))
+      .range([margin.left, width - margin.right]);
+    const extent = d3.max(residuals, p => Math.abs(p.residual)) || 1;
+    const y = d3.scaleLinear()
+      .domain([-extent, extent]).nice()
+      .range([height - margin.bottom, margin.top]);
+
+    svg.append("g")
+      .attr("transform", `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(5));
+    svg.append("g")
+      .attr("transform", `translate(${margin.left},0)`)
+      .call(d3.axisLeft(y).ticks(4, "~s"));
+    svg.append("line")
+      .attr("x1", margin.left).attr("x2", width - margin.right)
+      .attr("y1", y(0)).attr("y2", y(0))
+      .attr("stroke", "#999")
+      .attr("stroke-dasharray", "3,3");
+    svg.append("text")
+      .attr("x", margin.left).attr("y", 12)
+      .style("font-size", "12px")
+      .text(`${phase.toUpperCase()} residuals (actual − curve)`);
+
+    svg.selectAll(".residual-point")
+      .data(residuals)
+      .enter().append("circle")
+      .attr("class", "residual-point")
+      .attr("cx", p => x(toDate(p.t)))
+      .attr("cy", p => y(p.residual))
+      .attr("r", 2)
+      .attr("fill", color);
+  }, [phase, residuals, firstDate, color]);
+
+  return <svg ref={svgRef} width={width} height={height} />;
+};
+
+// Goodness of fit of the curves as they stand (fitted or dragged): scores per phase over
+// the points in its fit window, and a residual plot for each.
+const DiagnosticsPanel = ({ diagnostics, firstDate, colors }) => {
+  const phases = Object.keys(diagnostics);
+  if (!phases.length) return null;
+
+  return (
+    <div style={{ marginTop: 10, borderTop: '1px solid #ddd', paddingTop: 10 }}>
+      <h4 style={{ margin: '0 0 5px' }}>Fit Diagnostics</h4>
+      <table style={{ fontSize: 12, borderCollapse: 'collapse' }}>
+        <thead>
+          <tr>
+            <th style={headStyle}>Phase</th>
+            <th style={headStyle}>R²</th>
+            <th style={headStyle}>RMSE</th>
+            <th style={headStyle}>MAPE</th>
+            <th style={headStyle}>Points</th>
+            <th style={headStyle}>Fit window</th>
+          </tr>
+        </thead>
+        <tbody>
+          {phases.map(phase => {
+            const { r2, rmse, mape, n, windowStart, windowEnd } = diagnostics[phase];
+            return (
+              <tr key={phase}>
+                <td style={{ ...cellStyle, textAlign: 'left', color: colors[phase] || '#000' }}>{phase.toUpperCase()}</td>
+                <td style={cellStyle}>{fixed(r2, 3)}</td>
+                <td style={cellStyle}>{fixed(rmse, 2)}</td>
+                <td style={cellStyle}>{isFinite(mape) ? `${mape.toFixed(1)}%` : 'N/A'}</td>
+                <td style={cellStyle}>{n}</td>
+                <td style={cellStyle}>{windowStart} – {windowEnd}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={{ display: 'flex', gap: 20, flexWrap: 'wrap', marginTop: 5 }}>
+        {phases.map(phase => (
+          <ResidualPlot
+            key={phase}
+            phase={phase}
+            residuals={diagnostics[phase].residuals}
+            firstDate={firstDate}
+            color={colors[phase] || '#888'}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DiagnosticsPanel;
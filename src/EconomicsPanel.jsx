@@ -0,0 +1,200 @@
+// src/EconomicsPanel.jsx
+import React, { useState } from 'react';
+import { parsePriceDeck } from './economics';
+
+const fieldStyle = { marginLeft: 5, width: 70 };
+const cellStyle = { textAlign: 'right', padding: '2px 6px' };
+const headStyle = { padding: '2px 6px', position: 'sticky', top: 0, background: '#fafafa' };
+
+const money = v => (v !== null && isFinite(v) ? `$${Math.round(v).toLocaleString()}` : 'N/A');
+const volume = v => (isFinite(v) ? Math.round(v).toLocaleString() : '');
+const day = d => (d ? d.toISOString().slice(0, 10) : 'N/A');
+
+const NUMBER_FIELDS = [
+  ['oilDifferential', 'Oil differential ($/bbl)', 0.5],
+  ['gasDifferential', 'Gas differential ($/mcf)', 0.1],
+  ['fixedOpex', 'Fixed opex ($/month)', 500],
+  ['oilOpex', 'Oil opex ($/bbl)', 0.5],
+  ['gasOpex', 'Gas opex ($/mcf)', 0.1],
+  ['waterOpex', 'Water opex ($/bbl)', 0.25],
+  ['severanceTax', 'Severance tax (%)', 0.1],
+  ['adValoremTax', 'Ad valorem tax (%)', 0.1],
+  ['workingInterest', 'WI (%)', 1],
+  ['netRevenueInterest', 'NRI (%)', 1],
+  ['capex', 'Capex ($)', 10000]
+];
+
+const EconomicsPanel = ({ inputs, onChange, result, applyLimit, onApplyLimitChange }) => {
+  const [deckText, setDeckText] = useState(() =>
+    inputs.priceDeck.monthly.map(e => `${e.month}, ${e.oil}, ${e.gas}`).join('\n')
+  );
+  const [ratesText, setRatesText] = useState(inputs.discountRates.join(', '));
+
+  const setField = (key, value) => onChange(prev => ({ ...prev, [key]: value }));
+  const setDeck = (key, value) => onChange(prev => ({ ...prev, priceDeck: { ...prev.priceDeck, [key]: value } }));
+  const numberInput = (value, onValue, step) => (
+    <input
+      type="number"
+      step={step}
+      value={value}
+      onChange={e => onValue(Number(e.target.value) || 0)}
+      style={fieldStyle}
+    />
+  );
+
+  const deck = inputs.priceDeck;
+
+  return (
+    <div style={{ marginTop: 20, borderTop: '1px solid #ddd', paddingTop: 10 }}>
+      <h4 style={{ marginTop: 0 }}>Economics</h4>
+      <div style={{ display: 'flex', gap: 30, flexWrap: 'wrap' }}>
+        <div>
+          <div style={{ marginBottom: 5 }}>
+            <label>
+              Price deck:
+              <select value={deck.type} onChange={e => setDeck('type', e.target.value)} style={{ marginLeft: 5 }}>
+                <option value="flat">Flat</option>
+                <option value="escalated">Escalated</option>
+                <option value="monthly">By month</option>
+              </select>
+            </label>
+          </div>
+          {deck.type !== 'monthly' && (
+            <>
+              <div style={{ marginBottom: 5 }}>
+                <label>Oil ($/bbl):{numberInput(deck.oil, v => setDeck('oil', v), 1)}</label>
+              </div>
+              <div style={{ marginBottom: 5 }}>
+                <label>Gas ($/mcf):{numberInput(deck.gas, v => setDeck('gas', v), 0.1)}</label>
+              </div>
+            </>
+          )}
+          {deck.type === 'escalated' && (
+            <div style={{ marginBottom: 5 }}>
+              <label>Escalation (%/yr):{numberInput(deck.escalation, v => setDeck('escalation', v), 0.5)}</label>
+            </div>
+          )}
+          {deck.type === 'monthly' && (
+            <div style={{ marginBottom: 5 }}>
+              <div style={{ fontSize: 12, color: '#666' }}>One line per month: YYYY-MM, oil, gas</div>
+              <textarea
+                rows={6}
+                cols={28}
+                value={deckText}
+                placeholder={'2025-01, 72.5, 3.10\n2025-02, 71.0, 2.95'}
+                onChange={e => {
+                  setDeckText(e.target.value);
+                  setDeck('monthly', parsePriceDeck(e.target.value));
+                }}
+              />
+              <div style={{ fontSize: 12, color: '#666' }}>{deck.monthly.length} months parsed</div>
+            </div>
+          )}
+          <div style={{ marginBottom: 5 }}>
+            <label>
+              Discount rates (%):
+              <input
+                type="text"
+                value={ratesText}
+                onChange={e => {
+                  setRatesText(e.target.value);
+                  const rates = e.target.value.split(/[,\s]+/).filter(Boolean).map(Number).filter(r => !isNaN(r) && r > -100);
+                  if (rates.length) setField('discountRates', rates);
+                }}
+                style={{ marginLeft: 5, width: 100 }}
+              />
+            </label>
+          </div>
+          <label>
+            <input
+              type="checkbox"
+              checked={applyLimit}
+              onChange={e => onApplyLimitChange(e.target.checked)}
+            /> Truncate forecast at economic limit
+          </label>
+        </div>
+
+        <div>
+          {NUMBER_FIELDS.map(([key, label, step]) => (
+            <div key={key} style={{ marginBottom: 5 }}>
+              <label>{label}:{numberInput(inputs[key], v => setField(key, v), step)}</label>
+            </div>
+          ))}
+        </div>
+
+        {result && (
+          <div>
+            <table style={{ fontSize: 13, borderCollapse: 'collapse' }}>
+              <tbody>
+                {inputs.discountRates.map(rate => (
+                  <tr key={rate}>
+                    <td>NPV{rate}</td>
+                    <td style={cellStyle}>{money(result.npv[rate])}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td>IRR</td>
+                  <td style={cellStyle}>{result.irr !== null ? `${(result.irr * 100).toFixed(1)}%` : 'N/A'}</td>
+                </tr>
+                <tr>
+                  <td>Payout</td>
+                  <td style={cellStyle}>
+                    {result.payoutDate ? `${day(result.payoutDate)} (${result.payoutMonths} mo)` : 'N/A'}
+                  </td>
+                </tr>
+                <tr>
+                  <td>Economic limit</td>
+                  <td style={cellStyle}>
+                    {result.neverEconomic
+                      ? 'never economic'
+                      : result.limitReached
+                        ? `${day(result.economicLimitDate)} (${result.economicLimitMonths} mo)`
+                        : 'beyond forecast'}
+                  </td>
+                </tr>
+                <tr>
+                  <td>Gross oil / gas / water</td>
+                  <td style={cellStyle}>
+                    {volume(result.totals.oil)} / {volume(result.totals.gas)} / {volume(result.totals.water)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {result && result.cashFlow.length > 0 && (
+        <div style={{ maxHeight: 300, overflowY: 'auto', marginTop: 10 }}>
+          <table style={{ fontSize: 12, borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>
+                {['Month', 'Oil', 'Gas', 'Water', 'Revenue', 'Taxes', 'Opex', 'Capex', 'Net', 'Cumulative'].map(h => (
+                  <th key={h} style={headStyle}>{h}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {result.cashFlow.map(row => (
+                <tr key={row.month}>
+                  <td style={cellStyle}>{row.label}</td>
+                  <td style={cellStyle}>{volume(row.oil || 0)}</td>
+                  <td style={cellStyle}>{volume(row.gas || 0)}</td>
+                  <td style={cellStyle}>{volume(row.water || 0)}</td>
+                  <td style={cellStyle}>{money(row.revenue)}</td>
+                  <td style={cellStyle}>{money(row.taxes)}</td>
+                  <td style={cellStyle}>{money(row.opex)}</td>
+                  <td style={cellStyle}>{money(row.capex)}</td>
+                  <td style={cellStyle}>{money(row.net)}</td>
+                  <td style={cellStyle}>{money(row.cumulative)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EconomicsPanel;
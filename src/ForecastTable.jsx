@@ -0,0 +1,90 @@
+// src/ForecastTable.jsx
+import React from 'react';
+import * as XLSX from 'xlsx';
+import { TABLE_STREAMS, monthlyTableToCSV, buildForecastWorkbook } from './forecast-table';
+
+const cellStyle = { textAlign: 'right', padding: '2px 6px' };
+const headStyle = { padding: '2px 6px', position: 'sticky', top: 0, background: '#fafafa' };
+const buttonStyle = {
+  padding: '4px 10px', border: '1px solid #ccc', background: '#fff',
+  borderRadius: '4px', cursor: 'pointer'
+};
+
+const num = v => (v !== null && v !== undefined && isFinite(v) ? Math.round(v).toLocaleString() : '');
+
+const downloadText = (text, fileName) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/csv;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const ForecastTable = ({ table, parameters, history, fileName }) => {
+  const phases = TABLE_STREAMS.filter(phase => table.length && table[0][phase]);
+
+  return (
+    <div style={{ marginTop: 20, borderTop: '1px solid #ddd', paddingTop: 10 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+        <h4 style={{ margin: 0 }}>Monthly Forecast</h4>
+        <button
+          style={buttonStyle}
+          disabled={!table.length}
+          onClick={() => downloadText(monthlyTableToCSV(table), `${fileName}.csv`)}
+        >
+          Download CSV
+        </button>
+        <button
+          style={buttonStyle}
+          disabled={!table.length}
+          onClick={() => XLSX.writeFile(buildForecastWorkbook(table, parameters, history), `${fileName}.xlsx`)}
+        >
+          Download XLSX
+        </button>
+      </div>
+      {table.length > 0 ? (
+        <div style={{ maxHeight: 300, overflowY: 'auto', marginTop: 10 }}>
+          <table style={{ fontSize: 12, borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>
+                <th style={headStyle} rowSpan={2}>Month</th>
+                {phases.map(phase => (
+                  <th key={phase} style={headStyle} colSpan={5}>{phase.toUpperCase()}</th>
+                ))}
+              </tr>
+              <tr>
+                {phases.map(phase => ['Actual rate', 'Actual vol', 'Fcst rate', 'Fcst vol', 'Cum'].map(h => (
+                  <th key={`${phase}-${h}`} style={headStyle}>{h}</th>
+                )))}
+              </tr>
+            </thead>
+            <tbody>
+              {table.map(row => (
+                <tr key={row.month}>
+                  <td style={cellStyle}>{row.month}</td>
+                  {phases.map(phase => {
+                    const cell = row[phase];
+                    return (
+                      <React.Fragment key={phase}>
+                        <td style={cellStyle}>{num(cell.actualRate)}</td>
+                        <td style={cellStyle}>{num(cell.actualVolume)}</td>
+                        <td style={cellStyle}>{num(cell.forecastRate)}</td>
+                        <td style={cellStyle}>{num(cell.forecastVolume)}</td>
+                        <td style={cellStyle}>{num(cell.cumulative)}</td>
+                      </React.Fragment>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div style={{ fontSize: 12, color: '#666', marginTop: 5 }}>No forecast yet.</div>
+      )}
+    </div>
+  );
+};
+
+export default ForecastTable;
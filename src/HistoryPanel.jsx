@@ -0,0 +1,56 @@
+// src/HistoryPanel.jsx
+import React, { useState } from 'react';
+
+const timeLabel = (at) => new Date(at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Newest-first list of the well's recorded curve states; clicking one jumps to it, and the
+// current state can be named so it is easy to find again.
+const HistoryPanel = ({ history, onJump, onName }) => {
+  const [name, setName] = useState('');
+  const { entries, index } = history;
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <h4 style={{ marginTop: 0 }}>Edit History</h4>
+      {entries.length === 0 ? (
+        <div style={{ color: '#666' }}>No curve edits yet.</div>
+      ) : (
+        <ol reversed style={{ margin: 0, paddingLeft: 25, maxHeight: 250, overflowY: 'auto' }}>
+          {entries.map((entry, i) => ({ entry, i })).reverse().map(({ entry, i }) => (
+            <li
+              key={`${i}-${entry.at}`}
+              onClick={() => onJump(i)}
+              style={{
+                cursor: 'pointer',
+                padding: '1px 4px',
+                fontWeight: i === index ? 'bold' : 'normal',
+                color: i > index ? '#999' : '#000',
+                background: i === index ? '#e6f7ff' : 'transparent'
+              }}
+            >
+              {entry.named ? <em>{entry.label}</em> : entry.label}
+              <span style={{ color: '#999', marginLeft: 6 }}>{timeLabel(entry.at)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+      <div style={{ marginTop: 8, display: 'flex', gap: 5 }}>
+        <input
+          type="text"
+          placeholder="Name this state"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          style={{ flexGrow: 1 }}
+        />
+        <button
+          disabled={index < 0 || !name.trim()}
+          onClick={() => { onName(name); setName(''); }}
+        >
+          Name
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,53 @@
+// src/ImportReport.jsx
+import React from 'react';
+
+// Rows listed in full; the rest are only counted.
+const MAX_LISTED = 200;
+
+const cellStyle = { padding: '2px 6px', borderBottom: '1px solid #f0f0f0', textAlign: 'left' };
+
+// Rows left out of the import because their date doesn't read, each with its line in the
+// file (the header is line 1) and the reason.
+const ImportReport = ({ rejected, rows, total, wellColumn, format }) => (
+  <div style={{
+    padding: '8px 10px',
+    backgroundColor: '#fffbe6',
+    border: '1px solid #ffe58f',
+    borderRadius: '4px',
+    marginBottom: '10px',
+    fontSize: 12
+  }}>
+    <details>
+      <summary style={{ cursor: 'pointer' }}>
+        {rejected.length} of {total} rows rejected: the date doesn't read as {format}.
+      </summary>
+      <div style={{ maxHeight: 200, overflowY: 'auto', marginTop: 5 }}>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>Line</th>
+              {wellColumn && <th style={cellStyle}>Well</th>}
+              <th style={cellStyle}>Date value</th>
+              <th style={cellStyle}>Reason</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rejected.slice(0, MAX_LISTED).map(({ index, value, reason }) => (
+              <tr key={index}>
+                <td style={cellStyle}>{index + 2}</td>
+                {wellColumn && <td style={cellStyle}>{rows[index][wellColumn]}</td>}
+                <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{value}</td>
+                <td style={cellStyle}>{reason}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {rejected.length > MAX_LISTED && (
+          <div style={{ color: '#666', marginTop: 5 }}>…and {rejected.length - MAX_LISTED} more.</div>
+        )}
+      </div>
+    </details>
+  </div>
+);
+
+export default ImportReport;
@@ -1,7 +1,37 @@
 // src/InteractiveDCAChart.js
 import React, { useRef, useEffect, useState, useMemo, useCallback } from 'react';
 import * as d3 from 'd3';
-import { calculateRate, detectDateColumn, detectColumns } from './dca';
+import { detectDateColumn, detectColumns, detectCumColumns, detectDowntimeColumn } from './dca';
+import {
+  DAYS_PER_YEAR, DECLINE_UNITS, cumulativeFromRates, interpolateCumulative, nominalDailyToDeclineUnit
+} from './dca-utilities';
+import {
+  DEFAULT_MODEL, fitModel, hasValidParams, modelRate, modelCumulative, modelSwitchTime, applyDrag,
+  bootstrapForecast, remainingReserves, rateAtCumulative, fitRatio, ratioPoints, RATIO_KINDS, instantaneousDecline
+} from './decline-models';
+import {
+  DEFAULT_EXCLUSION_RULES, EXCLUSION_REASONS, hoursOn, ruleExclusions, markExclusions, setExcluded
+} from './exclusions';
+import { PRODUCING_DAYS, normalizeRows, dateAtTime, timeAtDate } from './normalization';
+import { parseDates } from './date-parsing';
+import { fitDiagnostics } from './fit-diagnostics';
+import { AUTO_MODEL, rankModels } from './model-selection';
+import { DEFAULT_FIT_START, detectFitStart } from './fit-start';
+import { cutoffTimes, holdoutDays, backtestAt, summarizeBacktests } from './backtest';
+import RatioPlot from './RatioPlot';
+import DiagnosticsPanel from './DiagnosticsPanel';
+
+// Pressure is a measurement, not a produced stream: it is plotted on its own axis and
+// only fitted with a decline curve on request.
+const PRESSURE = "pressure";
+const PANEL_HEIGHT = 150;
+
+// The locked values among a curve's own parameters.
+const lockedValues = (params, fixed) => {
+  let out = {};
+  Object.keys(fixed).filter(k => k in params).forEach(k => { out[k] = fixed[k]; });
+  return out;
+};
 
 // Throttled mouse move hook for tooltips.
 const useThrottledMouse = (callback, delay = 50) => {
@@ -20,11 +50,52 @@ const useThrottledMouse = (callback, delay = 50) => {
 
 const InteractiveDCAChart = React.memo(({
   dataString,
+  wellColumn,
+  wellId,
+  phaseParams,
+  onPhaseParamsChange,
+  autoFitEnabled,
+  onAutoFitChange,
   startDate,
   endDate,
   colors,
   yScaleType,
   forecastDays,
+  fitOptions,
+  phaseModels = {},
+  ratioModes = {},
+  pressureDisplay = "axis",
+  pressureOverlay = "pressure",
+  fitPressure = false,
+  initialPressure = 0,
+  terminalDecline = 0,
+  declineUnit = "daily",
+  probabilisticSamples = 0,
+  probabilisticRun = 0,
+  eurLimits = {},
+  plotMode = "time",
+  breakpoints = [],
+  locks = {},
+  exclusions = {},
+  exclusionRules = DEFAULT_EXCLUSION_RULES,
+  onExclusionsChange,
+  lassoMode = false,
+  dateColumn = null,
+  dateFormat = "auto",
+  phaseColumns = null,
+  rateUnits = {},
+  daysOnColumn = null,
+  timeBasis = "calendar",
+  backtest = null,
+  backtestRun = 0,
+  selectionCriterion = "aicc",
+  showModelRanking = false,
+  fitStartMethod = DEFAULT_FIT_START,
+  onFitStartChange,
+  showDiagnostics = false,
+  breakpointMode = false,
+  onBreakpointAdd,
+  onEditStart,
   onParametersCalculated
 }) => {
   const svgRef = useRef(null);
@@ -36,15 +107,14 @@ const InteractiveDCAChart = React.memo(({
 
   // Active key: "d" or "b" if pressed; otherwise we adjust Q by default.
   const [activeKey, setActiveKey] = useState(null);
-  // Auto‑fit on by default; disable after first drag.
-  const [autoFitEnabled, setAutoFitEnabled] = useState(true);
+  // phaseParams and autoFitEnabled are owned by the parent so each well keeps its own curves.
+  // Auto‑fit is on by default and disabled after the first drag.
   const [hoverInfo, setHoverInfo] = useState(null);
-  const [phaseParams, setPhaseParams] = useState({});
-  const prevParamsRef = useRef({});
   const lastOnParamsCallRef = useRef(null);
 
-  // Chart dims
-  const margin = { top: 20, right: 30, bottom: 40, left: 60 };
+  // Chart dims; a pressure axis on the right needs room for its ticks, a pressure panel
+  // is stacked under the rate plot.
+  const margin = { top: 20, right: pressureDisplay === "axis" ? 60 : 30, bottom: 40, left: 60 };
   const width = 800, height = 400;
   
   //** Sensitivity factors ** for domain-based changes. 
@@ -54,10 +124,13 @@ const InteractiveDCAChart = React.memo(({
   const bSensitivity = 0.05;  // Reduced from 1 to 0.05
   // For Q, we'll set a proportional factor instead of 1:1
   const qSensitivity = 0.8;   // Added proportional factor for Q
+  const dragSensitivity = useMemo(() => ({ q: qSensitivity, d: dSensitivity, b: bSensitivity }), [qSensitivity, dSensitivity, bSensitivity]);
 
   // Key listeners
   useEffect(() => {
     const handleKeyDown = (e) => {
+      // Typing in the well search box shouldn't arm drag modes.
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
       const k = e.key.toLowerCase();
       if (k === 'd' || k === 'b') {
         setActiveKey(k);
@@ -86,58 +159,124 @@ const InteractiveDCAChart = React.memo(({
   }, [dataString]);
 
   const hasData = parsedData.length > 0;
+  // The parent's column mapping wins; detection is the fallback when there is none.
   const prodDateCol = useMemo(() => 
-    hasData ? detectDateColumn(parsedData.columns) : "Production_Date", 
-    [hasData, parsedData]
+    dateColumn || (hasData ? detectDateColumn(parsedData.columns) : "Production_Date"), 
+    [hasData, parsedData, dateColumn]
   );
   const phasesDetected = useMemo(() => 
-    hasData ? detectColumns(parsedData.columns) : {}, 
+    phaseColumns || (hasData ? detectColumns(parsedData.columns) : {}), 
+    [hasData, parsedData, phaseColumns]
+  );
+  const cumColumns = useMemo(() =>
+    hasData ? detectCumColumns(parsedData.columns) : {},
     [hasData, parsedData]
   );
 
-  // Filter
-  const filteredData = useMemo(() => {
+  // The selected well's full history as reported; the date window below only narrows what is fitted.
+  const calendarRows = useMemo(() => {
     if (!hasData) return [];
-    let arr = parsedData.map(row => ({
-      ...row,
-      [prodDateCol]: new Date(row[prodDateCol])
-    })).filter(row => !isNaN(row[prodDateCol].getTime()));
-    arr.sort((a, b) => a[prodDateCol] - b[prodDateCol]);
-    if (startDate) {
-      const sd = new Date(startDate);
-      arr = arr.filter(r => r[prodDateCol] >= sd);
-    }
-    if (endDate) {
-      const ed = new Date(endDate);
-      arr = arr.filter(r => r[prodDateCol] <= ed);
+    const { dates } = parseDates(parsedData, prodDateCol, dateFormat);
+    let arr = parsedData
+      .map((row, i) => ({ ...row, [prodDateCol]: dates[i] }))
+      .filter(row => row[prodDateCol]);
+    if (wellColumn && wellId !== null && wellId !== undefined) {
+      arr = arr.filter(r => r[wellColumn] === wellId);
     }
+    arr.sort((a, b) => a[prodDateCol] - b[prodDateCol]);
     return arr;
-  }, [hasData, parsedData, startDate, endDate, prodDateCol]);
+  }, [hasData, parsedData, prodDateCol, dateFormat, wellColumn, wellId]);
+
+  // Every phase as a daily rate, and in producing-day time the producing days before each
+  // row (see normalizeRows); rows keep their calendar dates either way.
+  const producingTime = timeBasis === "producing";
+  const wellRows = useMemo(() =>
+    normalizeRows(calendarRows, { dateCol: prodDateCol, phaseColumns: phasesDetected, units: rateUnits, daysOnColumn, basis: timeBasis }),
+    [calendarRows, prodDateCol, phasesDetected, rateUnits, daysOnColumn, timeBasis]
+  );
+
+  const filteredData = useMemo(() => {
+    const sd = startDate ? new Date(startDate) : null;
+    const ed = endDate ? new Date(endDate) : null;
+    return wellRows.filter(r => (!sd || r[prodDateCol] >= sd) && (!ed || r[prodDateCol] <= ed));
+  }, [wellRows, startDate, endDate, prodDateCol]);
+  // Days a row is at: calendar days, or producing days since the well's first report.
+  const rowDays = useCallback(row =>
+    producingTime ? row[PRODUCING_DAYS] : row[prodDateCol].getTime() / 86400000,
+    [producingTime, prodDateCol]
+  );
 
   const localHasData = filteredData.length > 0;
   const firstDate = useMemo(() => 
     localHasData ? filteredData[0][prodDateCol] : new Date(), 
     [localHasData, filteredData, prodDateCol]
   );
+  // Chart time t: days since the first fitted report, producing days in producing-day time.
   const data = useMemo(() => {
     if (!localHasData) return [];
+    const origin = rowDays(filteredData[0]);
     return filteredData.map(row => ({
       ...row,
-      t: (row[prodDateCol] - firstDate) / 86400000
+      t: rowDays(row) - origin
     }));
-  }, [filteredData, localHasData, firstDate, prodDateCol]);
+  }, [filteredData, localHasData, rowDays]);
+  // Producing days from the well's first report to the first fitted one, for the axis.
+  const producingOffset = producingTime && localHasData ? filteredData[0][PRODUCING_DAYS] : 0;
+  // Chart time to calendar date and back (see dateAtTime), for anything reported or typed
+  // as a date: exclusion days, breakpoints, start locks, limit dates, the forecast start.
+  const timeline = useMemo(() => data.map(d => ({ t: d.t, date: d[prodDateCol] })), [data, prodDateCol]);
+  const calendarDate = useCallback(t => dateAtTime(timeline, t), [timeline]);
+  const timeOf = useCallback(date => timeAtDate(timeline, date), [timeline]);
+  // The plot's x axis runs on chart time from the first fitted report, so in producing-day
+  // time its dates count producing days rather than being calendar dates.
+  const plotDate = useCallback(t => new Date(firstDate.getTime() + t*86400000), [firstDate]);
+
+  // Volume produced before the fitted window, so the q vs Np view shows the well's true Np.
+  const priorCumulative = useMemo(() => {
+    let out = {};
+    if (!localHasData) return out;
+    const rows = wellRows.filter(r => r[prodDateCol] <= firstDate);
+    Object.keys(phasesDetected).forEach(phase => {
+      const pts = rows
+        .map(r => ({ t: rowDays(r), value: +r[phasesDetected[phase]] }))
+        .filter(p => !isNaN(p.value));
+      out[phase] = pts.length ? cumulativeFromRates(pts)[pts.length - 1].np : 0;
+    });
+    return out;
+  }, [localHasData, wellRows, prodDateCol, firstDate, phasesDetected, rowDays]);
 
-  // Build phase data
+  // Hours-on (or downtime) column for the downtime rule: the chosen one, else detected.
+  const downtimeSource = useMemo(() => {
+    if (!hasData) return null;
+    const chosen = exclusionRules.downtimeColumn;
+    if (chosen) return { column: chosen, kind: (detectDowntimeColumn([chosen]) || {}).kind || "hours" };
+    return detectDowntimeColumn(parsedData.columns);
+  }, [hasData, parsedData, exclusionRules.downtimeColumn]);
+
+  // Build phase data: { t, value, np, day, excluded } with np the cumulative from all the
+  // rates (see cumulativeFromRates) and excluded the reason a point is left out of the fit.
   const phaseData = useMemo(() => {
     let out = {};
     Object.keys(phasesDetected).forEach(phase => {
-      out[phase] = data.map(d => ({
+      const points = cumulativeFromRates(data.map(d => ({
         t: d.t,
-        value: +d[phasesDetected[phase]]
-      })).filter(x => !isNaN(x.value));
+        value: +d[phasesDetected[phase]],
+        day: d[prodDateCol].toISOString().slice(0,10),
+        hoursOn: downtimeSource ? hoursOn(d[downtimeSource.column], downtimeSource.kind) : NaN
+      })).filter(x => !isNaN(x.value)), priorCumulative[phase] || 0);
+      out[phase] = markExclusions(points, ruleExclusions(points, exclusionRules), exclusions[phase]);
+    });
+    return out;
+  }, [data, phasesDetected, priorCumulative, prodDateCol, downtimeSource, exclusionRules, exclusions]);
+
+  // What the fits see: the points nobody excluded.
+  const fitData = useMemo(() => {
+    let out = {};
+    Object.keys(phaseData).forEach(phase => {
+      out[phase] = phaseData[phase].filter(p => !p.excluded);
     });
     return out;
-  }, [data, phasesDetected]);
+  }, [phaseData]);
 
   const tMax = useMemo(() => localHasData ? d3.max(data, d => d.t) : 0, [data, localHasData]);
   const lastProdDate = useMemo(() =>
@@ -145,67 +284,386 @@ const InteractiveDCAChart = React.memo(({
     [data, localHasData, prodDateCol]
   );
 
-  // Auto-fit
-  useEffect(() => {
-    if (!localHasData || !autoFitEnabled) return;
-    let newP = {};
+  // Produced volume of a phase up to a date: the last reported cum value if the file has
+  // a cum column for the phase, otherwise the trapezoidal integral of the rates.
+  const producedBy = useCallback((phase, date) => {
+    const rows = wellRows.filter(r => r[prodDateCol] <= date);
+    const cumCol = cumColumns[phase];
+    if (cumCol) {
+      // Blank cells would read as 0, so skip them rather than convert them.
+      const reported = rows
+        .filter(r => r[cumCol] !== "" && r[cumCol] !== undefined && isFinite(+r[cumCol]))
+        .map(r => +r[cumCol]);
+      if (reported.length) return reported[reported.length - 1];
+    }
+    const pts = rows
+      .map(r => ({ t: rowDays(r), q: +r[phasesDetected[phase]] }))
+      .filter(p => !isNaN(p.q));
+    let sum = 0;
+    for (let i = 1; i < pts.length; i++) {
+      sum += (pts[i].t - pts[i-1].t) * (pts[i].q + pts[i-1].q) / 2;
+    }
+    return sum;
+  }, [wellRows, prodDateCol, phasesDetected, cumColumns, rowDays]);
+
+  // Produced volume up to the last fitted date
+  const historicalCumulative = useMemo(() => {
+    let out = {};
+    Object.keys(phasesDetected).forEach(phase => {
+      out[phase] = producedBy(phase, lastProdDate);
+    });
+    return out;
+  }, [phasesDetected, producedBy, lastProdDate]);
+
+  const wellStartDate = wellRows.length ? wellRows[0][prodDateCol] : firstDate;
+
+  // Forecast stops at the phase's economic limit rate, at the maximum well life counted
+  // from the well's first production date, or at the cash-flow economic limit date,
+  // whichever comes first (in chart time).
+  const reserveLimits = useMemo(() => {
+    const { rates = {}, maxLifeYears = 0, economicLimitDate } = eurLimits;
+    const tLife = maxLifeYears > 0
+      ? timeOf(new Date(wellStartDate.getTime() + maxLifeYears * DAYS_PER_YEAR * 86400000))
+      : Infinity;
+    const tEconomic = economicLimitDate ? timeOf(economicLimitDate) : Infinity;
+    const tEnd = Math.min(tLife, tEconomic);
+    const endReason = tEconomic < tLife ? "economic" : "life";
+    let out = {};
+    Object.keys(phasesDetected).filter(phase => phase !== PRESSURE).forEach(phase => {
+      out[phase] = { rateLimit: rates[phase] || 0, tEnd, endReason };
+    });
+    return out;
+  }, [eurLimits, wellStartDate, timeOf, phasesDetected]);
+
+  // EUR = produced history + remaining reserves to the limit
+  const eurDetails = useMemo(() => {
+    if (!localHasData) return {};
+    let out = {};
+    Object.keys(phaseParams).forEach(phase => {
+      const params = phaseParams[phase];
+      if (!hasValidParams(params) || !reserveLimits[phase]) return;
+      const historical = historicalCumulative[phase] || 0;
+      const { volume, tLimit, reason } = remainingReserves(params, tMax, reserveLimits[phase]);
+      const limitReason = reason === "life" ? reserveLimits[phase].endReason : reason;
+      const limited = isFinite(tLimit);
+      out[phase] = {
+        historical,
+        remaining: volume,
+        eur: historical + volume,
+        tLimit,
+        timeToLimitDays: limited ? tLimit - tMax : null,
+        limitDate: limited ? new Date(lastProdDate.getTime() + (tLimit - tMax)*86400000) : null,
+        limitReason
+      };
+    });
+    return out;
+  }, [localHasData, phaseParams, historicalCumulative, reserveLimits, tMax, lastProdDate]);
+
+  // Phases that get a decline (or ratio) fit.
+  const fittedPhases = useMemo(() =>
+    Object.keys(phaseData).filter(phase => phase !== PRESSURE || fitPressure),
+    [phaseData, fitPressure]
+  );
+
+  // Breakpoints (workovers, refracs) inside the fitted window split the history into
+  // segments; each is fitted on its own, and the last one carries the forecast.
+  const segmentStarts = useMemo(() => {
+    if (!localHasData) return [];
+    return breakpoints
+      .map(bp => ({ ...bp, t: timeOf(bp.date) }))
+      .filter(bp => bp.t > 0 && bp.t < tMax)
+      .sort((a, b) => a.t - b.t);
+  }, [breakpoints, localHasData, timeOf, tMax]);
+  const lastSegment = segmentStarts.length ? segmentStarts[segmentStarts.length - 1] : null;
+  const forecastT0 = lastSegment ? lastSegment.t : 0;
+
+  // Detected start of each phase's decline in the last segment (see fit-start.js), past
+  // the flowback and ramp-up at its beginning.
+  const detectedStarts = useMemo(() => {
+    let out = {};
+    fittedPhases.forEach(phase => {
+      const tStart = detectFitStart(fitData[phase].filter(p => p.t >= forecastT0), fitStartMethod);
+      if (tStart !== null) out[phase] = tStart;
+    });
+    return out;
+  }, [fittedPhases, fitData, forecastT0, fitStartMethod]);
+
+  // Per-phase fit settings from the parameter locks: { phase: { t0, Dmin, fixed } }. A
+  // locked start date (or the dragged fit-start marker) moves the forecast origin, which
+  // is otherwise the detected start; a locked Dmin overrides the terminal decline, and
+  // locked parameters are held at their values by auto-fit.
+  const phaseFits = useMemo(() => {
+    let out = {};
     Object.keys(phaseData).forEach(phase => {
-      const pts = phaseData[phase];
-      if (pts.length < 3) {
-        newP[phase] = { Qi: pts?.[0]?.value || 100, b: 0.5, D: 0.05 };
-      } else {
-        const f = pts[0], l = pts[pts.length - 1];
-        const Qi = f.value;
-        const b = 0.5;
-        const ratio = l.value / f.value;
-        const dt = l.t - f.t;
-        let D = (b === 0) 
-          ? -Math.log(ratio)/dt 
-          : ( (1/ratio)**b -1)/(b*dt);
-        D = Math.max(0.001, Math.min(0.5, D));
-        newP[phase] = { Qi, b, D };
+      const { start, Dmin, ...fixed } = locks[phase] || {};
+      const tStart = start ? timeOf(start) : NaN;
+      out[phase] = {
+        t0: isFinite(tStart) ? Math.min(tMax, Math.max(0, tStart)) : (detectedStarts[phase] ?? forecastT0),
+        Dmin: isFinite(Dmin) ? Dmin : terminalDecline,
+        fixed
+      };
+    });
+    return out;
+  }, [phaseData, locks, timeOf, tMax, forecastT0, detectedStarts, terminalDecline]);
+
+  // Every model fitted to the phase's fit window and ranked (see model-selection.js), for
+  // phases on the auto model and whenever the ranking is shown.
+  const modelRankings = useMemo(() => {
+    let out = {};
+    if (!localHasData) return out;
+    fittedPhases.forEach(phase => {
+      if (!showModelRanking && phaseModels[phase] !== AUTO_MODEL) return;
+      out[phase] = rankModels(fitData[phase], { ...fitOptions, ...phaseFits[phase] }, selectionCriterion);
+    });
+    return out;
+  }, [localHasData, fittedPhases, showModelRanking, phaseModels, fitData, fitOptions, phaseFits, selectionCriterion]);
+
+  // The phase's model, with auto resolved to the best-ranked one.
+  const chosenModels = useMemo(() => {
+    let out = {};
+    Object.keys(phasesDetected).forEach(phase => {
+      const best = modelRankings[phase] && modelRankings[phase][0];
+      out[phase] = phaseModels[phase] === AUTO_MODEL
+        ? (best ? best.model : DEFAULT_MODEL)
+        : phaseModels[phase] || DEFAULT_MODEL;
+    });
+    return out;
+  }, [phasesDetected, phaseModels, modelRankings]);
+
+  // A segment uses its breakpoint's model if one was chosen, else the phase's model.
+  const forecastModels = useMemo(() => {
+    let out = {};
+    Object.keys(phasesDetected).forEach(phase => {
+      out[phase] = (lastSegment && lastSegment.model) || chosenModels[phase];
+    });
+    return out;
+  }, [phasesDetected, lastSegment, chosenModels]);
+
+  const forecastData = useMemo(() => {
+    let out = {};
+    Object.keys(fitData).forEach(phase => {
+      out[phase] = fitData[phase].filter(p => p.t >= phaseFits[phase].t0);
+    });
+    return out;
+  }, [fitData, phaseFits]);
+
+  // Earlier segments, fitted independently: { phase: [{ tStart, tEnd, params, produced }] },
+  // where produced is the volume the well made in the segment (the first one counting
+  // everything before its end).
+  const historicalSegments = useMemo(() => {
+    let out = {};
+    if (!segmentStarts.length) return out;
+    fittedPhases.forEach(phase => {
+      let before = 0;
+      out[phase] = segmentStarts.map((bp, i) => {
+        const previous = i > 0 ? segmentStarts[i - 1] : null;
+        const tStart = previous ? previous.t : 0;
+        const model = (previous && previous.model) || chosenModels[phase];
+        const points = fitData[phase].filter(p => p.t < bp.t);
+        const { params } = fitModel(model, points, { ...fitOptions, Dmin: terminalDecline, t0: tStart });
+        const upToEnd = producedBy(phase, calendarDate(bp.t));
+        const produced = Math.max(0, upToEnd - before);
+        before = upToEnd;
+        return { tStart, tEnd: bp.t, params, produced };
+      });
+    });
+    return out;
+  }, [segmentStarts, fitData, fittedPhases, chosenModels, fitOptions, terminalDecline, producedBy, calendarDate]);
+
+  // Secondary phases forecast as a ratio to oil: { phase: { kind, basis } }, only for
+  // ratio kinds of that phase and when the file has oil to follow.
+  const ratioPhases = useMemo(() => {
+    let out = {};
+    if (!phaseData.oil || !phaseData.oil.length) return out;
+    Object.keys(phaseData).forEach(phase => {
+      const mode = ratioModes[phase];
+      const kind = mode && RATIO_KINDS[mode.kind];
+      if (kind && kind.phase === phase) out[phase] = { kind: mode.kind, basis: mode.basis || "time" };
+    });
+    return out;
+  }, [phaseData, ratioModes]);
+
+  // Phases fitted on their own come first, so ratio phases can follow the oil fit.
+  const fitOrder = useCallback((phases) =>
+    [...phases].sort((a, b) => (ratioPhases[a] ? 1 : 0) - (ratioPhases[b] ? 1 : 0)),
+    [ratioPhases]
+  );
+
+  // Auto-fit: least-squares fit of each phase's chosen model (see fitModel), or of its
+  // ratio to the fitted oil curve (see fitRatio).
+  const autoFitResults = useMemo(() => {
+    if (!localHasData || !autoFitEnabled) return null;
+    let results = {};
+    fitOrder(fittedPhases).forEach(phase => {
+      const ratio = ratioPhases[phase];
+      if (ratio && results.oil && hasValidParams(results.oil.params)) {
+        results[phase] = fitRatio(ratio.kind, ratio.basis, fitData.oil, fitData[phase], results.oil.params, phaseFits[phase].fixed);
+        return;
       }
+      results[phase] = fitModel(forecastModels[phase], fitData[phase], { ...fitOptions, ...phaseFits[phase] });
     });
-    if (JSON.stringify(newP) !== JSON.stringify(prevParamsRef.current)) {
-      prevParamsRef.current = newP;
-      setPhaseParams(newP);
+    return results;
+  }, [fitData, fittedPhases, localHasData, autoFitEnabled, fitOptions, forecastModels, phaseFits, ratioPhases, fitOrder]);
+
+  useEffect(() => {
+    if (!autoFitResults) return;
+    let newP = {};
+    Object.keys(autoFitResults).forEach(phase => {
+      newP[phase] = autoFitResults[phase].params;
+    });
+    if (JSON.stringify(newP) !== JSON.stringify(phaseParams)) {
+      onPhaseParamsChange(newP);
     }
-  }, [phaseData, localHasData, autoFitEnabled]);
+  }, [autoFitResults, phaseParams, onPhaseParamsChange]);
+
+  // Hand-edited curves: a phase switched to another model, or whose last segment moved to
+  // a new breakpoint or locked start date, is refitted (its parameters don't carry over),
+  // modified hyperbolic curves follow the chosen terminal decline, and locked parameters
+  // take their locked values. Ratio phases keep their ratio trend and follow the oil curve
+  // as it is dragged. An unlocked curve keeps its own start while it lies in the last
+  // segment, so exclusions or a new date window moving the detected start don't refit it.
+  useEffect(() => {
+    if (autoFitEnabled || !localHasData) return;
+    onPhaseParamsChange(prev => {
+      let copy = null;
+      fitOrder(Object.keys(prev)).forEach(phase => {
+        if (!fittedPhases.includes(phase)) {
+          copy = copy || {...prev};
+          delete copy[phase];
+          return;
+        }
+        const ratio = ratioPhases[phase];
+        const oil = (copy || prev).oil;
+        const current = prev[phase];
+        const { Dmin, fixed } = phaseFits[phase];
+        const origin = current.t0 || 0;
+        const frozen = !(locks[phase] || {}).start && hasValidParams(current) && current.model !== "ratio"
+          && origin >= forecastT0 && origin <= tMax;
+        const t0 = frozen ? origin : phaseFits[phase].t0;
+        const held = lockedValues(current, fixed);
+        const offLock = Object.keys(held).some(k => current[k] !== held[k]);
+        if (ratio && hasValidParams(oil)) {
+          if (current.model !== "ratio" || current.kind !== ratio.kind || current.basis !== ratio.basis
+            || (current.t0 || 0) !== (oil.t0 || 0)) {
+            copy = copy || {...prev};
+            copy[phase] = fitRatio(ratio.kind, ratio.basis, fitData.oil, fitData[phase], oil, fixed).params;
+          } else if (JSON.stringify(current.primary) !== JSON.stringify(oil) || offLock) {
+            copy = copy || {...prev};
+            copy[phase] = {...current, ...held, primary: oil};
+          }
+          return;
+        }
+        const wanted = forecastModels[phase] || DEFAULT_MODEL;
+        if ((current.model || DEFAULT_MODEL) !== wanted || (current.t0 || 0) !== t0) {
+          copy = copy || {...prev};
+          copy[phase] = fitModel(wanted, fitData[phase], { ...fitOptions, Dmin, t0, fixed }).params;
+        } else if ((wanted === "modified" && current.Dmin !== Dmin) || offLock) {
+          copy = copy || {...prev};
+          copy[phase] = {...current, ...held, ...(wanted === "modified" ? { Dmin } : {})};
+        }
+      });
+      return copy || prev;
+    });
+  }, [autoFitEnabled, localHasData, forecastModels, phaseFits, locks, forecastT0, tMax, fitData, fittedPhases, fitOptions, ratioPhases, fitOrder, onPhaseParamsChange]);
+
+  // Convergence and standard errors of the last auto-fit; empty once curves are hand-edited.
+  const fitStats = useMemo(() => {
+    let r = {};
+    if (!autoFitResults) return r;
+    Object.keys(autoFitResults).forEach(phase => {
+      const { converged, iterations, stdErrors, error, n } = autoFitResults[phase];
+      r[phase] = { converged, iterations, stdErrors, rmse: Math.sqrt(error), n };
+    });
+    return r;
+  }, [autoFitResults]);
 
-  // Plot points
+  // Goodness of fit of the curves as they stand over each phase's fit window; recomputed
+  // on every drag so a manual adjustment can be judged while it is made.
+  const diagnostics = useMemo(() => {
+    if (!localHasData || !showDiagnostics) return {};
+    const toDay = t => calendarDate(t).toISOString().slice(0,10);
+    let out = {};
+    Object.keys(forecastData).forEach(phase => {
+      const result = fitDiagnostics(forecastData[phase], phaseParams[phase]);
+      if (!result) return;
+      const { residuals } = result;
+      out[phase] = { ...result, windowStart: toDay(residuals[0].t), windowEnd: toDay(residuals[residuals.length - 1].t) };
+    });
+    return out;
+  }, [localHasData, showDiagnostics, forecastData, phaseParams, calendarDate]);
+
+  // Np along a curve: the data's cumulative at the curve origin plus what the curve produces
+  // from there, so q vs Np uses the same parameters as rate vs time.
+  const curveNp = useCallback((phase, params, t) =>
+    interpolateCumulative(phaseData[phase] || [], params.t0 || 0) + modelCumulative(params, t),
+    [phaseData]
+  );
+
+  // Plot points (rate streams; pressure has its own series below)
   const allHistoricalPoints = useMemo(() => {
     let out = [];
-    Object.keys(phaseData).forEach(phase => {
+    Object.keys(phaseData).filter(phase => phase !== PRESSURE).forEach(phase => {
       phaseData[phase].forEach(d => {
         out.push({
-          date: new Date(firstDate.getTime() + d.t * 86400000),
+          date: plotDate(d.t),
+          np: d.np,
           Q: d.value,
+          day: d.day,
+          excluded: d.excluded,
+          ruleExcluded: d.ruleExcluded,
           phase
         });
       });
     });
     return out;
-  }, [phaseData, firstDate]);
+  }, [phaseData, plotDate]);
+
+  // Pressure as measured, or rate-normalized: (initial pressure - pressure) / rate of the
+  // primary stream (oil, else gas, else water). The initial pressure defaults to the well's
+  // first reading.
+  const pressureSeries = useMemo(() => {
+    const points = phaseData[PRESSURE];
+    if (!points || !points.length) return null;
+    const toDate = plotDate;
+    if (pressureOverlay !== "normalized") {
+      return { label: "Pressure (psi)", points: points.map(p => ({ date: toDate(p.t), t: p.t, P: p.value, excluded: p.excluded })) };
+    }
+    const primary = ["oil", "gas", "water"].find(phase => phaseData[phase] && phaseData[phase].length);
+    if (!primary) return null;
+    const firstReading = wellRows.map(r => +r[phasesDetected[PRESSURE]]).find(v => !isNaN(v));
+    const pi = initialPressure > 0 ? initialPressure : firstReading;
+    const rateByT = new Map(phaseData[primary].map(p => [p.t, p.value]));
+    return {
+      label: `Δp/q (psi per ${primary === "gas" ? "mcf/d" : "bbl/d"} ${primary})`,
+      points: points
+        .filter(p => rateByT.get(p.t) > 0)
+        .map(p => ({ date: toDate(p.t), t: p.t, P: (pi - p.value) / rateByT.get(p.t), excluded: p.excluded }))
+        .filter(p => isFinite(p.P))
+    };
+  }, [phaseData, pressureOverlay, initialPressure, wellRows, phasesDetected, plotDate]);
 
   // Forecast
   const allForecastPoints = useMemo(() => {
     if (!localHasData) return {};
     let out = {};
     Object.keys(phaseParams).forEach(phase => {
-      const { Qi, b, D } = phaseParams[phase]||{};
-      if (!Qi || D<=0) {
+      const params = phaseParams[phase];
+      if (!hasValidParams(params)) {
         out[phase] = [];
         return;
       }
-      const lastRate = calculateRate(Qi, b, D, tMax);
-      let pts = [{ date: lastProdDate, Q: lastRate, phase }];
+      const lastRate = modelRate(params, tMax);
+      let pts = [{ date: plotDate(tMax), np: curveNp(phase, params, tMax), Q: lastRate, phase }];
       const steps = 50;
+      const tLimit = eurDetails[phase] ? eurDetails[phase].tLimit : Infinity;
+      const horizon = Math.max(0, Math.min(forecastDays, tLimit - tMax));
       for (let i=1; i<=steps; i++){
-        const days = (i/steps)*forecastDays;
+        const days = (i/steps)*horizon;
         const t = tMax + days;
-        const Q = calculateRate(Qi,b,D,t);
+        const Q = modelRate(params, t);
         pts.push({
-          date: new Date(lastProdDate.getTime() + days*86400000),
+          date: plotDate(t),
+          np: curveNp(phase, params, t),
           Q,
           phase
         });
@@ -213,37 +671,133 @@ const InteractiveDCAChart = React.memo(({
       out[phase] = pts;
     });
     return out;
-  }, [phaseParams, tMax, lastProdDate, forecastDays, localHasData]);
+  }, [phaseParams, tMax, plotDate, forecastDays, localHasData, eurDetails, curveNp]);
+
+  // Ratio plots: observed ratios over the whole window and the trend out to the forecast end.
+  const ratioPlots = useMemo(() => {
+    let out = {};
+    if (!localHasData || !hasValidParams(phaseParams.oil)) return out;
+    Object.keys(ratioPhases).forEach(phase => {
+      const params = phaseParams[phase];
+      if (!params || params.model !== "ratio") return;
+      const tEnd = tMax + forecastDays;
+      out[phase] = {
+        params,
+        points: ratioPoints(params.kind, params.basis, fitData.oil, fitData[phase]),
+        xMax: params.basis === "cumulative" ? curveNp("oil", phaseParams.oil, tEnd) : tEnd
+      };
+    });
+    return out;
+  }, [localHasData, ratioPhases, phaseParams, fitData, tMax, forecastDays, curveNp]);
+
+  // Hindcasts (see backtest.js): each phase refitted on the history before a cut-off with
+  // the live fit's model, locks and ratio settings. A refit per phase and cut-off, so like
+  // the bootstrap it only runs when asked (backtestRun changes to a new non-zero value),
+  // one cut-off per task; null until then, and again once the fits or settings it ran on
+  // change.
+  const [backtestRuns, setBacktestRuns] = useState(null);
+  // Run token the hindcasts were last completed for (0 again once the panel is hidden).
+  const completedBacktest = useRef(0);
+  useEffect(() => {
+    if (!backtestRun) completedBacktest.current = 0;
+    if (!backtestRun || backtestRun === completedBacktest.current || !localHasData || !backtest) {
+      setBacktestRuns(null);
+      return;
+    }
+    const tMin = d3.min(fittedPhases.flatMap(phase => fitData[phase]), p => p.t) ?? 0;
+    let pointsByPhase = {};
+    fitOrder(fittedPhases).forEach(phase => { pointsByPhase[phase] = fitData[phase]; });
+    const fitPhase = (phase, training, fitted) => {
+      const ratio = ratioPhases[phase];
+      if (ratio) {
+        return fitted.oil ? fitRatio(ratio.kind, ratio.basis, training.oil, training[phase], fitted.oil, phaseFits[phase].fixed).params : null;
+      }
+      // A segment or locked start after the cut-off can't be fitted; fit the whole training history then.
+      const { t0, ...settings } = phaseFits[phase];
+      const origin = training[phase].filter(p => p.t >= t0).length >= 3 ? t0 : 0;
+      return fitModel(forecastModels[phase], training[phase], { ...fitOptions, ...settings, t0: origin }).params;
+    };
+    const horizon = holdoutDays(backtest.holdout, backtest.unit);
+    const cutoffs = cutoffTimes(tMin, tMax, backtest);
+    const runs = [];
+    let timer = null;
+    const next = (i) => {
+      if (i >= cutoffs.length) {
+        completedBacktest.current = backtestRun;
+        setBacktestRuns(runs);
+        return;
+      }
+      runs.push(backtestAt(pointsByPhase, cutoffs[i], horizon, fitPhase));
+      timer = setTimeout(() => next(i + 1), 0);
+    };
+    timer = setTimeout(() => next(0), 0);
+    return () => clearTimeout(timer);
+  }, [backtestRun, localHasData, backtest, fittedPhases, fitData, fitOrder, ratioPhases, phaseFits, forecastModels, fitOptions, tMax]);
+
+  // Probabilistic bands: bootstrap of fit residuals per phase. Each sample is a refit, so
+  // the bootstrap only runs when asked (probabilisticRun changes to a new non-zero value),
+  // one phase per task so the page stays responsive; the bands are cleared once the curves
+  // or data move on after that run.
+  const [probabilisticForecast, setProbabilisticForecast] = useState({});
+  // Run token the bands were last completed for; tokens restart from 0 when the bands are
+  // switched off.
+  const completedBootstrap = useRef(0);
+  useEffect(() => {
+    if (!probabilisticRun) completedBootstrap.current = 0;
+    if (!probabilisticRun || probabilisticRun === completedBootstrap.current || !localHasData || !probabilisticSamples) {
+      setProbabilisticForecast(prev => (Object.keys(prev).length ? {} : prev));
+      return;
+    }
+    const steps = 50;
+    const times = d3.range(steps + 1).map(i => tMax + (i/steps)*forecastDays);
+    // Ratio streams inherit their spread from the oil curve, so they aren't resampled.
+    const phases = Object.keys(phaseParams).filter(phase => reserveLimits[phase] && phaseParams[phase].model !== "ratio");
+    let out = {};
+    let timer = null;
+    const next = (i) => {
+      if (i >= phases.length) {
+        completedBootstrap.current = probabilisticRun;
+        setProbabilisticForecast(out);
+        return;
+      }
+      const phase = phases[i];
+      const historical = historicalCumulative[phase] || 0;
+      const result = bootstrapForecast(forecastData[phase], phaseParams[phase], times, {
+        ...fitOptions,
+        Dmin: phaseFits[phase].Dmin,
+        fixed: phaseFits[phase].fixed,
+        samples: probabilisticSamples,
+        eur: sample => historical + remainingReserves(sample, tMax, reserveLimits[phase]).volume
+      });
+      if (result) out[phase] = { ...result, times, dates: times.map(plotDate) };
+      timer = setTimeout(() => next(i + 1), 0);
+    };
+    timer = setTimeout(() => next(0), 0);
+    return () => clearTimeout(timer);
+  }, [probabilisticRun, localHasData, probabilisticSamples, phaseParams, forecastData, tMax, forecastDays, fitOptions, phaseFits, historicalCumulative, reserveLimits, plotDate]);
 
   // EUR & forecast avg
   const calculatedEUR = useMemo(() => {
     let r = {};
     Object.keys(phaseParams).forEach(phase => {
-      const { Qi, b, D } = phaseParams[phase] || {};
-      if (!Qi || D<=0) {
-        r[phase] = "N/A";
-        return;
-      }
-      if (b===0) r[phase] = Qi/D;
-      else if (b>0&& b<1) r[phase] = Qi/(D*(1-b));
-      else if(b===1) r[phase] = Qi*10000;
-      else r[phase] = "N/A";
+      const details = eurDetails[phase];
+      r[phase] = details && isFinite(details.eur) ? details.eur : "N/A";
     });
     return r;
-  }, [phaseParams]);
+  }, [phaseParams, eurDetails]);
 
   const forecastAverage = useMemo(() => {
     let r = {};
     Object.keys(phaseParams).forEach(phase => {
-      const {Qi,b,D} = phaseParams[phase]||{};
-      if(!Qi||D<=0){
+      const params = phaseParams[phase];
+      if(!hasValidParams(params)){
         r[phase] =0;
         return;
       }
       let sum=0, steps=60;
       for(let i=0;i<=steps;i++){
         const t = tMax + (i/steps)*60;
-        sum += calculateRate(Qi,b,D,t);
+        sum += modelRate(params,t);
       }
       r[phase]= sum/(steps+1);
     });
@@ -253,12 +807,88 @@ const InteractiveDCAChart = React.memo(({
   // Notify parent
   useEffect(() => {
     if(!onParametersCalculated) return;
-    const newParams = {phaseParams, calculatedEUR, forecastAverage};
+    let probabilistic = {};
+    Object.keys(probabilisticForecast).forEach(phase => {
+      const { eur, times, p10, p50, p90, samples } = probabilisticForecast[phase];
+      probabilistic[phase] = {
+        samples,
+        eur,
+        forecast: times.map((t, i) => ({
+          date: calendarDate(t).toISOString().slice(0,10),
+          p10: p10[i],
+          p50: p50[i],
+          p90: p90[i]
+        }))
+      };
+    });
+    let eurBreakdown = {};
+    Object.keys(eurDetails).forEach(phase => {
+      const { historical, remaining, eur, timeToLimitDays, limitDate, limitReason } = eurDetails[phase];
+      eurBreakdown[phase] = {
+        historical,
+        remaining,
+        eur: isFinite(eur) ? eur : null,
+        timeToLimitDays,
+        limitDate: limitDate ? limitDate.toISOString().slice(0,10) : null,
+        limitReason
+      };
+    });
+    // Where the forecast starts, so the parent can build monthly volumes and cash flow.
+    const forecastBasis = localHasData ? {
+      tStart: tMax,
+      startDate: lastProdDate.toISOString().slice(0,10),
+      wellStartDate: wellStartDate.toISOString().slice(0,10)
+    } : null;
+    // Segment fits when the history is split at breakpoints, with the volume produced in
+    // each; the last segment also carries the remaining reserves, so the produced volumes
+    // and the remaining add up to the EUR.
+    const toDay = t => isFinite(t) ? calendarDate(t).toISOString().slice(0,10) : null;
+    let segments = {};
+    Object.keys(historicalSegments).forEach(phase => {
+      const past = historicalSegments[phase].map(({ tStart, tEnd, params, produced }) => ({
+        start: toDay(tStart), end: toDay(tEnd), params, produced
+      }));
+      const params = phaseParams[phase];
+      if (hasValidParams(params) && eurDetails[phase]) {
+        const { tLimit, historical, remaining } = eurDetails[phase];
+        const earlier = past.reduce((sum, segment) => sum + segment.produced, 0);
+        past.push({ start: toDay(params.t0 || 0), end: toDay(tLimit), params, produced: Math.max(0, historical - earlier), remaining });
+      }
+      segments[phase] = past;
+    });
+    // Points left out of the fits, so exports can flag them.
+    let excluded = {};
+    Object.keys(phaseData).forEach(phase => {
+      const points = phaseData[phase].filter(p => p.excluded);
+      if (points.length) excluded[phase] = points.map(p => ({ date: p.day, reason: EXCLUSION_REASONS[p.excluded] }));
+    });
+    // Backtest scores per cut-off, latest first, and their means per phase.
+    const backtestResult = backtest && backtestRuns ? {
+      runs: backtestRuns.map(({ cutoff, horizon, phases }) => {
+        let scores = {};
+        Object.keys(phases).forEach(phase => {
+          const { params, n, mape, bias, cumError, actualVolume, forecastVolume } = phases[phase];
+          scores[phase] = { params, n, mape, bias, cumError, actualVolume, forecastVolume };
+        });
+        return { cutoff: toDay(cutoff), end: toDay(cutoff + horizon), phases: scores };
+      }),
+      summary: summarizeBacktests(backtestRuns)
+    } : null;
+    // Model rankings with the model each ranked phase ends up using.
+    let modelRanking = {};
+    Object.keys(modelRankings).forEach(phase => {
+      modelRanking[phase] = {
+        auto: phaseModels[phase] === AUTO_MODEL,
+        chosen: chosenModels[phase],
+        models: modelRankings[phase].map(({ params, ...scores }) => scores)
+      };
+    });
+    const newParams = {phaseParams, calculatedEUR, eurDetails: eurBreakdown, forecastAverage, fitStats, forecastBasis, ...(segmentStarts.length ? { segments } : {}), excluded, probabilistic, ...(backtestResult ? { backtest: backtestResult } : {}), ...(Object.keys(modelRanking).length ? { modelRanking } : {})};
     if(JSON.stringify(newParams)!== JSON.stringify(lastOnParamsCallRef.current)){
       lastOnParamsCallRef.current = newParams;
       onParametersCalculated(newParams);
     }
-  },[phaseParams, calculatedEUR, forecastAverage,onParametersCalculated]);
+  },[phaseParams, calculatedEUR, eurDetails, forecastAverage, fitStats, probabilisticForecast, localHasData, tMax, lastProdDate, wellStartDate, historicalSegments, segmentStarts, calendarDate, phaseData, backtest, backtestRuns, modelRankings, chosenModels, phaseModels, onParametersCalculated]);
 
   // D3 effect
   useEffect(()=>{
@@ -281,21 +911,37 @@ const InteractiveDCAChart = React.memo(({
       .attr("fill","#f8f8f8")
       .attr("stroke","#ccc");
 
-    // X scale
-    const allDates = [
-      ...allHistoricalPoints.map(d=>d.date),
-      ...Object.values(allForecastPoints).flat().map(d=>d.date)
-    ];
-    const [minDate,maxDate] = d3.extent(allDates);
-    const xScale = d3.scaleTime()
-      .domain([minDate|| new Date(), maxDate|| new Date()])
-      .range([margin.left, width-margin.right]);
+    // X scale: dates, or cumulative production in the q vs Np view
+    const cumulativeMode = plotMode === "cumulative";
+    let xScale;
+    if(cumulativeMode){
+      const allNp = [
+        ...allHistoricalPoints.map(d=>d.np),
+        ...Object.values(allForecastPoints).flat().map(d=>d.np)
+      ].filter(isFinite);
+      const [minNp,maxNp] = d3.extent(allNp);
+      xScale = d3.scaleLinear()
+        .domain([minNp||0, maxNp||1])
+        .range([margin.left, width-margin.right]);
+    } else {
+      const allDates = [
+        ...allHistoricalPoints.map(d=>d.date),
+        ...Object.values(allForecastPoints).flat().map(d=>d.date)
+      ];
+      const [minDate,maxDate] = d3.extent(allDates);
+      xScale = d3.scaleTime()
+        .domain([minDate|| new Date(), maxDate|| new Date()])
+        .range([margin.left, width-margin.right]);
+    }
     xScaleRef.current = xScale;
+    const xOf = d => xScale(cumulativeMode ? d.np : d.date);
 
-    // Y scale
+    // Y scale (rates only; pressure gets its own scale below)
+    const rateForecasts = Object.keys(allForecastPoints).filter(phase=> phase!==PRESSURE).map(phase=> allForecastPoints[phase]);
     const allQ = [
       ...allHistoricalPoints.map(d=>d.Q),
-      ...Object.values(allForecastPoints).flat().map(d=>d.Q)
+      ...rateForecasts.flat().map(d=>d.Q),
+      ...Object.values(probabilisticForecast).flatMap(f=>f.p10)
     ];
     let [minQ,maxQ] = d3.extent(allQ);
     if(yScaleType!=="log"){
@@ -320,36 +966,49 @@ const InteractiveDCAChart = React.memo(({
       .attr("transform",`translate(0,${height-margin.bottom})`)
       .call(d3.axisBottom(xScale).tickSize(-(height-margin.top-margin.bottom)).tickFormat(""));
 
-    // Plot historical
-    Object.keys(phasesDetected).forEach(phase=>{
+    // Plot historical; excluded points are hollow, and clicking a point excludes or keeps it
+    const editable = onExclusionsChange && !breakpointMode && !lassoMode;
+    Object.keys(phasesDetected).filter(phase=> phase!==PRESSURE).forEach(phase=>{
       const pts = allHistoricalPoints.filter(x=>x.phase===phase);
+      const color = colors[phase]||"#888";
       dataLayer.selectAll(`circle.${phase}`)
         .data(pts)
         .enter().append("circle")
         .attr("class", phase)
-        .attr("cx", d=> xScale(d.date))
+        .attr("cx", d=> xOf(d))
         .attr("cy", d=> yScale(d.Q))
         .attr("r", 3)
-        .attr("fill", colors[phase]||"#888");
+        .attr("fill", d=> d.excluded ? "none" : color)
+        .attr("stroke", d=> d.excluded ? color : "none")
+        .attr("pointer-events","all")
+        .style("cursor", editable ? "pointer" : null)
+        .on("click", editable ? (evt,d)=>{
+          evt.stopPropagation();
+          onExclusionsChange(phase, overrides=> setExcluded(overrides, [d], !d.excluded));
+        } : null)
+        .append("title")
+        .text(d=> `${phase.toUpperCase()} ${d.day}: ${d3.format(",.1f")(d.Q)}${d.excluded ? ` (excluded: ${EXCLUSION_REASONS[d.excluded]})` : ""}`);
     });
 
     // Draw decline lines
     Object.keys(phaseParams).forEach(phase=>{
-      if(!phaseParams[phase]||!phaseData[phase]?.length) return;
-      const {Qi,b,D} = phaseParams[phase];
+      if(phase===PRESSURE||!phaseParams[phase]||!phaseData[phase]?.length) return;
+      const params = phaseParams[phase];
       const steps=100;
       let lineData=[];
       for(let i=0;i<=steps;i++){
         const frac = i/steps;
-        const t= tMax*frac;
-        const Q= calculateRate(Qi,b,D,t);
+        const t0 = params.t0||0;
+        const t= t0 + (tMax-t0)*frac;
+        const Q= modelRate(params,t);
         lineData.push({
           date: new Date(firstDate.getTime()+ t*86400000),
+          np: curveNp(phase, params, t),
           Q
         });
       }
       const lineGen = d3.line()
-        .x(d=> xScale(d.date))
+        .x(d=> xOf(d))
         .y(d=> yScale(d.Q))
         .curve(d3.curveMonotoneX);
       const path = dataLayer.append("path")
@@ -367,7 +1026,7 @@ const InteractiveDCAChart = React.memo(({
       path.call(d3.drag()
         .on("start",(evt)=>{
           // disable autofit
-          setAutoFitEnabled(false);
+          onAutoFitChange(false);
 
           // which param?
           const paramType = activeKey ? activeKey : "q";
@@ -383,49 +1042,19 @@ const InteractiveDCAChart = React.memo(({
         .on("drag",(evt)=>{
           if(!dragStartRef.current) return;
           const {paramType, initial, startY, startDomainY} = dragStartRef.current;
+          // name the edit for the undo history once the curve actually moves
+          if(!dragStartRef.current.moved && onEditStart) onEditStart(`Drag ${phase.toUpperCase()} ${paramType.toUpperCase()}`);
+          dragStartRef.current.moved = true;
           
           // Calculate domain change as a percentage for proportional adjustment
           const currentDomainY = yScale.invert(evt.y);
           const percentageChange = (startDomainY - currentDomainY) / startDomainY;
           
-          setPhaseParams(prev => {
-            const copy = {...prev};
-            if(!copy[phase]) return prev;
-
-            // Modified parameter adjustment logic
-            if(paramType === "q") {
-              // Proportional change for Q (drag up = increase Q)
-              const factor = 1 - (percentageChange * qSensitivity);
-              const newQ = Math.max(0.001, initial.Qi * factor);
-              copy[phase] = {...copy[phase], Qi: newQ};
-            } 
-            else if(paramType === "d") {
-              // Inverse proportional change for D (drag up = decrease D)
-              const factor = 1 + (percentageChange * dSensitivity);
-              const newD = Math.max(0.001, Math.min(0.5, initial.D * factor));
-              copy[phase] = {...copy[phase], D: newD};
-            } 
-            else if(paramType === "b") {
-              if (activeKey === "b") {
-                // When holding "b" key, adjust both b and D inversely
-                // Adjust b inversely proportional (drag up = decrease b)
-                const bFactor = 1 + (percentageChange * bSensitivity * 2);
-                const newB = Math.max(0, Math.min(1, initial.b * bFactor));
-                
-                // Also adjust D with a similar inverse relationship
-                const dFactor = 1 + (percentageChange * dSensitivity * 2);
-                const newD = Math.max(0.001, Math.min(0.5, initial.D * dFactor));
-                
-                copy[phase] = {...copy[phase], b: newB, D: newD};
-              } else {
-                // Normal b adjustment (inversely proportional)
-                const factor = 1 + (percentageChange * bSensitivity * 3);
-                const newB = Math.max(0, Math.min(1, initial.b * factor));
-                copy[phase] = {...copy[phase], b: newB};
-              }
-            }
-            
-            return copy;
+          onPhaseParamsChange(prev => {
+            if(!prev[phase]) return prev;
+            // Each model maps the Q/D/B drag keys onto its own parameters (see applyDrag).
+            // Locked parameters stay put.
+            return {...prev, [phase]: applyDrag(initial, paramType, percentageChange, dragSensitivity, Object.keys(locks[phase]||{}))};
           });
 
           evt.sourceEvent.stopPropagation();
@@ -437,12 +1066,140 @@ const InteractiveDCAChart = React.memo(({
       );
     });
 
+    // Earlier segment fits (not draggable) and the breakpoints between segments
+    Object.keys(historicalSegments).filter(phase=> phase!==PRESSURE).forEach(phase=>{
+      historicalSegments[phase].forEach(({ tStart, tEnd, params }, i)=>{
+        if(!hasValidParams(params)) return;
+        const lineData = d3.range(51).map(j=>{
+          const t = tStart + (tEnd-tStart)*j/50;
+          return { date: new Date(firstDate.getTime()+ t*86400000), np: curveNp(phase, params, t), Q: modelRate(params,t) };
+        });
+        dataLayer.append("path")
+          .datum(lineData)
+          .attr("class",`segment-line-${phase} segment-${i}`)
+          .attr("fill","none")
+          .attr("stroke", colors[phase]||"#888")
+          .attr("stroke-width",1.5)
+          .attr("stroke-opacity",0.7)
+          .attr("d", d3.line().x(d=> xOf(d)).y(d=> yScale(d.Q)).curve(d3.curveMonotoneX));
+      });
+    });
+    if(!cumulativeMode) segmentStarts.forEach(bp=>{
+      const x = xScale(new Date(firstDate.getTime()+ bp.t*86400000));
+      overlayLayer.append("line")
+        .attr("class","breakpoint-line")
+        .attr("x1", x).attr("x2", x)
+        .attr("y1", margin.top).attr("y2", height-margin.bottom)
+        .attr("stroke","#fa8c16")
+        .attr("stroke-width",1)
+        .attr("stroke-dasharray","2,4");
+      overlayLayer.append("text")
+        .attr("x", x+3)
+        .attr("y", height-margin.bottom-5)
+        .attr("fill","#fa8c16")
+        .style("font-size","10px")
+        .text(bp.date);
+    });
+
+    // Fit-start markers: where each curve's fit window begins. Dragging one locks the
+    // phase's start date there; the plotted range stays as it is.
+    if(!cumulativeMode) Object.keys(phaseParams).filter(phase=> phase!==PRESSURE).forEach((phase, i)=>{
+      const params = phaseParams[phase];
+      if(!hasValidParams(params) || params.model==="ratio") return;
+      const color = colors[phase]||"#888";
+      const toDay = t=> calendarDate(t).toISOString().slice(0,10);
+      const locked = !!(locks[phase]||{}).start;
+      const x = xScale(new Date(firstDate.getTime()+ (params.t0||0)*86400000));
+      const marker = overlayLayer.append("g")
+        .attr("class",`fit-start-${phase}`)
+        .attr("transform",`translate(${x},0)`)
+        .style("cursor", onFitStartChange ? "ew-resize" : null);
+      marker.append("line")
+        .attr("y1", margin.top).attr("y2", height-margin.bottom)
+        .attr("stroke", color)
+        .attr("stroke-width",1)
+        .attr("stroke-dasharray","6,3");
+      // wider invisible line to grab
+      marker.append("line")
+        .attr("y1", margin.top).attr("y2", height-margin.bottom)
+        .attr("stroke","transparent")
+        .attr("stroke-width",8);
+      marker.append("path")
+        .attr("d", d3.symbol(d3.symbolTriangle, 40)())
+        .attr("transform",`translate(0,${margin.top+4}) rotate(180)`)
+        .attr("fill", color);
+      const label = marker.append("text")
+        .attr("x", 4)
+        .attr("y", margin.top+30+ i*12)
+        .attr("fill", color)
+        .style("font-size","10px")
+        .text(`${phase.toUpperCase()} fit start ${toDay(params.t0||0)}`);
+      marker.append("title")
+        .text(`${phase.toUpperCase()} fit starts ${toDay(params.t0||0)} (${locked ? "locked" : autoFitEnabled ? "auto" : "held"}); drag to move`);
+      if(!onFitStartChange) return;
+      const tOf = px=> Math.min(tMax, Math.max(0, (xScale.invert(px) - firstDate)/86400000));
+      let moved = false;
+      marker.call(d3.drag()
+        .on("start",(evt)=>{
+          moved = false;
+          evt.sourceEvent.stopPropagation();
+        })
+        .on("drag",(evt)=>{
+          moved = true;
+          const t = tOf(evt.x);
+          marker.attr("transform",`translate(${xScale(new Date(firstDate.getTime()+ t*86400000))},0)`);
+          label.text(`${phase.toUpperCase()} fit start ${toDay(t)}`);
+          evt.sourceEvent.stopPropagation();
+        })
+        .on("end",(evt)=>{
+          if(moved) onFitStartChange(phase, toDay(tOf(evt.x)));
+          evt.sourceEvent.stopPropagation();
+        }));
+    });
+
+    // Lasso: points inside the drawn loop are excluded, or kept again with Shift held.
+    // Panning is off meanwhile so the drag draws; the wheel still zooms.
+    if(lassoMode && onExclusionsChange){
+      let loop = [];
+      const lassoPath = overlayLayer.append("path")
+        .attr("class","lasso")
+        .attr("fill","rgba(24,144,255,0.1)")
+        .attr("stroke","#1890ff")
+        .attr("stroke-dasharray","4,2");
+      svg.call(d3.drag()
+        .container(svg.node())
+        .on("start",(evt)=>{ loop = [[evt.x, evt.y]]; })
+        .on("drag",(evt)=>{
+          loop.push([evt.x, evt.y]);
+          lassoPath.attr("d", `${d3.line()(loop)}Z`);
+        })
+        .on("end",(evt)=>{
+          lassoPath.attr("d", null);
+          if(loop.length<3) return;
+          const exclude = !(evt.sourceEvent && evt.sourceEvent.shiftKey);
+          const inside = allHistoricalPoints.filter(d=> d3.polygonContains(loop, [xOf(d), yScaleRef.current(d.Q)]));
+          d3.groups(inside, d=> d.phase).forEach(([phase, pts])=>{
+            onExclusionsChange(phase, overrides=> setExcluded(overrides, pts, exclude));
+          });
+        }));
+    } else {
+      svg.on(".drag", null);
+    }
+
+    // Click-to-add breakpoints
+    svg.style("cursor", breakpointMode || lassoMode ? "crosshair" : null)
+      .on("click", breakpointMode && onBreakpointAdd && !cumulativeMode ? (evt)=>{
+        const [mx] = d3.pointer(evt, svg.node());
+        const t = (xScale.invert(mx) - firstDate)/86400000;
+        if(t > 0 && t < tMax) onBreakpointAdd(calendarDate(t).toISOString().slice(0,10));
+      } : null);
+
     // Forecast lines
-    Object.keys(allForecastPoints).forEach(phase=>{
+    Object.keys(allForecastPoints).filter(phase=> phase!==PRESSURE).forEach(phase=>{
       const pts = allForecastPoints[phase];
       if(pts.length>1){
         const lineGen= d3.line()
-          .x(d=> xScale(d.date))
+          .x(d=> xOf(d))
           .y(d=> yScale(d.Q))
           .curve(d3.curveMonotoneX);
         forecastLayer.append("path")
@@ -458,23 +1215,122 @@ const InteractiveDCAChart = React.memo(({
       }
     });
 
+    // P10-P90 bands with the P50 line
+    const bandArea = (scale) => d3.area()
+      .x(d=> xOf(d))
+      .y0(d=> scale(d.p90))
+      .y1(d=> scale(d.p10))
+      .curve(d3.curveMonotoneX);
+    if(!cumulativeMode) Object.keys(probabilisticForecast).forEach(phase=>{
+      const { dates, p10, p50, p90 } = probabilisticForecast[phase];
+      const color = colors[phase]||"#888";
+      forecastLayer.insert("path", ":first-child")
+        .datum({ band: dates.map((date,i)=>({ date, p10: p10[i], p90: p90[i] })) })
+        .attr("class",`uncertainty-band uncertainty-band-${phase}`)
+        .attr("fill", color)
+        .attr("fill-opacity",0.15)
+        .attr("stroke","none")
+        .attr("d", d=> bandArea(yScale)(d.band))
+        .append("title")
+        .text(`${phase.toUpperCase()} P10–P90`);
+      forecastLayer.append("path")
+        .datum(dates.map((date,i)=>({ date, Q: p50[i] })))
+        .attr("class",`p50-line-${phase}`)
+        .attr("fill","none")
+        .attr("stroke", color)
+        .attr("stroke-width",1)
+        .attr("stroke-dasharray","2,2")
+        .attr("d", d3.line().x(d=> xOf(d)).y(d=> yScale(d.Q)).curve(d3.curveMonotoneX));
+    });
+
+    // Backtest forecasts over their held-out stretch; the latest cut-off is marked and drawn
+    // strongest, older rolling ones fade.
+    if(!cumulativeMode && backtestRuns) backtestRuns.forEach((run,i)=>{
+      Object.keys(run.phases).forEach(phase=>{
+        if(phase===PRESSURE) return;
+        const steps = 40;
+        const curve = d3.range(steps+1).map(k=>{
+          const t = run.cutoff + (k/steps)*run.horizon;
+          return { date: new Date(firstDate.getTime()+ t*86400000), Q: modelRate(run.phases[phase].params,t) };
+        }).filter(d=> d.Q>0 && d.date<=plotDate(tMax));
+        forecastLayer.append("path")
+          .datum(curve)
+          .attr("class",`backtest-line backtest-line-${phase}`)
+          .attr("fill","none")
+          .attr("stroke", colors[phase]||"#888")
+          .attr("stroke-width", i===0 ? 2 : 1)
+          .attr("stroke-opacity", i===0 ? 0.9 : 0.35)
+          .attr("stroke-dasharray","6,3")
+          .attr("d", d3.line().x(d=> xOf(d)).y(d=> yScale(d.Q)))
+          .append("title")
+          .text(`${phase.toUpperCase()} backtest from ${calendarDate(run.cutoff).toISOString().slice(0,10)}`);
+      });
+    });
+    if(!cumulativeMode && backtestRuns && backtestRuns.length){
+      const x = xScale(new Date(firstDate.getTime()+ backtestRuns[0].cutoff*86400000));
+      overlayLayer.append("line")
+        .attr("class","backtest-cutoff")
+        .attr("x1", x).attr("x2", x)
+        .attr("y1", margin.top).attr("y2", height-margin.bottom)
+        .attr("stroke","#555")
+        .attr("stroke-dasharray","3,3")
+        .style("pointer-events","none");
+      overlayLayer.append("text")
+        .attr("x", x+4).attr("y", margin.top+12)
+        .style("font-size","11px")
+        .style("fill","#555")
+        .style("pointer-events","none")
+        .text("Backtest cut-off");
+    }
+
+    // Modified hyperbolic switch points (hyperbolic -> terminal exponential)
+    Object.keys(phaseParams).forEach(phase=>{
+      if(phase===PRESSURE||!phaseParams[phase]||!phaseData[phase]?.length) return;
+      const tSwitch = modelSwitchTime(phaseParams[phase]);
+      if(!(tSwitch>0) || tSwitch > tMax + forecastDays) return;
+      const marker = {
+        date: new Date(firstDate.getTime() + tSwitch*86400000),
+        np: curveNp(phase, phaseParams[phase], tSwitch),
+        Q: modelRate(phaseParams[phase],tSwitch)
+      };
+      forecastLayer.append("circle")
+        .datum(marker)
+        .attr("class",`switch-point-${phase}`)
+        .attr("cx", xOf(marker))
+        .attr("cy", yScale(marker.Q))
+        .attr("r",5)
+        .attr("fill","#fff")
+        .attr("stroke", colors[phase]||"#888")
+        .attr("stroke-width",2)
+        .append("title")
+        .text(`${phase.toUpperCase()} switches to terminal decline on ${marker.date.toDateString()}`);
+    });
+
     // vertical line
-    overlayLayer.append("line")
-      .attr("x1", xScale(lastProdDate))
-      .attr("y1", margin.top)
-      .attr("x2", xScale(lastProdDate))
-      .attr("y2", height-margin.bottom)
-      .attr("stroke","#666")
-      .attr("stroke-width",1)
-      .attr("stroke-dasharray","5,5");
-    overlayLayer.append("text")
-      .attr("x", xScale(lastProdDate)+5)
-      .attr("y", margin.top+15)
-      .attr("fill","#666")
-      .text("Forecast →");
+    if(!cumulativeMode){
+      const lastX = xScale(plotDate(tMax));
+      overlayLayer.append("line")
+        .attr("x1", lastX)
+        .attr("y1", margin.top)
+        .attr("x2", lastX)
+        .attr("y2", height-margin.bottom)
+        .attr("stroke","#666")
+        .attr("stroke-width",1)
+        .attr("stroke-dasharray","5,5");
+      overlayLayer.append("text")
+        .attr("x", lastX+5)
+        .attr("y", margin.top+15)
+        .attr("fill","#666")
+        .text("Forecast →");
+    }
 
     // Axes
-    const xAxis = d3.axisBottom(xScale).tickFormat(d3.timeFormat("%Y-%m-%d"));
+    // Producing-day time has no calendar: ticks count producing days from the first report.
+    const xAxis = d3.axisBottom(xScale).tickFormat(
+      cumulativeMode ? d3.format("~s")
+        : producingTime ? d=> d3.format(",.0f")((d - firstDate)/86400000 + producingOffset)
+        : d3.timeFormat("%Y-%m-%d")
+    );
     axisLayer.append("g")
       .attr("transform",`translate(0,${height-margin.bottom})`)
       .call(xAxis)
@@ -491,7 +1347,7 @@ const InteractiveDCAChart = React.memo(({
       .attr("x",width/2)
       .attr("y",height-5)
       .style("text-anchor","middle")
-      .text("Date");
+      .text(cumulativeMode ? "Cumulative Production (Np)" : producingTime ? "Producing Days" : "Date");
     axisLayer.append("text")
       .attr("transform","rotate(-90)")
       .attr("x",-height/2)
@@ -499,9 +1355,81 @@ const InteractiveDCAChart = React.memo(({
       .style("text-anchor","middle")
       .text("Production Rate");
 
+    // Pressure: a right-hand axis over the rate plot, or a panel stacked under it on the
+    // same time axis. Zoom only rescales rates, so it lives in its own layer.
+    if(pressureSeries && !cumulativeMode){
+      const panel = pressureDisplay === "panel";
+      const top = panel ? height + 20 : margin.top;
+      const bottom = panel ? height + PANEL_HEIGHT - 20 : height-margin.bottom;
+      const pressureLayer = svg.insert("g", ".overlay-layer").attr("class","pressure-layer");
+      const color = colors[PRESSURE]||"#000";
+      const pressureParams = phaseParams[PRESSURE];
+      const curve = fitPressure && pressureOverlay !== "normalized" && hasValidParams(pressureParams)
+        ? d3.range(101).map(i=>{
+          const t0 = pressureParams.t0||0;
+          const t = t0 + (tMax + forecastDays - t0)*i/100;
+          return { date: new Date(firstDate.getTime()+ t*86400000), t, P: modelRate(pressureParams,t) };
+        })
+        : [];
+      const pScale = d3.scaleLinear()
+        .domain(d3.extent([...pressureSeries.points, ...curve], d=> d.P))
+        .nice()
+        .range([bottom, top]);
+      if(panel){
+        pressureLayer.append("rect")
+          .attr("x", margin.left).attr("y", top)
+          .attr("width", width-margin.left-margin.right).attr("height", bottom-top)
+          .attr("fill","#f8f8f8")
+          .attr("stroke","#ccc");
+        pressureLayer.append("g")
+          .attr("transform",`translate(0,${bottom})`)
+          .call(d3.axisBottom(xScale).tickFormat(""));
+      }
+      pressureLayer.selectAll("circle.pressure")
+        .data(pressureSeries.points)
+        .enter().append("circle")
+        .attr("class","pressure")
+        .attr("cx", d=> xScale(d.date))
+        .attr("cy", d=> pScale(d.P))
+        .attr("r", 2.5)
+        .attr("fill", d=> d.excluded ? "none" : color)
+        .attr("stroke", color)
+        .attr("opacity", 0.7);
+      if(curve.length){
+        const pressureLine = d3.line().x(d=> xScale(d.date)).y(d=> pScale(d.P));
+        pressureLayer.append("path")
+          .datum(curve.filter(d=> d.t <= tMax))
+          .attr("class","decline-line-pressure")
+          .attr("fill","none")
+          .attr("stroke", color)
+          .attr("stroke-width",1.5)
+          .attr("d", pressureLine);
+        pressureLayer.append("path")
+          .datum(curve.filter(d=> d.t >= tMax))
+          .attr("class","forecast-line-pressure")
+          .attr("fill","none")
+          .attr("stroke", color)
+          .attr("stroke-width",1.5)
+          .attr("stroke-dasharray","5,3")
+          .attr("d", pressureLine);
+      }
+      pressureLayer.append("g")
+        .attr("class","pressure-axis")
+        .attr("transform",`translate(${panel ? margin.left : width-margin.right},0)`)
+        .call((panel ? d3.axisLeft(pScale) : d3.axisRight(pScale)).ticks(panel ? 4 : 8, "~s"));
+      pressureLayer.append("text")
+        .attr("transform","rotate(-90)")
+        .attr("x", -(top+bottom)/2)
+        .attr("y", panel ? 15 : width-8)
+        .style("text-anchor","middle")
+        .style("font-size","12px")
+        .text(pressureSeries.label);
+    }
+
     // Zoom
     const zoom= d3.zoom()
       .scaleExtent([0.5,10])
+      .filter(evt=> lassoMode ? evt.type==="wheel" : (!evt.ctrlKey || evt.type==="wheel") && !evt.button)
       .on("zoom",(evt)=>{
         zoomTransformRef.current= evt.transform;
         const newYScale= evt.transform.rescaleY(yScale);
@@ -512,14 +1440,18 @@ const InteractiveDCAChart = React.memo(({
         dataLayer.selectAll("path").attr("d", function(d){
           if(!Array.isArray(d))return;
           return d3.line()
-            .x(d=> xScale(d.date))
+            .x(d=> xOf(d))
             .y(d=> newYScale(d.Q))
             .curve(d3.curveMonotoneX)(d);
         });
-        forecastLayer.selectAll("path").attr("d",function(d){
+        forecastLayer.selectAll("circle")
+          .attr("cy", d=> newYScale(d.Q));
+        forecastLayer.selectAll("path.uncertainty-band")
+          .attr("d", d=> bandArea(newYScale)(d.band));
+        forecastLayer.selectAll("path:not(.uncertainty-band)").attr("d",function(d){
           if(!Array.isArray(d))return;
           return d3.line()
-            .x(d=> xScale(d.date))
+            .x(d=> xOf(d))
             .y(d=> newYScale(d.Q))
             .curve(d3.curveMonotoneX)(d);
         });
@@ -527,25 +1459,42 @@ const InteractiveDCAChart = React.memo(({
       });
     svg.call(zoom);
   },[
-    localHasData, allHistoricalPoints, allForecastPoints, phasesDetected, 
-    phaseParams, phaseData, firstDate, tMax, lastProdDate, yScaleType, colors, 
-    dSensitivity, bSensitivity, qSensitivity, activeKey
+    localHasData, allHistoricalPoints, allForecastPoints, probabilisticForecast, backtestRuns, phasesDetected, 
+    phaseParams, autoFitEnabled, phaseData, firstDate, tMax, forecastDays, yScaleType, colors, 
+    dragSensitivity, activeKey, onPhaseParamsChange, onAutoFitChange, onEditStart,
+    locks, onFitStartChange, historicalSegments, segmentStarts, breakpointMode, onBreakpointAdd, lassoMode, onExclusionsChange,
+    plotMode, curveNp, pressureSeries, pressureDisplay, pressureOverlay, fitPressure, producingTime, producingOffset,
+    plotDate, calendarDate
   ]);
 
   // Throttled mouse move for tooltip
   const throttledMouseMove = useThrottledMouse((event)=>{
     if(!localHasData || !xScaleRef.current || !yScaleRef.current) return;
     const [mx] = d3.pointer(event, svgRef.current);
+    let vals = {};
+    if(plotMode === "cumulative"){
+      const np = xScaleRef.current.invert(mx);
+      Object.keys(phaseParams).forEach(phase=>{
+        const params = phaseParams[phase];
+        if(hasValidParams(params)){
+          vals[phase] = rateAtCumulative(params, np - interpolateCumulative(phaseData[phase] || [], params.t0 || 0));
+        }
+      });
+      setHoverInfo({ x: mx, label: `Np ${d3.format(",.0f")(np)}`, values: vals });
+      return;
+    }
     const date = xScaleRef.current.invert(mx);
     const t = (date - firstDate)/86400000;
-    let vals = {};
+    // Instantaneous decline under the cursor, in the display unit (secant uses the local b)
+    let declines = {};
     Object.keys(phaseParams).forEach(phase=>{
-      const {Qi,b,D} = phaseParams[phase]||{};
-      if(Qi && b!==undefined && D){
-        vals[phase] = calculateRate(Qi,b,D,t);
+      if(hasValidParams(phaseParams[phase])){
+        vals[phase] = modelRate(phaseParams[phase],t);
+        const { D, b } = instantaneousDecline(phaseParams[phase], t);
+        declines[phase] = nominalDailyToDeclineUnit(D, declineUnit, b);
       }
     });
-    setHoverInfo({ x: mx, date, values: vals });
+    setHoverInfo({ x: mx, label: calendarDate(t).toDateString(), values: vals, declines });
   }, 50);
 
   return (
@@ -569,11 +1518,31 @@ const InteractiveDCAChart = React.memo(({
       <svg
         ref={svgRef}
         width={width}
-        height={height}
+        height={pressureSeries && pressureDisplay === "panel" && plotMode !== "cumulative" ? height + PANEL_HEIGHT : height}
         onMouseMove={throttledMouseMove}
         onMouseOut={()=> setHoverInfo(null)}
       />
+
+      {Object.keys(ratioPlots).length > 0 && (
+        <div style={{ display:'flex', gap:20, marginTop:10 }}>
+          {Object.keys(ratioPlots).map(phase => (
+            <RatioPlot
+              key={phase}
+              phase={phase}
+              params={ratioPlots[phase].params}
+              points={ratioPlots[phase].points}
+              xMax={ratioPlots[phase].xMax}
+              firstDate={firstDate}
+              color={colors[phase] || "#888"}
+            />
+          ))}
+        </div>
+      )}
       
+      {showDiagnostics && (
+        <DiagnosticsPanel diagnostics={diagnostics} firstDate={firstDate} colors={colors} />
+      )}
+
       {hoverInfo && (
         <div style={{
           position:'absolute', left: hoverInfo.x+5, top:0,
@@ -581,9 +1550,14 @@ const InteractiveDCAChart = React.memo(({
           border:'1px solid #ccc', padding:5, fontSize:12,
           borderRadius:4, zIndex:1000
         }}>
-          <div>{hoverInfo.date.toDateString()}</div>
+          <div>{hoverInfo.label}</div>
           {Object.keys(hoverInfo.values).map(ph=>(
-            <div key={ph}>{ph.toUpperCase()}: {hoverInfo.values[ph].toFixed(2)}</div>
+            <div key={ph}>
+              {ph.toUpperCase()}: {hoverInfo.values[ph].toFixed(2)}
+              {hoverInfo.declines && isFinite(hoverInfo.declines[ph]) && (
+                ` (D ${declineUnit === "daily" ? hoverInfo.declines[ph].toPrecision(3) : hoverInfo.declines[ph].toFixed(1)} ${DECLINE_UNITS[declineUnit].short})`
+              )}
+            </div>
           ))}
         </div>
       )}
@@ -0,0 +1,109 @@
+// src/ModelRankingPanel.jsx
+import React from 'react';
+import { AUTO_MODEL, SELECTION_CRITERIA, HINDCAST_FRACTION } from './model-selection';
+
+const cellStyle = { textAlign: 'right', padding: '2px 6px' };
+const headStyle = { padding: '2px 6px', background: '#fafafa' };
+const buttonStyle = {
+  padding: '1px 8px', border: '1px solid #ccc', background: '#fff',
+  borderRadius: '4px', cursor: 'pointer', fontSize: 12
+};
+
+const fixed = (v, digits) => (v !== null && v !== undefined && isFinite(v) ? v.toFixed(digits) : 'N/A');
+
+// Difference to the lowest finite score of the column; blank where the model wasn't scored.
+const deltas = (models, key) => {
+  const finite = models.map(m => m[key]).filter(v => v !== null && isFinite(v));
+  const best = finite.length ? Math.min(...finite) : NaN;
+  return models.map(m => (m[key] !== null && isFinite(m[key]) && isFinite(best) ? m[key] - best : NaN));
+};
+
+// Every decline model fitted to each phase, best first on the chosen criterion. The model
+// the phase uses is highlighted; "Use" pins another one, "Auto" goes back to the best.
+// Fits in log space are scored on log-rate residuals, so the RMSE is then in ln(rate).
+const ModelRankingPanel = ({ ranking, criterion, onCriterionChange, onSelect, colors, logSpace = false }) => {
+  const phases = Object.keys(ranking || {});
+
+  return (
+    <div style={{ marginTop: 20, borderTop: '1px solid #ddd', paddingTop: 10 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+        <h4 style={{ margin: 0 }}>Model Ranking</h4>
+        <label style={{ fontSize: 13 }}>
+          Rank by:
+          <select value={criterion} onChange={e => onCriterionChange(e.target.value)} style={{ marginLeft: 5 }}>
+            {Object.keys(SELECTION_CRITERIA).map(key => (
+              <option key={key} value={key}>{SELECTION_CRITERIA[key]}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {!phases.length && (
+        <div style={{ color: '#666', fontSize: 13, marginTop: 10 }}>No fitted phases to rank.</div>
+      )}
+      {phases.map(phase => {
+        const { auto, chosen, models } = ranking[phase];
+        const dAicc = deltas(models, 'aicc');
+        const dBic = deltas(models, 'bic');
+        return (
+          <div key={phase} style={{ marginTop: 10 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 10, fontSize: 13, marginBottom: 3 }}>
+              <strong style={{ color: colors[phase] || '#000' }}>{phase.toUpperCase()}</strong>
+              <span>{auto ? 'Auto (best fit)' : 'Chosen by hand'}</span>
+              {!auto && (
+                <button style={buttonStyle} onClick={() => onSelect(phase, AUTO_MODEL)}>Auto</button>
+              )}
+            </div>
+            <table style={{ fontSize: 12, borderCollapse: 'collapse' }}>
+              <thead>
+                <tr>
+                  <th style={headStyle}>#</th>
+                  <th style={headStyle}>Model</th>
+                  <th style={headStyle}>k</th>
+                  <th style={headStyle}>n</th>
+                  <th style={headStyle}>{logSpace ? 'RMSE (ln rate)' : 'RMSE'}</th>
+                  <th style={headStyle}>AICc</th>
+                  <th style={headStyle}>ΔAICc</th>
+                  <th style={headStyle}>BIC</th>
+                  <th style={headStyle}>ΔBIC</th>
+                  <th style={headStyle}>Hindcast MAPE</th>
+                  <th style={headStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {models.map((m, i) => {
+                  const isChosen = m.model === chosen;
+                  return (
+                    <tr key={m.model} style={{ background: isChosen ? '#e6f7ff' : undefined }}>
+                      <td style={cellStyle}>{i + 1}</td>
+                      <td style={{ ...cellStyle, textAlign: 'left', fontWeight: isChosen ? 'bold' : 'normal' }}>{m.label}</td>
+                      <td style={cellStyle}>{m.k}</td>
+                      <td style={cellStyle}>{m.n}</td>
+                      <td style={cellStyle}>{fixed(m.rmse, logSpace ? 4 : 2)}</td>
+                      <td style={cellStyle}>{fixed(m.aicc, 1)}</td>
+                      <td style={cellStyle}>{fixed(dAicc[i], 1)}</td>
+                      <td style={cellStyle}>{fixed(m.bic, 1)}</td>
+                      <td style={cellStyle}>{fixed(dBic[i], 1)}</td>
+                      <td style={cellStyle}>{m.hindcastMape !== null && isFinite(m.hindcastMape) ? `${m.hindcastMape.toFixed(1)}%` : 'N/A'}</td>
+                      <td style={cellStyle}>
+                        {(auto || !isChosen) && (
+                          <button style={buttonStyle} onClick={() => onSelect(phase, m.model)}>Use</button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+      <div style={{ fontSize: 12, color: '#666', marginTop: 5 }}>
+        Lower is better. A ΔAICc or ΔBIC under 2 is no real difference; the hindcast fits all but
+        the last {Math.round(HINDCAST_FRACTION * 100)}% of the points and scores the forecast on them.
+      </div>
+    </div>
+  );
+};
+
+export default ModelRankingPanel;
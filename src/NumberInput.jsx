@@ -0,0 +1,29 @@
+// src/NumberInput.jsx
+import React, { useState, useEffect } from 'react';
+
+const formatNumber = (value) => (isFinite(value) ? String(+value.toPrecision(5)) : '');
+
+// Plain number input that keeps the typed text, so "0." or "-" survive until they parse.
+const NumberInput = ({ value, onChange, style, ...rest }) => {
+  const [text, setText] = useState(() => formatNumber(value));
+
+  useEffect(() => {
+    setText(prev => (prev !== '' && Number(prev) === value ? prev : formatNumber(value)));
+  }, [value]);
+
+  return (
+    <input
+      type="number"
+      {...rest}
+      value={text}
+      onChange={e => {
+        setText(e.target.value);
+        const num = Number(e.target.value);
+        if (e.target.value !== '' && isFinite(num)) onChange(num);
+      }}
+      style={style}
+    />
+  );
+};
+
+export default NumberInput;
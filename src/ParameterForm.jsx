@@ -0,0 +1,101 @@
+// src/ParameterForm.jsx
+import React from 'react';
+import DeclineInput from './DeclineInput';
+import NumberInput from './NumberInput';
+import { getModel, paramLabel } from './decline-models';
+
+const inputStyle = { width: 80 };
+const cellStyle = { padding: '1px 4px' };
+
+const dayOffset = (date, days) => new Date(new Date(date).getTime() + days * 86400000).toISOString().slice(0, 10);
+
+// One row per curve parameter with a lock box. Locked values are held by auto-fit and by
+// dragging; the terminal decline and the forecast start lock as soon as they are edited,
+// and unlocking them goes back to the global terminal decline and the detected fit start.
+const ParameterForm = ({ phaseParams, locks, declineUnit, forecastBasis, onParamChange, onLockChange, onAutoFit }) => {
+  const phases = Object.keys(phaseParams).filter(phase => phaseParams[phase]);
+  // Chart time t is forecastBasis.startDate plus (t - tStart) days.
+  const startOf = (params) => forecastBasis
+    ? dayOffset(forecastBasis.startDate, (params.t0 || 0) - forecastBasis.tStart)
+    : '';
+
+  const lockBox = (phase, key, value) => (
+    <input
+      type="checkbox"
+      title="Lock"
+      checked={!!(locks[phase] && key in locks[phase])}
+      onChange={e => onLockChange(phase, key, e.target.checked ? value : undefined)}
+    />
+  );
+
+  if (!phases.length) return null;
+  return (
+    <div style={{ fontSize: '12px', marginBottom: 10 }}>
+      {phases.map(phase => {
+        const params = phaseParams[phase];
+        const model = getModel(params.model);
+        const declines = model.declines || {};
+        const phaseLocks = locks[phase] || {};
+        return (
+          <div key={phase} style={{ marginBottom: 8 }}>
+            <strong>{phase.toUpperCase()}</strong> <span style={{ color: '#666' }}>{model.label}</span>
+            <table style={{ borderCollapse: 'collapse' }}>
+              <tbody>
+                {model.params.map(key => (
+                  <tr key={key}>
+                    <td style={cellStyle}>{paramLabel(params.model, key, declineUnit)}</td>
+                    <td style={cellStyle}>
+                      {key in declines ? (
+                        <DeclineInput
+                          value={params[key]}
+                          unit={declineUnit}
+                          b={declines[key] ? params[declines[key]] : 0}
+                          onChange={value => onParamChange(phase, key, value)}
+                          style={inputStyle}
+                        />
+                      ) : (
+                        <NumberInput value={params[key]} onChange={value => onParamChange(phase, key, value)} style={inputStyle} />
+                      )}
+                    </td>
+                    <td style={cellStyle}>{lockBox(phase, key, params[key])}</td>
+                  </tr>
+                ))}
+                {params.model === 'modified' && (
+                  <tr>
+                    <td style={cellStyle}>{paramLabel(params.model, 'Dmin', declineUnit)}</td>
+                    <td style={cellStyle}>
+                      <DeclineInput
+                        value={params.Dmin}
+                        unit={declineUnit}
+                        onChange={value => onLockChange(phase, 'Dmin', value)}
+                        style={inputStyle}
+                      />
+                    </td>
+                    <td style={cellStyle}>{lockBox(phase, 'Dmin', params.Dmin)}</td>
+                  </tr>
+                )}
+                {params.model !== 'ratio' && forecastBasis && (
+                  <tr>
+                    <td style={cellStyle}>Forecast start</td>
+                    <td style={cellStyle}>
+                      <input
+                        type="date"
+                        value={phaseLocks.start || startOf(params)}
+                        onChange={e => e.target.value && onLockChange(phase, 'start', e.target.value)}
+                        style={{ width: 120 }}
+                      />
+                    </td>
+                    <td style={cellStyle}>{lockBox(phase, 'start', startOf(params))}</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+      <button onClick={onAutoFit}>Auto-fit unlocked</button>
+    </div>
+  );
+};
+
+export default ParameterForm;
@@ -0,0 +1,75 @@
+// src/RatioPlot.jsx
+import React, { useRef, useEffect } from 'react';
+import * as d3 from 'd3';
+import { RATIO_KINDS, ratioAt } from './decline-models';
+
+const width = 390, height = 180;
+const margin = { top: 20, right: 15, bottom: 35, left: 55 };
+
+// Observed ratios of a secondary phase and the fitted ratio trend, against time (as dates)
+// or cumulative oil. Water cut is a fraction on a linear axis; the other ratios are log scale.
+const RatioPlot = ({ phase, params, points, xMax, firstDate, color }) => {
+  const svgRef = useRef(null);
+  const kind = RATIO_KINDS[params.kind] || RATIO_KINDS.gor;
+  const cumulativeBasis = params.basis === "cumulative";
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (!points.length) return;
+
+    const xStart = d3.min(points, p => p.x);
+    const xEnd = Math.max(xMax, d3.max(points, p => p.x));
+    const toX = x => (cumulativeBasis ? x : new Date(firstDate.getTime() + x * 86400000));
+    const x = (cumulativeBasis ? d3.scaleLinear() : d3.scaleTime())
+      .domain([toX(xStart), toX(xEnd)])
+      .range([margin.left, width - margin.right]);
+
+    const curve = d3.range(61).map(i => {
+      const xv = xStart + (i / 60) * (xEnd - xStart);
+      return { x: xv, ratio: ratioAt(params, xv) };
+    });
+    const ratios = points.map(p => p.ratio).concat(curve.map(p => p.ratio)).filter(r => r > 0 && isFinite(r));
+    const y = params.kind === "watercut"
+      ? d3.scaleLinear().domain([0, 1]).range([height - margin.bottom, margin.top])
+      : d3.scaleLog().domain([d3.min(ratios), d3.max(ratios)]).nice().range([height - margin.bottom, margin.top]);
+
+    svg.append("g")
+      .attr("transform", `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(5).tickFormat(cumulativeBasis ? d3.format(".2s") : null));
+    svg.append("g")
+      .attr("transform", `translate(${margin.left},0)`)
+      .call(d3.axisLeft(y).ticks(4, params.kind === "watercut" ? ".0%" : ".2~s"));
+    svg.append("text")
+      .attr("x", margin.left).attr("y", 12)
+      .style("font-size", "12px")
+      .text(`${phase.toUpperCase()} as ${kind.label}`);
+    svg.append("text")
+      .attr("x", width - margin.right).attr("y", height - 3)
+      .attr("text-anchor", "end")
+      .style("font-size", "11px")
+      .text(cumulativeBasis ? "Cumulative oil" : "Date");
+
+    svg.selectAll(".ratio-point")
+      .data(points)
+      .enter().append("circle")
+      .attr("class", "ratio-point")
+      .attr("cx", p => x(toX(p.x)))
+      .attr("cy", p => y(p.ratio))
+      .attr("r", 2)
+      .attr("fill", color)
+      .attr("opacity", 0.6);
+
+    svg.append("path")
+      .datum(curve.filter(p => p.ratio > 0 && isFinite(p.ratio)))
+      .attr("fill", "none")
+      .attr("stroke", "black")
+      .attr("stroke-width", 1.5)
+      .attr("d", d3.line().x(p => x(toX(p.x))).y(p => y(p.ratio)));
+  }, [phase, params, points, xMax, firstDate, color, kind, cumulativeBasis]);
+
+  return <svg ref={svgRef} width={width} height={height} />;
+};
+
+export default RatioPlot;
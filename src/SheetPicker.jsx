@@ -0,0 +1,97 @@
+// src/SheetPicker.jsx
+import React, { useState } from 'react';
+import { SHEET_MODES, largestSheet } from './workbook-import';
+
+const overlayStyle = {
+  position: 'fixed', inset: 0, zIndex: 1000,
+  background: 'rgba(0, 0, 0, 0.35)',
+  display: 'flex', alignItems: 'center', justifyContent: 'center'
+};
+const dialogStyle = {
+  background: '#fff', borderRadius: '5px', padding: '15px 20px',
+  boxShadow: '0 2px 12px rgba(0, 0, 0, 0.25)', maxWidth: '720px', maxHeight: '85vh', overflowY: 'auto'
+};
+const cellStyle = { padding: '3px 6px', fontSize: 12, textAlign: 'left', verticalAlign: 'top' };
+const previewStyle = { ...cellStyle, color: '#666', fontFamily: 'monospace' };
+
+const MAX_PREVIEW_COLUMNS = 6;
+
+// Picks the sheets of a workbook to import, with each sheet's row count, headers and first
+// row. The largest sheet starts selected; several can be imported as wells or stacked.
+const SheetPicker = ({ fileName, sheets, onImport, onCancel }) => {
+  const [selected, setSelected] = useState(() => [largestSheet(sheets)].filter(Boolean));
+  const [mode, setMode] = useState('wells');
+  const toggle = (name) => setSelected(prev =>
+    prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]
+  );
+  // Import in workbook order, not click order.
+  const ordered = sheets.map(s => s.name).filter(name => selected.includes(name));
+
+  return (
+    <div style={overlayStyle}>
+      <div style={dialogStyle} role="dialog" aria-label="Choose sheets">
+        <h4 style={{ marginTop: 0 }}>Sheets in {fileName}</h4>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}></th>
+              <th style={cellStyle}>Sheet</th>
+              <th style={cellStyle}>Rows</th>
+              <th style={cellStyle}>Columns / first row</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sheets.map(sheet => (
+              <tr key={sheet.name} style={{ color: sheet.rows ? '#000' : '#999' }}>
+                <td style={cellStyle}>
+                  <input
+                    type="checkbox"
+                    aria-label={`Import ${sheet.name}`}
+                    checked={selected.includes(sheet.name)}
+                    disabled={!sheet.rows}
+                    onChange={() => toggle(sheet.name)}
+                  />
+                </td>
+                <td style={cellStyle}>{sheet.name}</td>
+                <td style={cellStyle}>{sheet.rows.toLocaleString()}</td>
+                <td style={previewStyle}>
+                  <div>
+                    {sheet.columns.slice(0, MAX_PREVIEW_COLUMNS).join(', ')}
+                    {sheet.columns.length > MAX_PREVIEW_COLUMNS ? ', …' : ''}
+                  </div>
+                  {sheet.preview[0] && (
+                    <div style={{ color: '#999' }}>{sheet.preview[0].slice(0, MAX_PREVIEW_COLUMNS).join(', ')}</div>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {ordered.length > 1 && (
+          <div style={{ marginTop: 10, fontSize: 12 }}>
+            {Object.keys(SHEET_MODES).map(key => (
+              <label key={key} style={{ display: 'block' }}>
+                <input type="radio" name="sheet-mode" value={key} checked={mode === key} onChange={() => setMode(key)} />
+                {' '}{SHEET_MODES[key]}
+              </label>
+            ))}
+          </div>
+        )}
+
+        <div style={{ marginTop: 15, display: 'flex', justifyContent: 'flex-end', gap: 5 }}>
+          <button onClick={onCancel}>Cancel</button>
+          <button
+            onClick={() => onImport(ordered, mode)}
+            disabled={!ordered.length}
+            style={{ background: '#1890ff', color: '#fff', border: '1px solid #1890ff', borderRadius: '4px', padding: '4px 12px' }}
+          >
+            Import {ordered.length > 1 ? `${ordered.length} sheets` : 'sheet'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SheetPicker;
@@ -0,0 +1,284 @@
+// src/TypeCurvePanel.jsx
+import React, { useRef, useEffect, useState, useMemo } from 'react';
+import * as d3 from 'd3';
+import { DAYS_PER_MONTH } from './economics';
+import { DECLINE_MODELS, DECLINE_MODEL_IDS, DEFAULT_MODEL, modelRate, paramsInDeclineUnit, paramLabel } from './decline-models';
+import {
+  ALIGNMENTS, TYPE_CURVE_KEYS, TYPE_CURVE_LABELS, DEFAULT_MIN_WELLS, buildWellSeries, percentileCurves, fitTypeCurves
+} from './type-curves';
+
+const width = 640, height = 320;
+const margin = { top: 20, right: 20, bottom: 40, left: 60 };
+const fieldStyle = { marginLeft: 5 };
+const cellStyle = { textAlign: 'right', padding: '2px 6px' };
+
+const CURVE_STYLES = {
+  p10: { color: '#52c41a', dash: null },
+  p50: { color: '#1890ff', dash: null },
+  p90: { color: '#f5222d', dash: null },
+  mean: { color: '#000', dash: '4,3' }
+};
+
+const formatParam = v => (isFinite(v) ? (Math.abs(v) >= 100 ? v.toFixed(1) : v.toPrecision(4)) : '');
+
+// Percentile bands of the wells' monthly rates with the fitted curves on top; the wells
+// themselves are drawn faintly behind.
+const TypeCurvePlot = ({ series, curves, fits, color }) => {
+  const svgRef = useRef(null);
+
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    if (!curves.length) return;
+
+    const months = d3.max(curves, c => c.month) + 1;
+    const values = series.flatMap(s => s.rates.slice(0, months)).concat(curves.map(c => c.p10)).filter(v => v > 0);
+    const x = d3.scaleLinear().domain([0, months]).range([margin.left, width - margin.right]);
+    const y = d3.scaleLog().domain([d3.min(values), d3.max(values)]).nice().range([height - margin.bottom, margin.top]);
+
+    svg.append("g")
+      .attr("transform", `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(8));
+    svg.append("g")
+      .attr("transform", `translate(${margin.left},0)`)
+      .call(d3.axisLeft(y).ticks(5, ".2~s"));
+    svg.append("text")
+      .attr("x", width - margin.right).attr("y", height - 5)
+      .attr("text-anchor", "end")
+      .style("font-size", "11px")
+      .text("Producing months");
+
+    const monthLine = d3.line()
+      .defined(d => d.value > 0)
+      .x(d => x(d.month + 0.5))
+      .y(d => y(d.value));
+    series.forEach(s => {
+      svg.append("path")
+        .datum(s.rates.slice(0, months).map((value, month) => ({ month, value })))
+        .attr("fill", "none")
+        .attr("stroke", "#bbb")
+        .attr("stroke-opacity", 0.5)
+        .attr("d", monthLine);
+    });
+
+    svg.append("path")
+      .datum(curves.filter(c => c.p10 > 0 && c.p90 > 0))
+      .attr("fill", color)
+      .attr("fill-opacity", 0.15)
+      .attr("d", d3.area().x(c => x(c.month + 0.5)).y0(c => y(c.p90)).y1(c => y(c.p10)));
+
+    TYPE_CURVE_KEYS.forEach(key => {
+      const { color: stroke, dash } = CURVE_STYLES[key];
+      svg.selectAll(`.tc-${key}`)
+        .data(curves.filter(c => c[key] > 0))
+        .enter().append("circle")
+        .attr("class", `tc-${key}`)
+        .attr("cx", c => x(c.month + 0.5))
+        .attr("cy", c => y(c[key]))
+        .attr("r", 2.5)
+        .attr("fill", stroke);
+      if (!fits[key]) return;
+      // Quarter-month steps; monthLine puts a point at month + 0.5.
+      const fitted = d3.range(0, months * 4 + 1).map(i => ({ month: i / 4 - 0.5, value: modelRate(fits[key], (i / 4) * DAYS_PER_MONTH) }));
+      svg.append("path")
+        .datum(fitted)
+        .attr("fill", "none")
+        .attr("stroke", stroke)
+        .attr("stroke-width", 1.5)
+        .attr("stroke-dasharray", dash)
+        .attr("d", monthLine);
+    });
+
+    const legend = svg.append("g").attr("transform", `translate(${width - margin.right - 60},${margin.top})`);
+    TYPE_CURVE_KEYS.forEach((key, i) => {
+      legend.append("line")
+        .attr("x1", 0).attr("x2", 15).attr("y1", i * 14).attr("y2", i * 14)
+        .attr("stroke", CURVE_STYLES[key].color)
+        .attr("stroke-dasharray", CURVE_STYLES[key].dash);
+      legend.append("text")
+        .attr("x", 20).attr("y", i * 14 + 4)
+        .style("font-size", "11px")
+        .text(TYPE_CURVE_LABELS[key]);
+    });
+  }, [series, curves, fits, color]);
+
+  return <svg ref={svgRef} width={width} height={height} />;
+};
+
+// Type-curve workspace: the loaded wells aligned on producing time, optionally normalized
+// by a well attribute, summarised as P10/P50/P90 and mean curves with a model fitted to
+// each. Results can be saved by name.
+const TypeCurvePanel = ({
+  rows, columns, dateColumn, wellColumn, phaseColumns, rateUnits, daysOnColumn,
+  fitOptions, declineUnit, colors, typeCurves, onSave, onDelete
+}) => {
+  const phases = ['oil', 'gas', 'water'].filter(phase => phaseColumns[phase]);
+  const [phase, setPhase] = useState(phases[0] || 'oil');
+  const [align, setAlign] = useState('first');
+  const [attributeColumn, setAttributeColumn] = useState('');
+  const [reference, setReference] = useState('');
+  const [modelId, setModelId] = useState(DEFAULT_MODEL);
+  const [minWells, setMinWells] = useState(DEFAULT_MIN_WELLS);
+  const [name, setName] = useState('');
+
+  // Attribute candidates: any column that isn't a date, well id or phase.
+  const attributeColumns = columns.filter(col =>
+    col !== dateColumn && col !== wellColumn && !Object.values(phaseColumns).includes(col) && col !== daysOnColumn
+  );
+
+  const { series, skipped, reference: usedReference } = useMemo(() =>
+    buildWellSeries(rows, {
+      dateCol: dateColumn, wellColumn, phase, phaseColumns, units: rateUnits, daysOnColumn,
+      align, attributeColumn, reference: +reference
+    }),
+    [rows, dateColumn, wellColumn, phase, phaseColumns, rateUnits, daysOnColumn, align, attributeColumn, reference]
+  );
+  const curves = useMemo(() => percentileCurves(series, minWells), [series, minWells]);
+  const fits = useMemo(() =>
+    curves.length >= 3 ? fitTypeCurves(curves, modelId, fitOptions) : {},
+    [curves, modelId, fitOptions]
+  );
+  const fitKeys = DECLINE_MODELS[modelId].params;
+
+  const save = () => {
+    onSave({
+      name: name.trim(),
+      phase,
+      align,
+      attributeColumn,
+      reference: attributeColumn ? usedReference : null,
+      wells: series.map(s => s.well),
+      curves,
+      fits,
+      savedAt: new Date().toISOString()
+    });
+    setName('');
+  };
+
+  return (
+    <div style={{ marginTop: 20, borderTop: '1px solid #ddd', paddingTop: 10 }}>
+      <h4 style={{ marginTop: 0 }}>Type Curves</h4>
+      <div style={{ display: 'flex', gap: 15, flexWrap: 'wrap', marginBottom: 10, fontSize: 13 }}>
+        <label>
+          Phase:
+          <select value={phase} onChange={e => setPhase(e.target.value)} style={fieldStyle}>
+            {phases.map(p => <option key={p} value={p}>{p.toUpperCase()}</option>)}
+          </select>
+        </label>
+        <label>
+          Align on:
+          <select value={align} onChange={e => setAlign(e.target.value)} style={fieldStyle}>
+            {Object.keys(ALIGNMENTS).map(key => <option key={key} value={key}>{ALIGNMENTS[key]}</option>)}
+          </select>
+        </label>
+        <label>
+          Normalize by:
+          <select value={attributeColumn} onChange={e => setAttributeColumn(e.target.value)} style={{ ...fieldStyle, maxWidth: 140 }}>
+            <option value="">None</option>
+            {attributeColumns.map(col => <option key={col} value={col}>{col}</option>)}
+          </select>
+        </label>
+        {attributeColumn && (
+          <label>
+            to:
+            <input
+              type="number"
+              value={reference}
+              placeholder={isFinite(usedReference) ? String(usedReference) : ''}
+              onChange={e => setReference(e.target.value)}
+              style={{ ...fieldStyle, width: 80 }}
+            />
+          </label>
+        )}
+        <label>
+          Model:
+          <select value={modelId} onChange={e => setModelId(e.target.value)} style={fieldStyle}>
+            {DECLINE_MODEL_IDS.map(id => <option key={id} value={id}>{DECLINE_MODELS[id].label}</option>)}
+          </select>
+        </label>
+        <label>
+          Min wells per month:
+          <input
+            type="number"
+            min={1}
+            value={minWells}
+            onChange={e => setMinWells(Math.max(1, Number(e.target.value) || 1))}
+            style={{ ...fieldStyle, width: 50 }}
+          />
+        </label>
+      </div>
+
+      <div style={{ fontSize: 12, color: '#666', marginBottom: 5 }}>
+        {series.length} wells on {daysOnColumn ? 'producing' : 'calendar'} days
+        {attributeColumn && isFinite(usedReference) ? `, rates scaled to ${attributeColumn} = ${usedReference}` : ''}
+        {skipped.length > 0 && `; skipped ${skipped.map(s => `${s.well} (${s.reason})`).join(', ')}`}
+      </div>
+
+      {curves.length ? (
+        <TypeCurvePlot series={series} curves={curves} fits={fits} color={colors[phase] || '#1890ff'} />
+      ) : (
+        <div style={{ color: '#666' }}>Not enough wells with {phase} production for a type curve.</div>
+      )}
+
+      {Object.keys(fits).length > 0 && (
+        <table style={{ borderCollapse: 'collapse', fontSize: 12, marginTop: 5 }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}></th>
+              {fitKeys.map(key => <th key={key} style={cellStyle}>{paramLabel(modelId, key, declineUnit)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {TYPE_CURVE_KEYS.map(key => {
+              const shown = paramsInDeclineUnit(fits[key], declineUnit);
+              return (
+                <tr key={key}>
+                  <td style={{ ...cellStyle, textAlign: 'left' }}>{TYPE_CURVE_LABELS[key]}</td>
+                  {fitKeys.map(k => <td key={k} style={cellStyle}>{formatParam(shown[k])}</td>)}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <div style={{ marginTop: 10, display: 'flex', gap: 5, alignItems: 'center' }}>
+        <input type="text" placeholder="Type curve name" value={name} onChange={e => setName(e.target.value)} />
+        <button disabled={!name.trim() || !Object.keys(fits).length} onClick={save}>Save type curve</button>
+      </div>
+      {typeCurves.length > 0 && (
+        <table style={{ borderCollapse: 'collapse', fontSize: 12, marginTop: 10 }}>
+          <thead>
+            <tr>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Saved</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Phase</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Aligned</th>
+              <th style={{ ...cellStyle, textAlign: 'left' }}>Normalized</th>
+              <th style={cellStyle}>Wells</th>
+              <th style={cellStyle}>P50 Qi</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {typeCurves.map(tc => (
+              <tr key={tc.name}>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>{tc.name}</td>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>{tc.phase.toUpperCase()}</td>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>{ALIGNMENTS[tc.align]}</td>
+                <td style={{ ...cellStyle, textAlign: 'left' }}>{tc.attributeColumn ? `${tc.attributeColumn} = ${tc.reference}` : '—'}</td>
+                <td style={cellStyle}>{tc.wells.length}</td>
+                <td style={cellStyle}>{formatParam(tc.fits.p50 && tc.fits.p50.Qi)}</td>
+                <td style={cellStyle}>
+                  <button title="Delete type curve" onClick={() => onDelete(tc.name)}>&times;</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default TypeCurvePanel;
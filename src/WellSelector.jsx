@@ -0,0 +1,56 @@
+// src/WellSelector.jsx
+import React, { useState, useMemo } from 'react';
+
+const navButtonStyle = {
+  padding: '4px 10px', border: '1px solid #ccc', background: '#fff',
+  borderRadius: '4px', cursor: 'pointer'
+};
+
+const WellSelector = ({ wells, selectedWell, onSelect }) => {
+  const [search, setSearch] = useState('');
+
+  const visibleWells = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return term ? wells.filter(w => w.toLowerCase().includes(term)) : wells;
+  }, [wells, search]);
+
+  const index = wells.indexOf(selectedWell);
+
+  // Prev/next walk the full well list so the search box doesn't trap the user.
+  const step = (delta) => {
+    if (!wells.length) return;
+    const next = (index + delta + wells.length) % wells.length;
+    onSelect(wells[next]);
+  };
+
+  return (
+    <div>
+      <input
+        type="search"
+        value={search}
+        onChange={e => setSearch(e.target.value)}
+        placeholder={`Search ${wells.length} wells...`}
+        style={{ width: '100%', boxSizing: 'border-box', marginBottom: 5 }}
+      />
+      <select
+        size={Math.min(8, Math.max(2, visibleWells.length))}
+        value={visibleWells.includes(selectedWell) ? selectedWell : ''}
+        onChange={e => onSelect(e.target.value)}
+        style={{ width: '100%' }}
+      >
+        {visibleWells.map(well => (
+          <option key={well} value={well}>{well}</option>
+        ))}
+      </select>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginTop: 5 }}>
+        <button onClick={() => step(-1)} style={navButtonStyle}>&larr; Prev</button>
+        <span style={{ fontSize: 12, color: '#666' }}>
+          {index >= 0 ? `${index + 1} / ${wells.length}` : `– / ${wells.length}`}
+        </span>
+        <button onClick={() => step(1)} style={navButtonStyle}>Next &rarr;</button>
+      </div>
+    </div>
+  );
+};
+
+export default WellSelector;
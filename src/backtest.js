@@ -0,0 +1,191 @@
+/**
+ * Backtesting
+ *
+ * Hindcasts: hold out the last stretch of history, fit on what came before and score the
+ * forecast against the held-out actuals. Run at one cut-off or at a rolling series of
+ * them, so the usual miss of a forecast can be read off the well's own history. Scores
+ * per phase: MAPE, bias (signed mean percentage error; positive = forecast too high) and
+ * the error in the volume produced over the held-out period.
+ */
+import * as XLSX from 'xlsx';
+import { calculatePercentageError } from './dca-utilities';
+import { hasValidParams, modelRate } from './decline-models';
+import { DAYS_PER_MONTH } from './economics';
+
+export const HOLDOUT_UNITS = {
+  days: "Days",
+  months: "Months"
+};
+
+export const DEFAULT_BACKTEST = {
+  holdout: 6,
+  unit: "months",
+  rolling: false,
+  step: 3,          // in the holdout unit, between rolling cut-offs
+  minHistory: 3     // in the holdout unit, fitted before the earliest cut-off
+};
+
+// Fewer points than this before a cut-off, or after it, and the cut-off is skipped.
+const MIN_POINTS = 3;
+// Rolling cut-offs kept, latest first; each one refits every phase.
+export const MAX_CUTOFFS = 24;
+
+/**
+ * A length in the holdout unit as days
+ * @param {number} n - Length
+ * @param {string} unit - A key of HOLDOUT_UNITS
+ * @returns {number} Days
+ */
+export const holdoutDays = (n, unit) => (unit === "months" ? n * DAYS_PER_MONTH : n);
+
+/**
+ * Cut-off times to backtest at, latest first
+ * @param {number} tMin - First fitted time, in days
+ * @param {number} tMax - Last fitted time, in days
+ * @param {Object} settings - See DEFAULT_BACKTEST
+ * @returns {Array} Cut-off times; the latest leaves the holdout after it, rolling ones step
+ *   back from there while the minimum history is left before them, MAX_CUTOFFS at most
+ */
+export const cutoffTimes = (tMin, tMax, settings = DEFAULT_BACKTEST) => {
+  const horizon = holdoutDays(settings.holdout, settings.unit);
+  const step = holdoutDays(settings.step, settings.unit);
+  const minHistory = holdoutDays(settings.minHistory, settings.unit);
+  const latest = tMax - horizon;
+  if (!(horizon > 0) || latest - tMin < minHistory) return [];
+  if (!settings.rolling || !(step > 0)) return [latest];
+  let out = [];
+  for (let t = latest; t - tMin >= minHistory && out.length < MAX_CUTOFFS; t -= step) out.push(t);
+  return out;
+};
+
+/**
+ * Scores of a forecast against held-out actuals
+ * @param {Array} actuals - Held-out {t, value} points sorted by t
+ * @param {Object} params - Forecast parameters (with model id)
+ * @returns {Object} { n, mape, bias, cumError (all %), actualVolume, forecastVolume, points:
+ *   [{ t, value, forecast }] }. Volumes give each point the days to the next one (the last
+ *   repeats the gap before it), for actuals and forecast alike.
+ */
+export const backtestMetrics = (actuals, params) => {
+  const points = actuals.map(p => ({ t: p.t, value: p.value, forecast: modelRate(params, p.t) }));
+  const positive = points.filter(p => p.value > 0);
+  const bias = positive.length
+    ? positive.reduce((acc, p) => acc + (p.forecast - p.value) / p.value, 0) / positive.length * 100
+    : NaN;
+  let actualVolume = 0;
+  let forecastVolume = 0;
+  points.forEach((p, i) => {
+    const next = points[i + 1] || null;
+    const previous = points[i - 1] || null;
+    const dt = next ? next.t - p.t : previous ? p.t - previous.t : 1;
+    actualVolume += p.value * dt;
+    forecastVolume += p.forecast * dt;
+  });
+  const mape = calculatePercentageError(points.map(p => p.value), points.map(p => p.forecast));
+  return {
+    n: points.length,
+    mape: isFinite(mape) ? mape : NaN,
+    bias,
+    cumError: actualVolume > 0 ? (forecastVolume - actualVolume) / actualVolume * 100 : NaN,
+    actualVolume,
+    forecastVolume,
+    points
+  };
+};
+
+/**
+ * Backtest every phase at one cut-off
+ * @param {Object} pointsByPhase - { phase: {t, value} points sorted by t }, in fit order
+ *   (phases following another, like ratio streams, after it)
+ * @param {number} cutoff - Last time fitted, in days
+ * @param {number} horizon - Days held out after the cut-off
+ * @param {Function} fitPhase - (phase, training points by phase, params fitted so far by
+ *   phase) => params; fits one phase on the training points
+ * @returns {Object} { cutoff, horizon, phases: { phase: { params, ...backtestMetrics } } };
+ *   phases with too little data on either side are left out
+ */
+export const backtestAt = (pointsByPhase, cutoff, horizon, fitPhase) => {
+  let training = {};
+  Object.keys(pointsByPhase).forEach(phase => {
+    training[phase] = pointsByPhase[phase].filter(p => p.t <= cutoff);
+  });
+  let fitted = {};
+  let phases = {};
+  Object.keys(pointsByPhase).forEach(phase => {
+    const heldOut = pointsByPhase[phase].filter(p => p.t > cutoff && p.t <= cutoff + horizon);
+    if (training[phase].length < MIN_POINTS || heldOut.length < MIN_POINTS) return;
+    const params = fitPhase(phase, training, fitted);
+    if (!hasValidParams(params)) return;
+    fitted[phase] = params;
+    phases[phase] = { params, ...backtestMetrics(heldOut, params) };
+  });
+  return { cutoff, horizon, phases };
+};
+
+/**
+ * Average scores over a series of backtests
+ * @param {Array} runs - Outputs of backtestAt
+ * @returns {Object} { phase: { runs, mape, bias, cumError, absCumError } }; means over the
+ *   runs scoring the phase
+ */
+export const summarizeBacktests = (runs) => {
+  let out = {};
+  const mean = values => {
+    const finite = values.filter(isFinite);
+    return finite.length ? finite.reduce((a, v) => a + v, 0) / finite.length : NaN;
+  };
+  const phases = [...new Set(runs.flatMap(run => Object.keys(run.phases)))];
+  phases.forEach(phase => {
+    const scored = runs.map(run => run.phases[phase]).filter(Boolean);
+    out[phase] = {
+      runs: scored.length,
+      mape: mean(scored.map(s => s.mape)),
+      bias: mean(scored.map(s => s.bias)),
+      cumError: mean(scored.map(s => s.cumError)),
+      absCumError: mean(scored.map(s => Math.abs(s.cumError)))
+    };
+  });
+  return out;
+};
+
+/**
+ * CSV text of backtest scores, one row per cut-off and phase
+ * @param {Array} runs - [{ cutoff, end, phases: { phase: scores } }] with ISO-day dates, as
+ *   reported by the chart
+ * @returns {string} CSV with a header row
+ */
+export const backtestToCSV = (runs) => {
+  const round = (v, digits) => (isFinite(v) ? +v.toFixed(digits) : "");
+  const records = runs.flatMap(({ cutoff, end, phases }) =>
+    Object.keys(phases).map(phase => {
+      const { n, mape, bias, cumError, actualVolume, forecastVolume } = phases[phase];
+      return {
+        "Cut-off": cutoff,
+        "Held out to": end,
+        Phase: phase,
+        Points: n,
+        "MAPE (%)": round(mape, 1),
+        "Bias (%)": round(bias, 1),
+        "Cum error (%)": round(cumError, 1),
+        "Actual volume": round(actualVolume, 0),
+        "Forecast volume": round(forecastVolume, 0)
+      };
+    })
+  );
+  if (!records.length) return "";
+  return XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(records));
+};
+
+const backtest = {
+  HOLDOUT_UNITS,
+  DEFAULT_BACKTEST,
+  MAX_CUTOFFS,
+  holdoutDays,
+  cutoffTimes,
+  backtestMetrics,
+  backtestAt,
+  summarizeBacktests,
+  backtestToCSV
+};
+
+export default backtest;
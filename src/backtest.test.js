@@ -0,0 +1,57 @@
+import { cutoffTimes, backtestMetrics, backtestAt, summarizeBacktests, MAX_CUTOFFS } from './backtest';
+import { modelRate } from './decline-models';
+
+const params = { model: 'arps', Qi: 1000, b: 0, D: 0.01 };
+const daily = (days, rate) => Array.from({ length: days }, (_, t) => ({ t, value: rate(t) }));
+
+test('places the latest cut-off a holdout before the end', () => {
+  expect(cutoffTimes(0, 400, { holdout: 100, unit: 'days', rolling: false, step: 50, minHistory: 100 })).toEqual([300]);
+  expect(cutoffTimes(0, 150, { holdout: 100, unit: 'days', rolling: false, step: 50, minHistory: 100 })).toEqual([]);
+});
+
+test('steps rolling cut-offs back while the minimum history is left', () => {
+  expect(cutoffTimes(0, 400, { holdout: 100, unit: 'days', rolling: true, step: 50, minHistory: 100 })).toEqual([300, 250, 200, 150, 100]);
+});
+
+test('caps rolling cut-offs at the latest MAX_CUTOFFS', () => {
+  const cutoffs = cutoffTimes(0, 10000, { holdout: 30, unit: 'days', rolling: true, step: 1, minHistory: 30 });
+  expect(cutoffs).toHaveLength(MAX_CUTOFFS);
+  expect(cutoffs[0]).toBe(9970);
+});
+
+test('scores a perfect forecast as zero error', () => {
+  const actuals = daily(30, t => modelRate(params, t + 100)).map(p => ({ ...p, t: p.t + 100 }));
+  const scores = backtestMetrics(actuals, params);
+  expect(scores.n).toBe(30);
+  expect(scores.mape).toBeCloseTo(0);
+  expect(scores.bias).toBeCloseTo(0);
+  expect(scores.cumError).toBeCloseTo(0);
+});
+
+test('gives a forecast running high a positive bias', () => {
+  const actuals = [{ t: 0, value: 100 }, { t: 1, value: 100 }];
+  const scores = backtestMetrics(actuals, { model: 'arps', Qi: 110, b: 0, D: 0 });
+  expect(scores.bias).toBeCloseTo(10);
+  expect(scores.cumError).toBeCloseTo(10);
+});
+
+test('fits on the training points and skips phases short of held-out points', () => {
+  const points = { oil: daily(100, t => modelRate(params, t)), gas: daily(52, t => 500) };
+  const fitted = [];
+  const run = backtestAt(points, 50, 30, (phase, training) => {
+    fitted.push([phase, training[phase].length]);
+    return phase === 'oil' ? params : { model: 'arps', Qi: 500, b: 0, D: 0 };
+  });
+  expect(fitted).toEqual([['oil', 51]]);
+  expect(Object.keys(run.phases)).toEqual(['oil']);
+  expect(run.phases.oil.n).toBe(30);
+});
+
+test('averages scores over the runs that scored each phase', () => {
+  const summary = summarizeBacktests([
+    { phases: { oil: { mape: 10, bias: 5, cumError: -4 } } },
+    { phases: { oil: { mape: 20, bias: -5, cumError: 8 }, gas: { mape: 3, bias: 1, cumError: 2 } } }
+  ]);
+  expect(summary.oil).toEqual({ runs: 2, mape: 15, bias: 0, cumError: 2, absCumError: 6 });
+  expect(summary.gas.runs).toBe(1);
+});
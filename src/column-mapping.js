@@ -0,0 +1,135 @@
+/**
+ * Column Mapping
+ *
+ * Which header holds the date, the well id, each phase and the days on, starting from the
+ * detect* guesses in dca.js. Mappings can be saved as named profiles in localStorage; a
+ * profile is keyed by its file's header set, so the next file with the same headers gets
+ * the same mapping without asking.
+ */
+import { detectDateColumn, detectWellColumn, detectColumns, detectDaysOnColumn } from './dca';
+import { loadList, saveListItem, deleteListItem } from './saved-lists';
+
+export const PHASE_FIELDS = ["oil", "gas", "water", "pressure"];
+
+export const MAPPING_FIELDS = [
+  { key: "date", label: "Date", required: true },
+  { key: "well", label: "Well" },
+  { key: "oil", label: "Oil" },
+  { key: "gas", label: "Gas" },
+  { key: "water", label: "Water" },
+  { key: "pressure", label: "Pressure" },
+  { key: "daysOn", label: "Days on" }
+];
+
+export const PROFILE_STORAGE_KEY = "dca.columnProfiles";
+
+/**
+ * Mapping guessed from the headers
+ * @param {Array} columns - Header names
+ * @returns {Object} { date, well, oil, gas, water, pressure, daysOn, units }, "" for unmapped
+ *   fields; units ({ phase: "rate" | "volume" | "" }) start empty, i.e. detected
+ */
+export const detectMapping = (columns) => {
+  const phases = detectColumns(columns);
+  const date = detectDateColumn(columns);
+  return {
+    date: columns.includes(date) ? date : "",
+    well: detectWellColumn(columns) || "",
+    oil: phases.oil || "",
+    gas: phases.gas || "",
+    water: phases.water || "",
+    pressure: phases.pressure || "",
+    daysOn: detectDaysOnColumn(columns) || "",
+    units: {}
+  };
+};
+
+/**
+ * The phase columns of a mapping, in the { phase: header } form detectColumns returns
+ * @param {Object} mapping - Column mapping
+ * @returns {Object} Mapped phases only
+ */
+export const phaseColumnsOf = (mapping) => {
+  let out = {};
+  PHASE_FIELDS.forEach(phase => {
+    if (mapping && mapping[phase]) out[phase] = mapping[phase];
+  });
+  return out;
+};
+
+/**
+ * Identity of a header set: the same headers in any order give the same signature
+ * @param {Array} columns - Header names
+ * @returns {string} Signature
+ */
+export const headerSignature = (columns) =>
+  [...columns].map(c => c.trim().toLowerCase()).sort().join("|");
+
+/**
+ * Saved profiles
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} [{ name, signature, mapping }]; empty when storage is unavailable
+ */
+export const loadProfiles = (storage) => loadList(PROFILE_STORAGE_KEY, storage);
+
+/**
+ * Save (or replace, by name) a profile
+ * @param {Array} profiles - Current profiles
+ * @param {Object} profile - { name, signature, mapping }
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} New profiles
+ */
+export const saveProfile = (profiles, profile, storage) =>
+  saveListItem(PROFILE_STORAGE_KEY, profiles, profile, "column mapping profile", storage);
+
+/**
+ * Delete a profile by name
+ * @param {Array} profiles - Current profiles
+ * @param {string} name - Profile name
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} New profiles
+ */
+export const deleteProfile = (profiles, name, storage) =>
+  deleteListItem(PROFILE_STORAGE_KEY, profiles, name, "column mapping profile", storage);
+
+/**
+ * The most recently saved profile for this header set
+ * @param {Array} profiles - Saved profiles
+ * @param {Array} columns - Header names
+ * @returns {Object|null} Profile
+ */
+export const findProfile = (profiles, columns) => {
+  const signature = headerSignature(columns);
+  const matches = profiles.filter(p => p.signature === signature);
+  return matches.length ? matches[matches.length - 1] : null;
+};
+
+/**
+ * A mapping with every field pointing at an existing header (others cleared)
+ * @param {Object} mapping - Column mapping
+ * @param {Array} columns - Header names
+ * @returns {Object} Mapping safe to apply to this file
+ */
+export const validMapping = (mapping, columns) => {
+  let out = { ...detectMapping(columns), ...mapping, units: { ...(mapping.units || {}) } };
+  MAPPING_FIELDS.forEach(({ key }) => {
+    if (out[key] && !columns.includes(out[key])) out[key] = "";
+  });
+  return out;
+};
+
+const columnMapping = {
+  PHASE_FIELDS,
+  MAPPING_FIELDS,
+  PROFILE_STORAGE_KEY,
+  detectMapping,
+  phaseColumnsOf,
+  headerSignature,
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  findProfile,
+  validMapping
+};
+
+export default columnMapping;
@@ -0,0 +1,151 @@
+/**
+ * Date Parsing
+ *
+ * `new Date(string)` reads "03/04/2022" as March or April depending on the browser, turns
+ * Excel serial numbers into nonsense and shifts timestamps without a zone by the local
+ * offset. Dates here are read in one explicit format (detected from the column unless
+ * chosen) and always come back as the UTC midnight of the calendar day written in the
+ * file; a time of day or zone offset is ignored. Values that don't read are rejected
+ * with a reason instead of being dropped silently.
+ */
+
+export const DATE_FORMATS = {
+  auto: "Detect",
+  iso: "ISO (yyyy-mm-dd or yyyy-mm)",
+  us: "US (mm/dd/yyyy)",
+  eu: "EU (dd/mm/yyyy)",
+  excel: "Excel serial",
+  epoch: "Unix epoch"
+};
+
+const DAY_MS = 86400000;
+// Day 0 of Excel's 1900 date system, with its phantom 29 Feb 1900 already accounted for.
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+// Serials between 1950 and 2150; numbers outside are taken as epoch times when detecting.
+const EXCEL_RANGE = [18264, 91311];
+// Epoch values below this are seconds, above it milliseconds (1e11 s is the year 5138).
+const EPOCH_MS_FROM = 1e11;
+
+// Month-only ISO dates ("2022-01", monthly exports) read as the first of the month.
+const ISO_PATTERN = /^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2})(?:[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:[AP]M)?\s*(?:Z|[+-]\d{2}:?\d{2})?)?)?$/i;
+const SLASHED_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(?:[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:[AP]M)?)?$/i;
+const NUMBER_PATTERN = /^-?\d+(?:\.\d+)?$/;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === "";
+
+// A two-digit year is read the way spreadsheets do: 00–69 → 2000s, 70–99 → 1900s.
+const fullYear = (text) => (text.length === 2 ? (+text < 70 ? 2000 + +text : 1900 + +text) : +text);
+
+const fromParts = (year, month, day) => {
+  if (month < 1 || month > 12) return { reason: `month ${month} out of range` };
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day < 1 || day > lastDay) {
+    return { reason: `day ${day} out of range for ${year}-${String(month).padStart(2, "0")}` };
+  }
+  return { date: new Date(Date.UTC(year, month - 1, day)) };
+};
+
+/**
+ * Read one value in a given format
+ * @param {*} value - Cell value
+ * @param {string} format - A key of DATE_FORMATS other than "auto"
+ * @returns {Object} { date } (UTC midnight) or { reason } when it can't be read
+ */
+export const readDate = (value, format) => {
+  if (isBlank(value)) return { reason: "empty date" };
+  const text = String(value).trim();
+  if (format === "iso") {
+    const m = text.match(ISO_PATTERN);
+    return m ? fromParts(+m[1], +m[2], m[3] ? +m[3] : 1) : { reason: `"${text}" is not an ISO date` };
+  }
+  if (format === "us" || format === "eu") {
+    const m = text.match(SLASHED_PATTERN);
+    if (!m) return { reason: `"${text}" is not a ${format === "us" ? "US" : "EU"} date` };
+    return format === "us"
+      ? fromParts(fullYear(m[3]), +m[1], +m[2])
+      : fromParts(fullYear(m[3]), +m[2], +m[1]);
+  }
+  if (format === "excel" || format === "epoch") {
+    if (!NUMBER_PATTERN.test(text)) return { reason: `"${text}" is not a number` };
+    const n = +text;
+    if (format === "excel") {
+      if (n < 1) return { reason: `serial ${text} is before 1900` };
+      return { date: new Date(EXCEL_EPOCH + Math.floor(n) * DAY_MS) };
+    }
+    const ms = Math.abs(n) < EPOCH_MS_FROM ? n * 1000 : n;
+    return { date: new Date(Math.floor(ms / DAY_MS) * DAY_MS) };
+  }
+  return { reason: `unknown date format "${format}"` };
+};
+
+/**
+ * Date of one value, or null
+ * @param {*} value - Cell value
+ * @param {string} format - A key of DATE_FORMATS other than "auto"
+ * @returns {Date|null} UTC midnight of the day
+ */
+export const parseDate = (value, format) => readDate(value, format).date || null;
+
+/**
+ * Guess the format of a date column. Slashed dates are EU when a first field is over 12,
+ * US when a second one is, and US when nothing tells them apart.
+ * @param {Array} values - Cell values of the column
+ * @returns {string} A key of DATE_FORMATS other than "auto"
+ */
+export const detectDateFormat = (values) => {
+  const texts = values.filter(v => !isBlank(v)).map(v => String(v).trim());
+  if (!texts.length) return "iso";
+  const count = (pattern) => texts.filter(t => pattern.test(t)).length;
+  const iso = count(ISO_PATTERN);
+  const slashed = count(SLASHED_PATTERN);
+  const numeric = count(NUMBER_PATTERN);
+  const most = Math.max(iso, slashed, numeric);
+
+  if (most === numeric && numeric > 0) {
+    const numbers = texts.filter(t => NUMBER_PATTERN.test(t)).map(Number);
+    return numbers.every(n => n >= EXCEL_RANGE[0] && n <= EXCEL_RANGE[1]) ? "excel" : "epoch";
+  }
+  if (most === slashed && slashed > iso) {
+    const fields = texts.map(t => t.match(SLASHED_PATTERN)).filter(Boolean);
+    if (fields.some(m => +m[1] > 12)) return "eu";
+    return "us";
+  }
+  return "iso";
+};
+
+/**
+ * Dates of a column of rows, with the rows that don't read
+ * @param {Array} rows - Parsed rows
+ * @param {string} column - Date column header
+ * @param {string} format - A key of DATE_FORMATS; "auto" detects it from the column
+ * @returns {Object} { format (as resolved), dates (Date or null per row), rejected: [{ index,
+ *   value, reason }] }
+ */
+export const parseDates = (rows, column, format = "auto") => {
+  const resolved = format === "auto" ? detectDateFormat(rows.map(row => row[column])) : format;
+  let rejected = [];
+  const dates = rows.map((row, index) => {
+    const { date, reason } = readDate(row[column], resolved);
+    if (!date) rejected.push({ index, value: row[column], reason });
+    return date || null;
+  });
+  return { format: resolved, dates, rejected };
+};
+
+/**
+ * A date as the "YYYY-MM-DD" of its UTC day
+ * @param {Date} date - Date
+ * @returns {string} ISO day
+ */
+export const isoDay = (date) => date.toISOString().slice(0, 10);
+
+const dateParsing = {
+  DATE_FORMATS,
+  readDate,
+  parseDate,
+  detectDateFormat,
+  parseDates,
+  isoDay
+};
+
+export default dateParsing;
@@ -0,0 +1,53 @@
+import { readDate, parseDate, detectDateFormat, parseDates, isoDay } from './date-parsing';
+
+const day = (value, format) => {
+  const date = parseDate(value, format);
+  return date ? isoDay(date) : null;
+};
+
+test('reads ISO dates, timestamps and month-only dates as UTC days', () => {
+  expect(day('2022-03-04', 'iso')).toBe('2022-03-04');
+  expect(day('2022/3/4', 'iso')).toBe('2022-03-04');
+  expect(day('2022-03-04T23:30:00Z', 'iso')).toBe('2022-03-04');
+  expect(day('2022-03-04 11:30:00 PM', 'iso')).toBe('2022-03-04');
+  expect(day('2022-03-04 9:05 am', 'iso')).toBe('2022-03-04');
+  expect(day('2022-01', 'iso')).toBe('2022-01-01');
+  expect(day('2022/12', 'iso')).toBe('2022-12-01');
+});
+
+test('rejects impossible ISO dates with a reason', () => {
+  expect(readDate('2022-13', 'iso').reason).toMatch(/month 13/);
+  expect(readDate('2022-02-30', 'iso').reason).toMatch(/day 30/);
+  expect(readDate('March 2022', 'iso').reason).toMatch(/not an ISO date/);
+  expect(readDate('', 'iso').reason).toBe('empty date');
+});
+
+test('reads slashed dates in the chosen order', () => {
+  expect(day('03/04/2022', 'us')).toBe('2022-03-04');
+  expect(day('03/04/2022', 'eu')).toBe('2022-04-03');
+  expect(day('3/4/22 1:15 PM', 'us')).toBe('2022-03-04');
+  expect(day('1/1/75', 'eu')).toBe('1975-01-01');
+});
+
+test('reads Excel serials and epoch seconds or milliseconds', () => {
+  expect(day('44562', 'excel')).toBe('2022-01-01');
+  expect(day('1641081600', 'epoch')).toBe('2022-01-02');
+  expect(day('1641081600000', 'epoch')).toBe('2022-01-02');
+});
+
+test('detects the format of a column', () => {
+  expect(detectDateFormat(['2022-01', '2022-02', '2022-03'])).toBe('iso');
+  expect(detectDateFormat(['01/02/2022', '13/02/2022'])).toBe('eu');
+  expect(detectDateFormat(['01/02/2022', '02/13/2022'])).toBe('us');
+  expect(detectDateFormat(['44562', '44593'])).toBe('excel');
+  expect(detectDateFormat(['1641081600'])).toBe('epoch');
+});
+
+test('parses a month-only column without rejecting rows', () => {
+  const rows = ['2022-01', '2022-02', 'n/a'].map(Date => ({ Date }));
+  const { format, dates, rejected } = parseDates(rows, 'Date');
+  expect(format).toBe('iso');
+  expect(dates.slice(0, 2).map(isoDay)).toEqual(['2022-01-01', '2022-02-01']);
+  expect(dates[2]).toBeNull();
+  expect(rejected).toEqual([{ index: 2, value: 'n/a', reason: '"n/a" is not an ISO date' }]);
+});
@@ -6,57 +6,179 @@
  */
 
 /**
- * Calculate production rate at time t using Arps decline curve model
+ * Days per year used when converting annual decline rates to daily ones
+ */
+export const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Upper limit on b: pure Arps stays within [0, 1]; b > 1 needs a terminal decline
+ * (modified hyperbolic) to keep EUR finite.
+ */
+export const MAX_B_ARPS = 1;
+export const MAX_B_TERMINAL = 2;
+
+/**
+ * Largest allowed decline exponent for the given terminal decline
+ * @param {number} Dmin - Terminal decline rate (0 or undefined for pure Arps)
+ * @returns {number} Maximum b
+ */
+export const maxDeclineExponent = (Dmin) => (Dmin > 0 ? MAX_B_TERMINAL : MAX_B_ARPS);
+
+/**
+ * Convert an effective annual decline (fraction, e.g. 0.06 for 6%/yr) to a nominal daily rate
+ * @param {number} effective - Effective annual decline fraction
+ * @returns {number} Nominal decline, fraction per day
+ */
+export const effectiveAnnualToNominalDaily = (effective) => -Math.log(1 - effective) / DAYS_PER_YEAR;
+
+/**
+ * Units a decline rate can be shown and typed in. Decline rates are stored as nominal
+ * fractions per day; the annual units are percentages.
+ * - daily: nominal, fraction per day (the stored value)
+ * - nominal: nominal annual, Dn = 365.25 · D
+ * - tangent: tangent effective annual, 1 - exp(-Dn)
+ * - secant: secant effective annual, 1 - (1 + b·Dn)^(-1/b), the tangent value when b = 0
+ */
+export const DECLINE_UNITS = {
+  daily: { label: "Nominal (1/day)", short: "1/day" },
+  nominal: { label: "Nominal (%/yr)", short: "%/yr nom." },
+  tangent: { label: "Tangent effective (%/yr)", short: "%/yr eff." },
+  secant: { label: "Secant effective (%/yr)", short: "%/yr sec." }
+};
+
+/**
+ * Convert a stored decline rate to a display unit
+ * @param {number} D - Nominal decline, fraction per day
+ * @param {string} unit - Key of DECLINE_UNITS
+ * @param {number} b - Decline exponent, used by the secant unit
+ * @returns {number} Decline in the unit (percent for the annual units)
+ */
+export const nominalDailyToDeclineUnit = (D, unit, b = 0) => {
+  const nominal = D * DAYS_PER_YEAR;
+  switch (unit) {
+    case "nominal":
+      return 100 * nominal;
+    case "tangent":
+      return 100 * (1 - Math.exp(-nominal));
+    case "secant":
+      return b > 1e-9 ? 100 * (1 - Math.pow(1 + b * nominal, -1 / b)) : 100 * (1 - Math.exp(-nominal));
+    default:
+      return D;
+  }
+};
+
+/**
+ * Convert a decline typed in a display unit back to the stored nominal daily rate
+ * @param {number} value - Decline in the unit (percent for the annual units)
+ * @param {string} unit - Key of DECLINE_UNITS
+ * @param {number} b - Decline exponent, used by the secant unit
+ * @returns {number} Nominal decline, fraction per day (NaN for effective declines of 100% or more)
+ */
+export const declineUnitToNominalDaily = (value, unit, b = 0) => {
+  const fraction = value / 100;
+  switch (unit) {
+    case "nominal":
+      return fraction / DAYS_PER_YEAR;
+    case "tangent":
+      return fraction < 1 ? effectiveAnnualToNominalDaily(fraction) : NaN;
+    case "secant":
+      if (!(fraction < 1)) return NaN;
+      return b > 1e-9
+        ? (Math.pow(1 - fraction, -b) - 1) / b / DAYS_PER_YEAR
+        : effectiveAnnualToNominalDaily(fraction);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Time at which a modified hyperbolic decline switches to its terminal exponential tail,
+ * i.e. when the instantaneous decline D / (1 + b·D·t) has fallen to Dmin
+ * @param {number} b - Decline exponent
+ * @param {number} D - Initial decline rate, fraction per unit time
+ * @param {number} Dmin - Terminal decline rate, same units as D (0 disables the switch)
+ * @returns {number} Switch time, Infinity when the decline never switches
+ */
+export const calculateSwitchTime = (b, D, Dmin) => {
+  if (!(Dmin > 0)) return Infinity;
+  if (D <= Dmin) return 0;
+  if (b <= 0) return Infinity;
+  return (D / Dmin - 1) / (b * D);
+};
+
+const arpsRate = (Qi, b, D, t) => {
+  if (b === 0) {
+    return Qi * Math.exp(-D * t);
+  }
+  return Qi / Math.pow(1 + b * D * t, 1 / b);
+};
+
+/**
+ * Calculate production rate at time t using Arps decline curve model,
+ * optionally switching to exponential decline at Dmin (modified hyperbolic)
  * @param {number} Qi - Initial rate
  * @param {number} b - Decline exponent (0 = exponential, 1 = harmonic)
  * @param {number} D - Initial decline rate, fraction per unit time
  * @param {number} t - Time, typically in days
+ * @param {number} Dmin - Terminal decline rate, same units as D (0 = pure Arps)
  * @returns {number} Production rate at time t
  */
-export const calculateRate = (Qi, b, D, t) => {
+export const calculateRate = (Qi, b, D, t, Dmin = 0) => {
+    const tSwitch = calculateSwitchTime(b, D, Dmin);
+    if (t > tSwitch) {
+      return arpsRate(Qi, b, D, tSwitch) * Math.exp(-Dmin * (t - tSwitch));
+    }
+    return arpsRate(Qi, b, D, t);
+  };
+  
+  const arpsCumulative = (Qi, b, D, t) => {
+    if (t <= 0) return 0;
     if (b === 0) {
-      return Qi * Math.exp(-D * t);
+      // Exponential decline
+      return (Qi / D) * (1 - Math.exp(-D * t));
+    }
+    if (b === 1) {
+      // Harmonic decline (infinite as t grows without bound)
+      return (Qi / D) * Math.log(1 + D * t);
     }
-    return Qi / Math.pow(1 + b * D * t, 1 / b);
+    // Hyperbolic decline; diverges for b > 1 as t grows without bound
+    return (Qi / (D * (1 - b))) * (1 - Math.pow(1 + b * D * t, (b - 1) / b));
+  };
+  
+  /**
+   * Calculate cumulative production from time 0 to t, including the exponential
+   * tail of a modified hyperbolic decline
+   * @param {number} Qi - Initial rate
+   * @param {number} b - Decline exponent
+   * @param {number} D - Initial decline rate, fraction per unit time
+   * @param {number} t - Time, typically in days (may be Infinity)
+   * @param {number} Dmin - Terminal decline rate, same units as D (0 = pure Arps)
+   * @returns {number} Cumulative production up to time t
+   */
+  export const calculateCumulative = (Qi, b, D, t, Dmin = 0) => {
+    const tSwitch = calculateSwitchTime(b, D, Dmin);
+    if (t <= tSwitch) {
+      return arpsCumulative(Qi, b, D, t);
+    }
+    const qSwitch = arpsRate(Qi, b, D, tSwitch);
+    return arpsCumulative(Qi, b, D, tSwitch) + (qSwitch / Dmin) * (1 - Math.exp(-Dmin * (t - tSwitch)));
   };
   
   /**
    * Calculate cumulative production (EUR) from decline curve parameters
    * @param {number} Qi - Initial rate
-   * @param {number} b - Decline exponent (0 = exponential, 1 = harmonic)
+   * @param {number} b - Decline exponent (0 = exponential, 1 = harmonic, > 1 needs Dmin)
    * @param {number} D - Initial decline rate, fraction per unit time
    * @param {number} t - Time limit for EUR calculation, typically in days
-   * @returns {number} Estimated ultimate recovery up to time t
+   * @param {number} Dmin - Terminal decline rate, same units as D (0 = pure Arps)
+   * @returns {number} Estimated ultimate recovery up to time t (Infinity for harmonic
+   *   or b > 1 without a terminal decline and without a time limit)
    */
-  export const calculateEUR = (Qi, b, D, t = Infinity) => {
-    if (!Qi || D <= 0) {
+  export const calculateEUR = (Qi, b, D, t = Infinity, Dmin = 0) => {
+    if (!Qi || D <= 0 || b < 0) {
       return 0;
     }
-    
-    // Handle special cases based on b value
-    if (b === 0) {
-      // Exponential decline with time limit
-      if (t < Infinity) {
-        return (Qi / D) * (1 - Math.exp(-D * t));
-      }
-      return Qi / D;
-    } 
-    else if (b === 1) {
-      // Harmonic decline with time limit
-      if (t < Infinity) {
-        return (Qi / D) * Math.log(1 + D * t);
-      }
-      return Infinity; // Infinite EUR for harmonic decline
-    }
-    else if (b > 0 && b < 1) {
-      // Hyperbolic decline with time limit
-      if (t < Infinity) {
-        return (Qi / (D * (1 - b))) * (1 - Math.pow(1 + b * D * t, (1 - b) / b));
-      }
-      return Qi / (D * (1 - b));
-    }
-    
-    return 0; // Invalid b value
+    return calculateCumulative(Qi, b, D, t, Dmin);
   };
   
   /**
@@ -65,9 +187,10 @@ export const calculateRate = (Qi, b, D, t) => {
    * @param {number} b - Decline exponent
    * @param {number} D - Initial decline rate
    * @param {number} t - Starting time for average calculation
+   * @param {number} Dmin - Terminal decline rate (0 = pure Arps)
    * @returns {number} 60-day average production
    */
-  export const calculate60DayAverage = (Qi, b, D, t) => {
+  export const calculate60DayAverage = (Qi, b, D, t, Dmin = 0) => {
     if (!Qi || D <= 0) {
       return 0;
     }
@@ -80,7 +203,7 @@ export const calculateRate = (Qi, b, D, t) => {
     let sum = 0;
     for (let i = 0; i <= steps; i++) {
       const time = t + i * dt;
-      const rate = calculateRate(Qi, b, D, time);
+      const rate = calculateRate(Qi, b, D, time, Dmin);
       
       // Trapezoidal rule weights
       const weight = (i === 0 || i === steps) ? 0.5 : 1.0;
@@ -93,15 +216,15 @@ export const calculateRate = (Qi, b, D, t) => {
   /**
    * Helper function to calculate error between actual data points and the decline curve model
    * @param {Array} points - Array of {t, value} points
-   * @param {Object} params - Decline curve parameters {Qi, b, D}
+   * @param {Object} params - Decline curve parameters {Qi, b, D, Dmin}
    * @returns {number} Sum of squared errors
    */
   export const calculateError = (points, params) => {
-    const { Qi, b, D } = params;
+    const { Qi, b, D, Dmin = 0 } = params;
     
     let sumSquaredError = 0;
     for (const point of points) {
-      const predicted = calculateRate(Qi, b, D, point.t);
+      const predicted = calculateRate(Qi, b, D, point.t, Dmin);
       const error = Math.pow(predicted - point.value, 2);
       sumSquaredError += error;
     }
@@ -137,65 +260,381 @@ export const calculateRate = (Qi, b, D, t) => {
   };
   
   /**
-   * More sophisticated algorithm to fit decline curve parameters to historical data
-   * Uses least squares optimization with a grid search approach
+   * Solve the square linear system A·x = b by Gaussian elimination with partial pivoting
+   * @param {Array} A - Square matrix as an array of rows
+   * @param {Array} b - Right-hand side vector
+   * @returns {Array|null} Solution vector, or null if the matrix is singular
+   */
+  export const solveLinearSystem = (A, b) => {
+    const n = b.length;
+    const m = A.map((row, i) => [...row, b[i]]);
+    
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-300) return null;
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      
+      for (let row = col + 1; row < n; row++) {
+        const factor = m[row][col] / m[col][col];
+        for (let k = col; k <= n; k++) {
+          m[row][k] -= factor * m[col][k];
+        }
+      }
+    }
+    
+    const x = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = m[row][n];
+      for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+      x[row] = sum / m[row][row];
+    }
+    return x;
+  };
+  
+  const sumOfSquares = (values) => values.reduce((acc, v) => acc + v * v, 0);
+  
+  // Forward-difference Jacobian; steps backwards when a parameter sits on its upper bound.
+  const numericJacobian = (residualFn, params, baseResiduals, upper) => {
+    const columns = params.map((value, j) => {
+      let h = 1e-6 * Math.max(Math.abs(value), 1e-6);
+      if (value + h > (upper[j] ?? Infinity)) h = -h;
+      const stepped = [...params];
+      stepped[j] = value + h;
+      const r = residualFn(stepped);
+      return r.map((ri, i) => (ri - baseResiduals[i]) / h);
+    });
+    // Transpose to one row per residual
+    return baseResiduals.map((_, i) => columns.map(col => col[i]));
+  };
+  
+  const normalMatrix = (J) => {
+    const p = J[0]?.length || 0;
+    const JtJ = Array.from({ length: p }, () => new Array(p).fill(0));
+    J.forEach(row => {
+      for (let a = 0; a < p; a++) {
+        for (let c = a; c < p; c++) {
+          JtJ[a][c] += row[a] * row[c];
+        }
+      }
+    });
+    for (let a = 0; a < p; a++) {
+      for (let c = 0; c < a; c++) JtJ[a][c] = JtJ[c][a];
+    }
+    return JtJ;
+  };
+  
+  /**
+   * Bounded Levenberg–Marquardt solver for nonlinear least squares.
+   * Steps are damped with Marquardt's diagonal scaling and projected back onto the bounds.
+   * @param {Function} residualFn - Maps a parameter array to an array of residuals
+   * @param {Array} initial - Starting parameter values
+   * @param {Object} options - { lower, upper, maxIterations, tolerance }
+   * @returns {Object} { params, residuals, cost, iterations, converged, covariance }
+   */
+  export const levenbergMarquardt = (residualFn, initial, options = {}) => {
+    const { lower = [], upper = [], maxIterations = 200, tolerance = 1e-10 } = options;
+    const project = (p) => p.map((v, i) =>
+      Math.min(upper[i] ?? Infinity, Math.max(lower[i] ?? -Infinity, v))
+    );
+    
+    let params = project(initial);
+    let residuals = residualFn(params);
+    let cost = sumOfSquares(residuals);
+    let lambda = 1e-3;
+    let converged = false;
+    let iterations = 0;
+    
+    while (iterations < maxIterations && !converged) {
+      iterations++;
+      const current = params;
+      const currentResiduals = residuals;
+      const J = numericJacobian(residualFn, current, currentResiduals, upper);
+      const JtJ = normalMatrix(J);
+      const Jtr = current.map((_, a) => J.reduce((acc, row, i) => acc + row[a] * currentResiduals[i], 0));
+      
+      // Parameters resting on a bound with the gradient pointing outward stay put.
+      const pinned = current.map((v, i) =>
+        (v <= (lower[i] ?? -Infinity) && Jtr[i] > 0) || (v >= (upper[i] ?? Infinity) && Jtr[i] < 0)
+      );
+      
+      let stepped = false;
+      while (lambda < 1e12) {
+        const damping = lambda;
+        const A = JtJ.map((row, a) => row.map((v, c) => {
+          if (pinned[a] || pinned[c]) return a === c ? 1 : 0;
+          return a === c ? v + damping * Math.max(v, 1e-12) : v;
+        }));
+        const delta = solveLinearSystem(A, Jtr.map((v, i) => (pinned[i] ? 0 : -v)));
+        if (delta) {
+          const trial = project(current.map((v, i) => v + delta[i]));
+          const trialResiduals = residualFn(trial);
+          const trialCost = sumOfSquares(trialResiduals);
+          if (isFinite(trialCost) && trialCost < cost) {
+            const reduction = (cost - trialCost) / Math.max(cost, 1e-300);
+            const stepSize = Math.max(...trial.map((v, i) => Math.abs(v - current[i]) / Math.max(Math.abs(current[i]), 1e-12)));
+            params = trial;
+            residuals = trialResiduals;
+            cost = trialCost;
+            lambda = Math.max(lambda / 10, 1e-12);
+            stepped = true;
+            converged = reduction < tolerance || stepSize < tolerance;
+            break;
+          }
+        }
+        lambda *= 10;
+      }
+      // No damped step reduces the cost any further: we are at a (bounded) minimum.
+      if (!stepped) converged = true;
+    }
+    
+    const JtJ = normalMatrix(numericJacobian(residualFn, params, residuals, upper));
+    const covariance = JtJ.length
+      ? JtJ.map((_, a) => solveLinearSystem(JtJ, JtJ.map((__, c) => (a === c ? 1 : 0))))
+      : [];
+    
+    return {
+      params,
+      residuals,
+      cost,
+      iterations,
+      converged,
+      covariance: covariance.every(Boolean) ? covariance : null
+    };
+  };
+  
+  /**
+   * Default parameter bounds for Arps auto-fit (D as nominal fraction per day).
+   * The b ceiling is further limited by maxDeclineExponent.
+   */
+  export const DEFAULT_FIT_BOUNDS = {
+    Qi: [0.001, Infinity],
+    b: [0, MAX_B_TERMINAL],
+    D: [0.00001, 1]
+  };
+  
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  
+  /**
+   * Summarize the start and end of a decline from the medians of the first and last
+   * few points, so a single noisy point can't dominate starting guesses
+   * @param {Array} points - Array of {t, value} points sorted by t
+   * @returns {Object} { q0, qEnd, t0, tEnd, dt }
+   */
+  export const summarizeDecline = (points) => {
+    const window = Math.max(1, Math.min(5, Math.floor(points.length / 4)));
+    const head = points.slice(0, window);
+    const tail = points.slice(-window);
+    const t0 = median(head.map(p => p.t));
+    const tEnd = median(tail.map(p => p.t));
+    return {
+      q0: Math.max(median(head.map(p => p.value)), 1e-3),
+      qEnd: Math.max(median(tail.map(p => p.value)), 1e-6),
+      t0,
+      tEnd,
+      dt: Math.max(tEnd - t0, 1)
+    };
+  };
+  
+  /**
+   * Attach cumulative production to rate points by trapezoidal integration
+   * @param {Array} points - Array of {t, value} points sorted by t (t in days)
+   * @param {number} initial - Cumulative already produced at the first point
+   * @returns {Array} Copies of the points with np, the cumulative at each point
+   */
+  export const cumulativeFromRates = (points, initial = 0) => {
+    let np = initial;
+    return points.map((p, i) => {
+      if (i > 0) np += (p.t - points[i - 1].t) * (p.value + points[i - 1].value) / 2;
+      return { ...p, np };
+    });
+  };
+  
+  /**
+   * Cumulative at time t, linearly interpolated between points carrying np
+   * @param {Array} points - Array of {t, np} points sorted by t
+   * @param {number} t - Time in days
+   * @returns {number} Interpolated cumulative (clamped to the ends of the data)
+   */
+  export const interpolateCumulative = (points, t) => {
+    if (!points.length) return 0;
+    if (t <= points[0].t) return points[0].np;
+    for (let i = 1; i < points.length; i++) {
+      if (points[i].t >= t) {
+        const a = points[i - 1];
+        const b = points[i];
+        return a.np + (b.np - a.np) * (t - a.t) / Math.max(b.t - a.t, 1e-12);
+      }
+    }
+    return points[points.length - 1].np;
+  };
+  
+  /**
+   * Detect upward steps in a rate history (workovers, lift changes, refracs) by comparing
+   * the median log-rate of the points just after each candidate with those just before
+   * @param {Array} points - Array of {t, value} points
+   * @param {Object} options - { window (points on each side, default 5), minRatio (smallest
+   *   rate jump counted as a step, default 1.5) }
+   * @returns {Array} Times of the detected steps (the first point of each new segment), ascending
+   */
+  export const detectStepChanges = (points, { window = 5, minRatio = 1.5 } = {}) => {
+    const sorted = points.filter(p => p.value > 0).sort((a, b) => a.t - b.t);
+    const logs = sorted.map(p => Math.log(p.value));
+    const threshold = Math.log(minRatio);
+    const candidates = [];
+    for (let i = window; i <= sorted.length - window; i++) {
+      const jump = median(logs.slice(i, i + window)) - median(logs.slice(i - window, i));
+      if (jump >= threshold) candidates.push({ i, jump });
+    }
+    // Keep the strongest step of each cluster; segments need at least `window` points.
+    candidates.sort((a, b) => b.jump - a.jump);
+    const picked = [];
+    candidates.forEach(c => {
+      if (picked.every(p => Math.abs(p.i - c.i) >= window)) picked.push(c);
+    });
+    return picked.map(p => sorted[p.i].t).sort((a, b) => a - b);
+  };
+  
+  /**
+   * Fit any rate-time model to historical data by bounded Levenberg–Marquardt,
+   * restarting from each starting point and keeping the lowest-cost result.
    * 
    * @param {Array} dataPoints - Array of {t, value} points
-   * @param {Object} initialGuess - Initial parameter guesses {Qi, b, D}
-   * @returns {Object} Best fit parameters {Qi, b, D, error}
+   * @param {Function} rateFn - (params object, t) => rate
+   * @param {Array} keys - Names of the fitted parameters, in order
+   * @param {Array} starts - Starting parameter objects
+   * @param {Object} options - { bounds: {key: [min, max]}, logSpace, maxIterations }
+   * @returns {Object} { params, error (mean squared rate error), sse (sum of squared residuals
+   *   in the space fitted: log rate with logSpace), converged, iterations, stdErrors, n }
    */
-  export const fitDeclineCurve = (dataPoints, initialGuess = {}) => {
-    if (!dataPoints || dataPoints.length < 3) {
-      return { Qi: 100, b: 0.5, D: 0.05, error: Infinity };
+  export const fitRateModel = (dataPoints, rateFn, keys, starts, options = {}) => {
+    const { bounds = {}, logSpace = false, maxIterations = 200 } = options;
+    
+    // Log-rate residuals can't use zero or negative rates.
+    const points = [...(dataPoints || [])]
+      .filter(p => isFinite(p.value) && (!logSpace || p.value > 0))
+      .sort((a, b) => a.t - b.t);
+    if (points.length < keys.length || !starts.length) {
+      return { params: { ...starts[0] }, error: Infinity, sse: Infinity, converged: false, iterations: 0, stdErrors: null, n: points.length };
     }
     
-    // Sort points by time
-    const points = [...dataPoints].sort((a, b) => a.t - b.t);
-    
-    // Default initial guess
-    const guess = {
-      Qi: initialGuess.Qi || points[0].value,
-      b: initialGuess.b ?? 0.5,
-      D: initialGuess.D ?? 0.05
+    const residual = (params, p) => {
+      const predicted = rateFn(params, p.t);
+      return logSpace
+        ? Math.log(Math.max(predicted, 1e-12)) - Math.log(p.value)
+        : predicted - p.value;
     };
+    const lower = keys.map(k => bounds[k]?.[0] ?? -Infinity);
+    const upper = keys.map(k => bounds[k]?.[1] ?? Infinity);
+    const toObject = (values, base) => keys.reduce((acc, k, i) => ({ ...acc, [k]: values[i] }), { ...base });
+    
+    let best = null;
+    starts.forEach(start => {
+      const residualFn = (values) => {
+        const params = toObject(values, start);
+        return points.map(p => residual(params, p));
+      };
+      const result = levenbergMarquardt(residualFn, keys.map(k => start[k]), { lower, upper, maxIterations });
+      if (!best || result.cost < best.cost) best = { ...result, start };
+    });
     
-    let bestParams = { ...guess };
-    let bestError = calculateError(points, bestParams);
+    const params = toObject(best.params, best.start);
+    const dof = points.length - keys.length;
+    const variance = dof > 0 ? best.cost / dof : NaN;
+    const stdErrors = keys.reduce((acc, k, i) => ({
+      ...acc,
+      [k]: best.covariance && dof > 0 ? Math.sqrt(Math.max(variance * best.covariance[i][i], 0)) : null
+    }), {});
+    const error = points.reduce((acc, p) => acc + Math.pow(rateFn(params, p.t) - p.value, 2), 0) / points.length;
+    const sse = points.reduce((acc, p) => acc + Math.pow(residual(params, p), 2), 0);
     
-    // Try different b values to find the best fit
-    const bValues = [0, 0.3, 0.5, 0.7, 0.9];
+    return {
+      params,
+      error,
+      sse,
+      converged: best.converged,
+      iterations: best.iterations,
+      stdErrors,
+      n: points.length
+    };
+  };
+  
+  /**
+   * Starting points for an Arps fit: a few b values, each with the D that joins the
+   * start and end of the decline
+   * @param {Array} points - Array of {t, value} points sorted by t
+   * @param {Array} bValues - Decline exponents to start from
+   * @returns {Array} Starting parameter objects {Qi, b, D}
+   */
+  export const arpsStartingPoints = (points, bValues = [0.3, 0.8, 1.5]) => {
+    const { q0, qEnd, dt } = summarizeDecline(points);
+    const ratio = Math.min(qEnd / q0, 0.999);
+    return bValues.map(b => ({
+      Qi: q0,
+      b,
+      D: b === 0 ? -Math.log(ratio) / dt : (Math.pow(1 / ratio, b) - 1) / (b * dt)
+    }));
+  };
+  
+  /**
+   * Fit Arps decline parameters to historical data by nonlinear least squares
+   * (Levenberg–Marquardt over Qi, b and D together), restarted from a few b values.
+   * 
+   * @param {Array} dataPoints - Array of {t, value} points
+   * @param {Object} initialGuess - Initial parameter guesses {Qi, b, D}
+   * @param {Object} options - { bounds: {Qi, b, D} as [min, max], logSpace, maxIterations,
+   *   Dmin (fixed terminal decline; allows b above 1) }
+   * @returns {Object} Best fit parameters {Qi, b, D, Dmin, error, converged, iterations, stdErrors, n}
+   */
+  export const fitDeclineCurve = (dataPoints, initialGuess = {}, options = {}) => {
+    const Dmin = options.Dmin || 0;
+    if (!dataPoints || dataPoints.length < 3) {
+      return { Qi: 100, b: 0.5, D: 0.05, Dmin, error: Infinity, converged: false, iterations: 0, stdErrors: null, n: 0 };
+    }
     
-    bValues.forEach(b => {
-      // Optimize D for this b value
-      let minD = 0.001;
-      let maxD = 0.5;
-      let bestD = 0.05;
-      let bestDError = Infinity;
-      
-      // Simple grid search for D
-      for (let i = 0; i <= 10; i++) {
-        const D = minD + (i / 10) * (maxD - minD);
-        
-        // Try adjusting Qi slightly
-        for (let qiPct = 0.9; qiPct <= 1.1; qiPct += 0.05) {
-          const Qi = guess.Qi * qiPct;
-          const params = { Qi, b, D };
-          const error = calculateError(points, params);
-          
-          if (error < bestDError) {
-            bestDError = error;
-            bestD = D;
-          }
-          
-          if (error < bestError) {
-            bestParams = { Qi, b, D };
-            bestError = error;
-          }
-        }
-      }
-    });
+    const bounds = { ...DEFAULT_FIT_BOUNDS, ...(options.bounds || {}) };
+    bounds.b = [bounds.b[0], Math.min(bounds.b[1], maxDeclineExponent(Dmin))];
+    const clamp = (v, [lo, hi]) => Math.min(hi, Math.max(lo, v));
+    
+    const sorted = [...dataPoints].sort((a, b) => a.t - b.t);
+    const bValues = initialGuess.b !== undefined ? [initialGuess.b] : [0.3, 0.8, 1.5];
+    const starts = arpsStartingPoints(sorted, [...new Set(bValues.map(b => clamp(b, bounds.b)))])
+      .map(start => ({
+        Qi: clamp(initialGuess.Qi || start.Qi, bounds.Qi),
+        b: start.b,
+        D: clamp(initialGuess.D ?? start.D, bounds.D),
+        Dmin
+      }));
+    
+    const fit = fitRateModel(
+      sorted,
+      (p, t) => calculateRate(p.Qi, p.b, p.D, t, p.Dmin),
+      ['Qi', 'b', 'D'],
+      starts,
+      { ...options, bounds }
+    );
+    if (!isFinite(fit.error) && fit.n < 3) {
+      return { Qi: dataPoints[0]?.value || 100, b: 0.5, D: 0.05, Dmin, error: Infinity, converged: false, iterations: 0, stdErrors: null, n: fit.n };
+    }
     
-    return { ...bestParams, error: bestError };
+    const { Qi, b, D } = fit.params;
+    return {
+      Qi,
+      b,
+      D,
+      Dmin,
+      error: fit.error,
+      converged: fit.converged,
+      iterations: fit.iterations,
+      stdErrors: fit.stdErrors,
+      n: fit.n
+    };
   };
   
   /**
@@ -203,21 +642,23 @@ export const calculateRate = (Qi, b, D, t) => {
    * @param {Object} phaseParams - Parameters for each phase
    * @param {Object} calculatedEUR - EUR for each phase
    * @param {Object} forecastAverage - 60-day averages for each phase
+   * @param {string} declineUnit - Unit of the D column (see DECLINE_UNITS)
    * @returns {string} CSV formatted string with results
    */
-  export const exportResultsToCSV = (phaseParams, calculatedEUR, forecastAverage) => {
+  export const exportResultsToCSV = (phaseParams, calculatedEUR, forecastAverage, declineUnit = "daily") => {
     const phases = Object.keys(phaseParams);
     
     // CSV header
-    let csv = "Phase,Qi,b,D,EUR,60-Day Avg\n";
+    let csv = `Phase,Qi,b,D (${DECLINE_UNITS[declineUnit].short}),EUR,60-Day Avg\n`;
     
     // Add data for each phase
     phases.forEach(phase => {
       const { Qi, b, D } = phaseParams[phase];
       const eur = calculatedEUR[phase];
       const avg = forecastAverage[phase];
+      const decline = nominalDailyToDeclineUnit(D, declineUnit, b);
       
-      csv += `${phase},${Qi.toFixed(2)},${b.toFixed(3)},${D.toFixed(5)},${typeof eur === 'number' ? eur.toFixed(0) : eur},${avg.toFixed(2)}\n`;
+      csv += `${phase},${Qi.toFixed(2)},${b.toFixed(3)},${decline.toFixed(declineUnit === "daily" ? 5 : 2)},${typeof eur === 'number' ? eur.toFixed(0) : eur},${avg.toFixed(2)}\n`;
     });
     
     return csv;
@@ -228,9 +669,10 @@ export const calculateRate = (Qi, b, D, t) => {
    * @param {string} key - Parameter to adjust (d, q, or b)
    * @param {number} dy - Change in y position
    * @param {number} originalValue - Original parameter value
+   * @param {number} maxB - Upper limit for b (see maxDeclineExponent)
    * @returns {number} Adjusted parameter value
    */
-  export const getAdjustmentForDrag = (key, dy, originalValue) => {
+  export const getAdjustmentForDrag = (key, dy, originalValue, maxB = MAX_B_ARPS) => {
     switch (key) {
       case "d":
         // Very fine control for D parameter
@@ -240,7 +682,7 @@ export const calculateRate = (Qi, b, D, t) => {
         return Math.max(1, originalValue - dy * 0.5);
       case "b":
         // Fine control for b with range limiting
-        return Math.max(0, Math.min(1, originalValue + dy * 0.002));
+        return Math.max(0, Math.min(maxB, originalValue + dy * 0.002));
       default:
         return originalValue;
     }
@@ -312,6 +754,50 @@ export const calculateRate = (Qi, b, D, t) => {
     return candidates.length > 0 ? candidates[0] : "Production_Date";
   };
   
+  // Well identifier columns, most specific first. Headers are compared with
+  // case and punctuation stripped, so "Well_Name" and "API #" both match.
+  const WELL_ID_HEADERS = ["uwi", "api14", "api12", "api10", "api", "apinumber", "apino", "wellname", "wellid", "well"];
+  
+  /**
+   * Helper function to detect the well identifier column in CSV headers
+   * (UWI, API number or well name). Multi-well exports are split on it.
+   * @param {Array} headers - Array of CSV column headers
+   * @returns {string|null} Best matching well column name, or null for single-well data
+   */
+  export const detectWellColumn = (headers) => {
+    const normalized = headers.map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ""));
+    for (const name of WELL_ID_HEADERS) {
+      const idx = normalized.indexOf(name);
+      if (idx !== -1) return headers[idx];
+    }
+    const partial = normalized.findIndex(h => h.includes("uwi") || h.startsWith("wellname"));
+    return partial !== -1 ? headers[partial] : null;
+  };
+  
+  // Phase columns are ranked: a unit naming the phase ("BOPD", "MCFD", "PIP") beats the
+  // phase name with a rate hint ("Oil Rate", "Gas_Prod"), which beats the bare name ("Oil");
+  // ties go to the first column. Headers are compared with case and punctuation stripped.
+  const PHASE_HEADERS = {
+    oil: { units: ["bopd"], names: ["oil"] },
+    gas: { units: ["mcfd", "mscfd", "mmcfd"], names: ["gas"] },
+    water: { units: ["bwpd"], names: ["water", "wtr"] },
+    pressure: { units: ["pip", "bhp"], names: ["pressure", "psi"] }
+  };
+  const RATE_HINTS = ["rate", "prod", "daily", "perday", "vol", "bbl", "mcf"];
+  // Columns that name a phase without being its rate: money, ratios and cuts, injection,
+  // and pressure derivatives ("dP/dt", "psi/day").
+  const NOT_RATE_HINTS = [
+    "price", "cost", "revenue", "value", "tax", "royalty", "ratio", "cut", "gor", "wor", "yield",
+    "gravity", "inj", "lift", "temp", "dpdt", "deriv", "delta", "gradient", "psiday", "psiperday"
+  ];
+  
+  const phaseScore = (normalized, { units, names }) => {
+    if (NOT_RATE_HINTS.some(h => normalized.includes(h))) return 0;
+    if (units.some(u => normalized.includes(u))) return 3;
+    if (!names.some(n => normalized.includes(n))) return 0;
+    return RATE_HINTS.some(h => normalized.includes(h)) ? 2 : 1;
+  };
+  
   /**
    * Helper function to detect production columns in CSV headers
    * @param {Array} headers - Array of CSV column headers
@@ -319,32 +805,47 @@ export const calculateRate = (Qi, b, D, t) => {
    */
   export const detectColumns = (headers) => {
     let phases = {};
+    let best = {};
     headers.forEach(header => {
-      const lower = header.toLowerCase();
-      if (lower.includes("bopd") || (lower.includes("oil") && !phases.oil)) {
-        phases.oil = header;
-      }
-      if (lower.includes("bwpd") || (lower.includes("water") && !phases.water)) {
-        phases.water = header;
-      }
-      if (lower.includes("mcfd") || (lower.includes("gas") && !phases.gas)) {
-        phases.gas = header;
-      }
-      if ((lower.includes("pip") || lower.includes("pressure") || lower.includes("psi")) && !phases.pressure) {
-        phases.pressure = header;
-      }
+      const normalized = header.toLowerCase().replace(/[^a-z0-9]/g, "");
+      // Cumulative volumes are picked up by detectCumColumns, not as rates.
+      if (normalized.includes("cum")) return;
+      Object.keys(PHASE_HEADERS).forEach(phase => {
+        const score = phaseScore(normalized, PHASE_HEADERS[phase]);
+        if (score > (best[phase] || 0)) {
+          best[phase] = score;
+          phases[phase] = header;
+        }
+      });
     });
     return phases;
   };
   
+  /**
+   * Helper function to detect cumulative production columns (e.g. "Cum_Oil", "CumGas_MCF")
+   * @param {Array} headers - Array of CSV column headers
+   * @returns {Object} Mapping of phase names to cumulative column headers
+   */
+  export const detectCumColumns = (headers) => {
+    let cums = {};
+    headers.forEach(header => {
+      const lower = header.toLowerCase();
+      if (!lower.includes("cum")) return;
+      if ((lower.includes("oil") || lower.includes("bo")) && !cums.oil) cums.oil = header;
+      else if ((lower.includes("water") || lower.includes("bw")) && !cums.water) cums.water = header;
+      else if ((lower.includes("gas") || lower.includes("mcf")) && !cums.gas) cums.gas = header;
+    });
+    return cums;
+  };
+  
   /**
    * Calculate 30-day, 60-day, 90-day, and 180-day decline rates
-   * @param {Object} params - Decline curve parameters {Qi, b, D}
+   * @param {Object} params - Decline curve parameters {Qi, b, D, Dmin}
    * @param {number} startTime - Starting time for calculation
    * @returns {Object} Calculated decline rates for different periods
    */
   export const calculateDeclineRates = (params, startTime = 0) => {
-    const { Qi, b, D } = params;
+    const { Qi, b, D, Dmin = 0 } = params;
     
     if (!Qi || D <= 0) {
       return {
@@ -355,12 +856,12 @@ export const calculateRate = (Qi, b, D, t) => {
       };
     }
     
-    const initialRate = calculateRate(Qi, b, D, startTime);
+    const initialRate = calculateRate(Qi, b, D, startTime, Dmin);
     
-    const rate30 = calculateRate(Qi, b, D, startTime + 30);
-    const rate60 = calculateRate(Qi, b, D, startTime + 60);
-    const rate90 = calculateRate(Qi, b, D, startTime + 90);
-    const rate180 = calculateRate(Qi, b, D, startTime + 180);
+    const rate30 = calculateRate(Qi, b, D, startTime + 30, Dmin);
+    const rate60 = calculateRate(Qi, b, D, startTime + 60, Dmin);
+    const rate90 = calculateRate(Qi, b, D, startTime + 90, Dmin);
+    const rate180 = calculateRate(Qi, b, D, startTime + 180, Dmin);
     
     return {
       day30: (initialRate - rate30) / initialRate,
@@ -403,18 +904,35 @@ export const calculateRate = (Qi, b, D, t) => {
   
   // Export all utilities
   export default {
+    effectiveAnnualToNominalDaily,
+    DECLINE_UNITS,
+    nominalDailyToDeclineUnit,
+    declineUnitToNominalDaily,
+    maxDeclineExponent,
+    calculateSwitchTime,
     calculateRate,
+    calculateCumulative,
     calculateEUR,
     calculate60DayAverage,
     calculateError,
     estimateDeclineParams,
+    solveLinearSystem,
+    levenbergMarquardt,
+    summarizeDecline,
+    detectStepChanges,
+    cumulativeFromRates,
+    interpolateCumulative,
+    fitRateModel,
+    arpsStartingPoints,
     fitDeclineCurve,
     exportResultsToCSV,
     getAdjustmentForDrag,
     calculatePercentageError,
     calculateVolumeWeightedAverage,
     detectDateColumn,
+    detectWellColumn,
     detectColumns,
+    detectCumColumns,
     calculateDeclineRates,
     generateTypeCurve
   };
\ No newline at end of file
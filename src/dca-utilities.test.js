@@ -0,0 +1,106 @@
+import {
+  calculateSwitchTime,
+  calculateRate,
+  calculateCumulative,
+  calculateEUR,
+  detectStepChanges,
+  DAYS_PER_YEAR,
+  DECLINE_UNITS,
+  nominalDailyToDeclineUnit,
+  declineUnitToNominalDaily
+} from './dca-utilities';
+
+// Composite Simpson's rule over [a, b]
+const integrate = (f, a, b, intervals = 2000) => {
+  const h = (b - a) / intervals;
+  let sum = f(a) + f(b);
+  for (let i = 1; i < intervals; i++) sum += (i % 2 ? 4 : 2) * f(a + i * h);
+  return (sum * h) / 3;
+};
+
+test('switches to the terminal decline when the hyperbolic decline reaches Dmin', () => {
+  const tSwitch = calculateSwitchTime(1.2, 0.01, 0.0002);
+  expect(0.01 / (1 + 1.2 * 0.01 * tSwitch)).toBeCloseTo(0.0002, 10);
+  expect(calculateSwitchTime(1.2, 0.01, 0)).toBe(Infinity);
+  expect(calculateSwitchTime(0, 0.01, 0.0002)).toBe(Infinity);
+  expect(calculateSwitchTime(0.5, 0.0001, 0.0002)).toBe(0);
+});
+
+test('keeps the modified hyperbolic rate continuous and exponential after the switch', () => {
+  const [Qi, b, D, Dmin] = [1000, 1.2, 0.01, 0.0002];
+  const tSwitch = calculateSwitchTime(b, D, Dmin);
+  expect(calculateRate(Qi, b, D, tSwitch + 1e-6, Dmin)).toBeCloseTo(calculateRate(Qi, b, D, tSwitch, Dmin), 4);
+  const ratio = calculateRate(Qi, b, D, tSwitch + 200, Dmin) / calculateRate(Qi, b, D, tSwitch + 100, Dmin);
+  expect(ratio).toBeCloseTo(Math.exp(-Dmin * 100), 10);
+  expect(calculateRate(Qi, b, D, 100, Dmin)).toBeCloseTo(calculateRate(Qi, b, D, 100), 10);
+});
+
+test('integrates the modified hyperbolic rate across the switch', () => {
+  const [Qi, b, D, Dmin] = [1000, 1.2, 0.01, 0.0002];
+  const tSwitch = calculateSwitchTime(b, D, Dmin);
+  [tSwitch / 2, tSwitch, tSwitch * 3].forEach(t => {
+    const numeric = integrate(s => calculateRate(Qi, b, D, s, Dmin), 0, Math.min(t, tSwitch))
+      + (t > tSwitch ? integrate(s => calculateRate(Qi, b, D, s, Dmin), tSwitch, t) : 0);
+    expect(calculateCumulative(Qi, b, D, t, Dmin) / numeric).toBeCloseTo(1, 6);
+  });
+});
+
+test('gives a finite EUR above b = 1 only with a terminal decline', () => {
+  const eur = calculateEUR(1000, 1.2, 0.01, Infinity, 0.0002);
+  const tSwitch = calculateSwitchTime(1.2, 0.01, 0.0002);
+  const tail = calculateRate(1000, 1.2, 0.01, tSwitch) / 0.0002;
+  expect(eur).toBeCloseTo(calculateCumulative(1000, 1.2, 0.01, tSwitch) + tail, 4);
+  expect(calculateEUR(1000, 1.2, 0.01)).toBe(Infinity);
+  expect(calculateEUR(1000, 0, 0.01)).toBeCloseTo(1000 / 0.01);
+});
+
+// Exponential decline, restarted at the given times with the rate multiplied by `jump`
+const restarted = (steps, jump, length = 40) =>
+  Array.from({ length }, (_, i) => {
+    const t = i * 10;
+    const level = steps.filter(s => t >= s).length;
+    return { t, value: 1000 * Math.pow(jump, level) * Math.exp(-0.005 * t) };
+  });
+
+test('finds the restarts of a production history', () => {
+  expect(detectStepChanges(restarted([150], 3))).toEqual([150]);
+  expect(detectStepChanges(restarted([100, 280], 2.5))).toEqual([100, 280]);
+});
+
+test('ignores single spikes, small steps and steps too close to the ends', () => {
+  const spiky = restarted([], 1).map((p, i) => (i === 20 ? { ...p, value: p.value * 10 } : p));
+  expect(detectStepChanges(spiky)).toEqual([]);
+  expect(detectStepChanges(restarted([150], 1.6))).toEqual([]);
+  expect(detectStepChanges(restarted([150], 1.6), { minRatio: 1.2 })).toEqual([150]);
+  expect(detectStepChanges(restarted([390], 3))).toEqual([]);
+});
+
+test('skips shut-in months when looking for steps', () => {
+  const points = restarted([150], 3).map((p, i) => (i % 7 === 3 ? { ...p, value: 0 } : p));
+  expect(detectStepChanges(points)).toEqual([150]);
+});
+
+test('round-trips a decline through every display unit', () => {
+  Object.keys(DECLINE_UNITS).forEach(unit => {
+    [0, 0.5, 1.5].forEach(b => {
+      [0.0001, 0.002, 0.01].forEach(D => {
+        const shown = nominalDailyToDeclineUnit(D, unit, b);
+        expect(declineUnitToNominalDaily(shown, unit, b)).toBeCloseTo(D, 12);
+      });
+    });
+  });
+});
+
+test('shows effective declines as the rate lost over the first year', () => {
+  const D = 0.002;
+  expect(nominalDailyToDeclineUnit(D, 'nominal')).toBeCloseTo(100 * D * DAYS_PER_YEAR, 10);
+  expect(nominalDailyToDeclineUnit(D, 'tangent')).toBeCloseTo(100 * (1 - calculateRate(1, 0, D, DAYS_PER_YEAR)), 10);
+  expect(nominalDailyToDeclineUnit(D, 'secant', 0.8)).toBeCloseTo(100 * (1 - calculateRate(1, 0.8, D, DAYS_PER_YEAR)), 10);
+  expect(nominalDailyToDeclineUnit(D, 'secant', 0)).toBe(nominalDailyToDeclineUnit(D, 'tangent'));
+});
+
+test('rejects effective declines of 100% or more', () => {
+  expect(declineUnitToNominalDaily(100, 'tangent')).toBeNaN();
+  expect(declineUnitToNominalDaily(120, 'secant', 0.5)).toBeNaN();
+  expect(declineUnitToNominalDaily(120, 'nominal')).toBeCloseTo(1.2 / DAYS_PER_YEAR, 12);
+});
@@ -1,40 +1,34 @@
 // src/dca.js
-export function calculateRate(Qi, b, D, t) {
-    if (b === 0) return Qi * Math.exp(-D * t);
-    return Qi / Math.pow(1 + b * D * t, 1 / b);
-  }
-  
-  export function detectDateColumn(columns) {
-    const candidates = columns.filter(h => {
-      const lower = h.toLowerCase();
-      return (
-        (lower.includes("prod") && lower.includes("date")) ||
-        lower.includes("proddt") ||
-        lower.includes("proddttm") ||
-        lower === "date" ||
-        lower === "datetime"
-      );
-    });
-    return candidates.length > 0 ? candidates[0] : "Production_Date";
-  }
-  
-  export function detectColumns(columns) {
-    let phases = {};
+// Rate evaluation (including the modified hyperbolic switch) and the date, well, rate and
+// cum column detection live with the other decline math.
+export {
+  calculateRate,
+  detectDateColumn,
+  detectWellColumn,
+  detectColumns,
+  detectCumColumns
+} from './dca-utilities';
+
+  // Downtime flags: hours on production ("Hours_On", "Prod_Hrs", "Uptime") or hours down
+  // ("Downtime", "Hrs_Down"). Returns { column, kind: "hours" | "downtime" } or null.
+  export function detectDowntimeColumn(columns) {
+    let found = null;
     columns.forEach(header => {
-      const lower = header.toLowerCase();
-      if (lower.includes("bopd") || (lower.includes("oil") && !phases.oil)) {
-        phases.oil = header;
-      }
-      if (lower.includes("bwpd") || (lower.includes("water") && !phases.water)) {
-        phases.water = header;
-      }
-      if (lower.includes("mcfd") || (lower.includes("gas") && !phases.gas)) {
-        phases.gas = header;
-      }
-      if ((lower.includes("pip") || lower.includes("pressure") || lower.includes("psi")) && !phases.pressure) {
-        phases.pressure = header;
+      if (found) return;
+      const lower = header.toLowerCase().replace(/[^a-z]/g, "");
+      if (lower.includes("down") || lower.includes("shutin")) found = { column: header, kind: "downtime" };
+      else if (lower.includes("uptime") || ((lower.includes("hours") || lower.includes("hrs")) && !lower.includes("down"))) {
+        found = { column: header, kind: "hours" };
       }
     });
-    return phases;
+    return found;
+  }
+
+  // Days produced in each reporting period ("Days_On", "Prod_Days", "Days Produced").
+  export function detectDaysOnColumn(columns) {
+    const normalized = columns.map(h => h.toLowerCase().replace(/[^a-z]/g, ""));
+    const idx = normalized.findIndex(h =>
+      h.includes("dayson") || h.includes("daysprod") || h.includes("proddays") || h.includes("producingdays")
+    );
+    return idx !== -1 ? columns[idx] : null;
   }
-  
\ No newline at end of file
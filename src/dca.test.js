@@ -0,0 +1,88 @@
+import { detectColumns } from './dca';
+import { calculateRate, levenbergMarquardt, fitRateModel, fitDeclineCurve } from './dca-utilities';
+
+const arps = { Qi: 1000, b: 0.6, D: 0.01 };
+const arpsPoints = Array.from({ length: 60 }, (_, i) => ({ t: i * 10, value: calculateRate(arps.Qi, arps.b, arps.D, i * 10) }));
+const arpsRate = (p, t) => calculateRate(p.Qi, p.b, p.D, t);
+
+test('finds the phase columns of a typical daily export', () => {
+  expect(detectColumns(['UWI', 'Production_Date', 'Oil_BOPD', 'Gas_MCFD', 'Water_BWPD', 'PIP_psi'])).toEqual({
+    oil: 'Oil_BOPD', gas: 'Gas_MCFD', water: 'Water_BWPD', pressure: 'PIP_psi'
+  });
+});
+
+test('ranks rate headers above a bare phase name, whatever the column order', () => {
+  expect(detectColumns(['Oil', 'Oil Rate', 'Gas', 'Gas_Prod']).oil).toBe('Oil Rate');
+  expect(detectColumns(['Oil', 'Oil Rate', 'Gas', 'Gas_Prod']).gas).toBe('Gas_Prod');
+  expect(detectColumns(['Oil Rate (bbl/d)', 'BOPD']).oil).toBe('BOPD');
+  expect(detectColumns(['Oil', 'Gas']).oil).toBe('Oil');
+});
+
+test('skips prices, costs, ratios, cumulatives and pressure derivatives', () => {
+  const columns = ['Oil_Price', 'Gas_Cost', 'Gas_Oil_Ratio', 'Water_Cut', 'Cum_Oil', 'dP/dt (psi/day)', 'Oil_Vol', 'Casing Pressure'];
+  expect(detectColumns(columns)).toEqual({ oil: 'Oil_Vol', pressure: 'Casing Pressure' });
+});
+
+test('solves a linear least-squares problem with its covariance', () => {
+  const xs = [0, 1, 2, 3, 4];
+  const ys = [1, 3.1, 4.9, 7.2, 8.8];
+  const result = levenbergMarquardt(([a, b]) => xs.map((x, i) => a + b * x - ys[i]), [0, 0]);
+  expect(result.converged).toBe(true);
+  // Ordinary least squares: slope 1.97, intercept 1.06; (X'X)^-1 has 1/10 for the slope.
+  expect(result.params[0]).toBeCloseTo(1.06, 4);
+  expect(result.params[1]).toBeCloseTo(1.97, 4);
+  expect(result.covariance[1][1]).toBeCloseTo(0.1, 4);
+});
+
+test('keeps the solver inside its bounds', () => {
+  const result = levenbergMarquardt(([a]) => [a - 5], [0], { lower: [-1], upper: [2] });
+  expect(result.params[0]).toBe(2);
+});
+
+test('recovers a synthetic Arps curve', () => {
+  const fit = fitDeclineCurve(arpsPoints);
+  expect(fit.converged).toBe(true);
+  expect(fit.Qi).toBeCloseTo(arps.Qi, 0);
+  expect(fit.b).toBeCloseTo(arps.b, 2);
+  expect(fit.D).toBeCloseTo(arps.D, 4);
+  expect(fit.error).toBeLessThan(1e-6);
+  expect(fit.n).toBe(60);
+  expect(Object.values(fit.stdErrors).every(v => v !== null && isFinite(v))).toBe(true);
+});
+
+test('holds the fitted parameters to the bounds', () => {
+  const fit = fitDeclineCurve(arpsPoints, {}, { bounds: { b: [0, 0.3], D: [0.001, 0.008] } });
+  expect(fit.b).toBeGreaterThanOrEqual(0);
+  expect(fit.b).toBeLessThanOrEqual(0.3);
+  expect(fit.D).toBeGreaterThanOrEqual(0.001);
+  expect(fit.D).toBeLessThanOrEqual(0.008);
+});
+
+test('drops non-positive rates from a log-space fit', () => {
+  const points = [...arpsPoints, { t: 605, value: 0 }, { t: 615, value: -5 }];
+  const start = [{ Qi: 800, b: 0.5, D: 0.02 }];
+  const fit = fitRateModel(points, arpsRate, ['Qi', 'b', 'D'], start, { logSpace: true });
+  expect(fit.n).toBe(60);
+  expect(fit.params.b).toBeCloseTo(arps.b, 2);
+  expect(fitRateModel(points, arpsRate, ['Qi', 'b', 'D'], start).n).toBe(62);
+});
+
+test('sums the squared residuals in the space fitted', () => {
+  const noisy = arpsPoints.map((p, i) => ({ ...p, value: p.value * (i % 2 ? 1.1 : 0.9) }));
+  const start = [{ Qi: 800, b: 0.5, D: 0.02 }];
+  const rate = fitRateModel(noisy, arpsRate, ['Qi', 'b', 'D'], start);
+  expect(rate.sse).toBeCloseTo(rate.error * rate.n, 6);
+  const log = fitRateModel(noisy, arpsRate, ['Qi', 'b', 'D'], start, { logSpace: true });
+  const logSse = noisy.reduce((acc, p) => acc + Math.pow(Math.log(arpsRate(log.params, p.t) / p.value), 2), 0);
+  expect(log.sse).toBeCloseTo(logSse, 10);
+  expect(log.sse).toBeLessThan(1);
+  expect(log.error).toBeGreaterThan(1);
+});
+
+test('gives an infinite error with fewer points than parameters', () => {
+  const fit = fitRateModel(arpsPoints.slice(0, 2), arpsRate, ['Qi', 'b', 'D'], [{ Qi: 800, b: 0.5, D: 0.02 }]);
+  expect(fit.error).toBe(Infinity);
+  expect(fit.sse).toBe(Infinity);
+  expect(fit.converged).toBe(false);
+  expect(fitDeclineCurve(arpsPoints.slice(0, 2)).error).toBe(Infinity);
+});
@@ -0,0 +1,933 @@
+/**
+ * Decline Model Registry
+ *
+ * Every rate-time model the chart can fit and drag lives here behind one interface:
+ * its parameter set, rate and cumulative functions, fit bounds and starting points,
+ * and which parameters the drag keys (Q by default, D and B while held) adjust.
+ * Phase parameters carry their model id, e.g. { model: "duong", q1, a, m };
+ * parameters without one are treated as Arps. A curve fitted to a later segment of the
+ * history (after a workover or refrac) also carries its origin t0, in days; the model
+ * functions below measure time from there.
+ */
+import {
+  calculateRate,
+  calculateCumulative,
+  calculateSwitchTime,
+  maxDeclineExponent,
+  fitRateModel,
+  arpsStartingPoints,
+  summarizeDecline,
+  interpolateCumulative,
+  DEFAULT_FIT_BOUNDS,
+  DAYS_PER_YEAR,
+  DECLINE_UNITS,
+  nominalDailyToDeclineUnit,
+  MAX_B_ARPS,
+  MAX_B_TERMINAL
+} from './dca-utilities';
+
+export const DEFAULT_MODEL = "arps";
+
+// Lanczos approximation of ln Γ(x) for x > 0
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7
+];
+const logGamma = (x) => {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  LANCZOS.forEach((c, i) => { sum += c / (z + i + 1); });
+  const t = z + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Regularized lower incomplete gamma P(s, x): series below s + 1, continued fraction above.
+const lowerGammaRegularized = (s, x) => {
+  if (x <= 0) return 0;
+  if (!isFinite(x)) return 1;
+  const logPrefix = s * Math.log(x) - x - logGamma(s);
+  if (x < s + 1) {
+    let term = 1 / s;
+    let sum = term;
+    for (let n = 1; n < 500; n++) {
+      term *= x / (s + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) break;
+    }
+    return Math.min(1, sum * Math.exp(logPrefix));
+  }
+  let b = x + 1 - s;
+  let c = 1e300;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n++) {
+    const an = -n * (n - s);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return Math.max(0, 1 - Math.exp(logPrefix) * h);
+};
+
+// Composite Simpson integration of a rate from 0 to t on a square-root grid, which
+// packs samples into the steep early decline. Infinite t integrates until the rate is
+// negligible against its initial value.
+const integrateRate = (rateFn, t, intervals = 400) => {
+  let end = t;
+  if (!isFinite(end)) {
+    const q0 = rateFn(0);
+    end = 365;
+    while (end < 1e6 && rateFn(end) > q0 * 1e-9) end *= 2;
+  }
+  if (end <= 0) return 0;
+  const h = 1 / intervals;
+  let sum = 0;
+  for (let i = 0; i <= intervals; i++) {
+    const u = i * h;
+    const weight = i === 0 || i === intervals ? 1 : (i % 2 ? 4 : 2);
+    sum += weight * rateFn(end * u * u) * 2 * end * u;
+  }
+  return (sum * h) / 3;
+};
+
+// Duong and logistic growth are defined from day 1 of production, so their clock is shifted by a day.
+const duongExponent = (a, m, tau) => (
+  Math.abs(1 - m) < 1e-9 ? a * Math.log(tau) : (a / (1 - m)) * (Math.pow(tau, 1 - m) - 1)
+);
+const duongCumulative = ({ q1, a, m }, tau) => (q1 / a) * Math.exp(duongExponent(a, m, tau));
+const logisticCumulative = ({ K, a, n }, tau) => {
+  const tn = Math.pow(tau, n);
+  return isFinite(tn) ? (K * tn) / (a + tn) : K;
+};
+
+// Cumulative production of the first point through the last, by trapezoids.
+const historicalCumulative = (points) => points.reduce((acc, p, i) => (
+  i === 0 ? acc : acc + 0.5 * (p.value + points[i - 1].value) * (p.t - points[i - 1].t)
+), 0);
+
+// Least-squares line y = intercept + slope·x
+const linearRegression = (xs, ys) => {
+  const n = xs.length;
+  const mx = xs.reduce((a, v) => a + v, 0) / n;
+  const my = ys.reduce((a, v) => a + v, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  xs.forEach((x, i) => {
+    sxy += (x - mx) * (ys[i] - my);
+    sxx += (x - mx) * (x - mx);
+  });
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  return { slope, intercept: my - slope * mx };
+};
+
+// Ratio forecasts: a secondary phase follows the oil curve through a ratio whose transform
+// (log, or logit for water cut) is linear in time or in cumulative oil.
+const logit = (f) => Math.log(f / (1 - f));
+const clampFraction = (f) => Math.min(1 - 1e-9, Math.max(1e-9, f));
+
+export const RATIO_KINDS = {
+  gor: {
+    label: "GOR (gas/oil)",
+    phase: "gas",
+    fromRates: (q, qOil) => q / qOil,
+    toRate: (r, qOil) => r * qOil,
+    transform: Math.log,
+    inverse: Math.exp
+  },
+  yield: {
+    label: "Yield (oil/gas)",
+    phase: "gas",
+    fromRates: (q, qOil) => qOil / q,
+    toRate: (r, qOil) => qOil / r,
+    transform: Math.log,
+    inverse: Math.exp
+  },
+  wor: {
+    label: "WOR (water/oil)",
+    phase: "water",
+    fromRates: (q, qOil) => q / qOil,
+    toRate: (r, qOil) => r * qOil,
+    transform: Math.log,
+    inverse: Math.exp
+  },
+  watercut: {
+    label: "Water cut",
+    phase: "water",
+    fromRates: (q, qOil) => q / (q + qOil),
+    toRate: (r, qOil) => qOil * clampFraction(r) / (1 - clampFraction(r)),
+    transform: (f) => logit(clampFraction(f)),
+    inverse: (y) => 1 / (1 + Math.exp(-y))
+  }
+};
+
+// Rate of a ratio stream at chart time t, given the cumulative oil np at that time. A ratio
+// stream shares its oil curve's origin t0, so the registry functions below take the time
+// since t0 like every other model and add it back for the oil curve.
+const ratioRate = (p, t, np) => {
+  const kind = RATIO_KINDS[p.kind] || RATIO_KINDS.gor;
+  return kind.toRate(ratioAt(p, p.basis === "cumulative" ? np : t), modelRate(p.primary, t));
+};
+
+// Cumulative of a ratio stream by trapezoids on a square-root grid, carrying the cumulative
+// oil along the same grid so a cumulative basis doesn't integrate the oil curve per node.
+const ratioCumulative = (p, tau, intervals = 400) => {
+  if (!p.primary) return 0;
+  const rate = (tt) => DECLINE_MODELS.ratio.rate(p, tt);
+  let end = tau;
+  if (!isFinite(end)) {
+    const q0 = rate(0);
+    end = 365;
+    while (end < 1e6 && rate(end) > q0 * 1e-9) end *= 2;
+  }
+  if (end <= 0) return 0;
+  const t0 = p.t0 || 0;
+  const oilRate = (tt) => modelRate(p.primary, t0 + tt);
+  let np = p.np0 || 0;
+  let sum = 0;
+  let previous = { t: 0, oil: oilRate(0), slope: 0 };
+  for (let i = 1; i <= intervals; i++) {
+    const u = i / intervals;
+    const tt = end * u * u;
+    const oil = oilRate(tt);
+    np += 0.5 * (oil + previous.oil) * (tt - previous.t);
+    const slope = ratioRate(p, t0 + tt, np) * 2 * end * u;
+    sum += (previous.slope + slope) / (2 * intervals);
+    previous = { t: tt, oil, slope };
+  }
+  return sum;
+};
+
+/**
+ * Ratio of a ratio forecast at position x of its ratio plot
+ * @param {Object} params - Ratio parameters { kind, r0, k }
+ * @param {number} x - Time in days or cumulative oil, per the parameters' basis
+ * @returns {number} Ratio (GOR, yield, WOR or water cut)
+ */
+export const ratioAt = (params, x) => {
+  const kind = RATIO_KINDS[params.kind] || RATIO_KINDS.gor;
+  return kind.inverse(kind.transform(params.r0) + params.k * x);
+};
+
+const arpsDrag = {
+  q: [{ key: "Qi", sign: -1 }],
+  d: [{ key: "D", sign: 1 }],
+  b: [{ key: "b", sign: 1, weight: 2 }, { key: "D", sign: 1, weight: 2 }]
+};
+
+/**
+ * Registered decline models, keyed by id.
+ *
+ * Each model provides:
+ * - label, params (fitted keys, in order) and paramLabels
+ * - declines (optional): keys holding decline rates (nominal, per day), each mapped to the
+ *   key of its decline exponent for secant conversions (null: exponential)
+ * - bounds: {key: [min, max]} used by auto-fit and to clamp drags
+ * - rate(params, t) and cumulative(params, t) for t in days (t may be Infinity)
+ * - startingPoints(points, options) for the least-squares fit
+ * - drag: for each drag key ("q", "d", "b") the parameters it scales. A vertical drag of
+ *   fraction p multiplies a parameter by 1 + sign · weight · p · sensitivity. May be a
+ *   function of the parameters.
+ * - switchTime(params) (optional) for models with a regime change worth marking
+ * - derived (optional): true for streams computed from another phase, which are left out
+ *   of DECLINE_MODEL_IDS
+ */
+export const DECLINE_MODELS = {
+  arps: {
+    label: "Arps hyperbolic",
+    params: ["Qi", "b", "D"],
+    paramLabels: { Qi: "Qi", b: "b", D: "D" },
+    declines: { D: "b" },
+    bounds: { ...DEFAULT_FIT_BOUNDS, b: [0, MAX_B_ARPS] },
+    rate: (p, t) => calculateRate(p.Qi, p.b, p.D, t),
+    cumulative: (p, t) => calculateCumulative(p.Qi, p.b, p.D, t),
+    startingPoints: (points) => arpsStartingPoints(points, [0.3, 0.8]),
+    drag: arpsDrag
+  },
+  modified: {
+    label: "Modified hyperbolic",
+    params: ["Qi", "b", "D"],
+    paramLabels: { Qi: "Qi", b: "b", D: "D" },
+    declines: { D: "b", Dmin: null },
+    bounds: { ...DEFAULT_FIT_BOUNDS, b: [0, MAX_B_TERMINAL] },
+    rate: (p, t) => calculateRate(p.Qi, p.b, p.D, t, p.Dmin),
+    cumulative: (p, t) => calculateCumulative(p.Qi, p.b, p.D, t, p.Dmin),
+    startingPoints: (points, { Dmin = 0 } = {}) =>
+      arpsStartingPoints(points, [0.3, 0.8, 1.5]).map(start => ({ ...start, Dmin })),
+    drag: arpsDrag,
+    switchTime: (p) => calculateSwitchTime(p.b, p.D, p.Dmin)
+  },
+  duong: {
+    label: "Duong",
+    params: ["q1", "a", "m"],
+    paramLabels: { q1: "q1", a: "a", m: "m" },
+    bounds: { q1: [0.001, Infinity], a: [0.0001, 10], m: [0.5, 3] },
+    rate: (p, t) => p.q1 * Math.pow(t + 1, -p.m) * Math.exp(duongExponent(p.a, p.m, t + 1)),
+    cumulative: (p, t) => (t <= 0 ? 0 : duongCumulative(p, t + 1) - duongCumulative(p, 1)),
+    // Duong's straight line: ln(q/Np) = ln a - m ln t
+    startingPoints: (points) => {
+      const xs = [];
+      const ys = [];
+      let cum = 0;
+      points.forEach((p, i) => {
+        cum += i === 0 ? p.value : 0.5 * (p.value + points[i - 1].value) * (p.t - points[i - 1].t);
+        if (p.value > 0 && cum > 0) {
+          xs.push(Math.log(p.t + 1));
+          ys.push(Math.log(p.value / cum));
+        }
+      });
+      const { q0 } = summarizeDecline(points);
+      const { slope, intercept } = xs.length > 2 ? linearRegression(xs, ys) : { slope: -1.2, intercept: 0 };
+      const m = Math.min(3, Math.max(0.5, -slope));
+      const a = Math.min(10, Math.max(0.0001, Math.exp(intercept)));
+      return [{ q1: q0, a, m }, { q1: q0, a: 1, m: 1.2 }];
+    },
+    drag: {
+      q: [{ key: "q1", sign: -1 }],
+      d: [{ key: "m", sign: 1, weight: 0.5 }],
+      b: [{ key: "a", sign: -1, weight: 2 }]
+    }
+  },
+  sepd: {
+    label: "Stretched exponential (SEPD)",
+    params: ["qi", "tau", "n"],
+    paramLabels: { qi: "qi", tau: "τ (days)", n: "n" },
+    bounds: { qi: [0.001, Infinity], tau: [0.01, 1e6], n: [0.05, 1] },
+    rate: (p, t) => p.qi * Math.exp(-Math.pow(Math.max(t, 0) / p.tau, p.n)),
+    cumulative: (p, t) => {
+      if (t <= 0) return 0;
+      const s = 1 / p.n;
+      return (p.qi * p.tau / p.n) * Math.exp(logGamma(s)) * lowerGammaRegularized(s, Math.pow(t / p.tau, p.n));
+    },
+    startingPoints: (points) => {
+      const { q0, qEnd, tEnd } = summarizeDecline(points);
+      const decay = Math.max(Math.log(q0 / qEnd), 0.05);
+      return [0.3, 0.6].map(n => ({ qi: q0, tau: Math.max(tEnd, 1) / Math.pow(decay, 1 / n), n }));
+    },
+    drag: {
+      q: [{ key: "qi", sign: -1 }],
+      d: [{ key: "tau", sign: -1, weight: 4 }],
+      b: [{ key: "n", sign: 1, weight: 2 }]
+    }
+  },
+  ple: {
+    label: "Power-law exponential (PLE)",
+    params: ["qi", "Di", "n", "Dinf"],
+    paramLabels: { qi: "qi", Di: "D̂i", n: "n", Dinf: "D∞" },
+    declines: { Dinf: null },
+    bounds: { qi: [0.001, Infinity], Di: [1e-6, 10], n: [0.01, 1], Dinf: [0, 0.05] },
+    rate: (p, t) => p.qi * Math.exp(-p.Dinf * t - p.Di * Math.pow(Math.max(t, 0), p.n)),
+    cumulative: (p, t) => integrateRate(tt => DECLINE_MODELS.ple.rate(p, tt), t),
+    startingPoints: (points) => {
+      const { q0, qEnd, tEnd } = summarizeDecline(points);
+      const decay = Math.max(Math.log(q0 / qEnd), 0.05);
+      return [0.3, 0.6].map(n => ({ qi: q0, Di: decay / Math.pow(Math.max(tEnd, 1), n), n, Dinf: 0 }));
+    },
+    drag: {
+      q: [{ key: "qi", sign: -1 }],
+      d: [{ key: "Di", sign: 1 }],
+      b: [{ key: "n", sign: 1, weight: 2 }]
+    }
+  },
+  logistic: {
+    label: "Logistic growth",
+    params: ["K", "a", "n"],
+    paramLabels: { K: "K (EUR)", a: "a", n: "n" },
+    bounds: { K: [0.001, Infinity], a: [0.001, 1e12], n: [0.05, 2] },
+    rate: (p, t) => {
+      const tau = t + 1;
+      const tn = Math.pow(tau, p.n);
+      return (p.K * p.n * p.a * Math.pow(tau, p.n - 1)) / Math.pow(p.a + tn, 2);
+    },
+    cumulative: (p, t) => (t <= 0 ? 0 : logisticCumulative(p, t + 1) - logisticCumulative(p, 1)),
+    // Start with K a few times the produced volume, and a placing that volume at the last point.
+    startingPoints: (points) => {
+      const produced = Math.max(historicalCumulative(points), 1);
+      const tEnd = Math.max(points[points.length - 1].t + 1, 2);
+      return [[0.8, 3], [1, 5], [0.5, 2]].map(([n, multiple]) => ({
+        K: produced * multiple,
+        a: Math.pow(tEnd, n) * (multiple - 1),
+        n
+      }));
+    },
+    drag: {
+      q: [{ key: "K", sign: -1 }],
+      d: [{ key: "a", sign: -1, weight: 4 }],
+      b: [{ key: "n", sign: 1, weight: 2 }]
+    }
+  },
+  // Derived stream: { model: "ratio", kind, basis ("time" | "cumulative"), r0, k, primary
+  // (the oil parameters it follows), np0 (cumulative oil at the primary's origin) }.
+  // Fitted by fitRatio rather than offered as a decline model.
+  ratio: {
+    label: "Ratio to oil",
+    derived: true,
+    params: ["r0", "k"],
+    paramLabels: { r0: "Ratio at x = 0", k: "Trend (per unit x)" },
+    bounds: { r0: [1e-9, Infinity], k: [-1, 1] },
+    rate: (p, tau) => {
+      if (!p.primary) return 0;
+      const t = (p.t0 || 0) + tau;
+      return ratioRate(p, t, p.basis === "cumulative" ? (p.np0 || 0) + modelCumulative(p.primary, t) : 0);
+    },
+    cumulative: ratioCumulative,
+    startingPoints: () => [{ r0: 1, k: 0 }],
+    // Dragging moves the ratio level; a yield divides the oil rate, so it moves the other way.
+    drag: (p) => ({
+      q: [{ key: "r0", sign: p.kind === "yield" ? 1 : -1 }]
+    })
+  }
+};
+
+/**
+ * Model ids in the order they are offered to the user
+ */
+export const DECLINE_MODEL_IDS = Object.keys(DECLINE_MODELS).filter(id => !DECLINE_MODELS[id].derived);
+
+/**
+ * Look up a model definition, falling back to Arps for unknown or missing ids
+ * @param {string} id - Model id
+ * @returns {Object} Model definition
+ */
+export const getModel = (id) => DECLINE_MODELS[id] || DECLINE_MODELS[DEFAULT_MODEL];
+
+/**
+ * True when the parameters hold a usable value for every key of their model
+ * @param {Object} params - Phase parameters including model id
+ * @returns {boolean}
+ */
+export const hasValidParams = (params) => {
+  if (!params) return false;
+  const model = getModel(params.model);
+  return model.params.every(k => isFinite(params[k]) && params[k] >= Math.min(0, model.bounds[k][0]))
+    && model.rate(params, 0) > 0;
+};
+
+/**
+ * Parameters with their decline rates (see the model's declines) in a display unit
+ * @param {Object} params - Phase parameters including model id
+ * @param {string} unit - Key of DECLINE_UNITS
+ * @returns {Object} Copy of the parameters; other keys are unchanged
+ */
+export const paramsInDeclineUnit = (params, unit) => {
+  const out = { ...params };
+  Object.entries(getModel(params.model).declines || {}).forEach(([key, bKey]) => {
+    if (isFinite(params[key])) out[key] = nominalDailyToDeclineUnit(params[key], unit, bKey ? params[bKey] : 0);
+  });
+  return out;
+};
+
+/**
+ * Standard errors of a fit in a display unit, scaled by the slope of the unit conversion
+ * at the fitted value
+ * @param {Object} params - Fitted parameters including model id
+ * @param {Object} stdErrors - {key: standard error} in stored units
+ * @param {string} unit - Key of DECLINE_UNITS
+ * @returns {Object} Copy of stdErrors (null stays null)
+ */
+export const stdErrorsInDeclineUnit = (params, stdErrors, unit) => {
+  if (!stdErrors) return stdErrors;
+  const out = { ...stdErrors };
+  Object.entries(getModel(params.model).declines || {}).forEach(([key, bKey]) => {
+    if (!isFinite(out[key]) || !isFinite(params[key])) return;
+    const b = bKey ? params[bKey] : 0;
+    const h = Math.max(params[key] * 1e-6, 1e-12);
+    const slope = (nominalDailyToDeclineUnit(params[key] + h, unit, b) - nominalDailyToDeclineUnit(Math.max(0, params[key] - h), unit, b))
+      / (params[key] + h - Math.max(0, params[key] - h));
+    out[key] = Math.abs(slope) * out[key];
+  });
+  return out;
+};
+
+/**
+ * Label of a model parameter, with the display unit for decline rates
+ * @param {string} id - Model id
+ * @param {string} key - Parameter key
+ * @param {string} unit - Key of DECLINE_UNITS
+ * @returns {string} Label
+ */
+export const paramLabel = (id, key, unit = "daily") => {
+  const model = getModel(id);
+  const label = (model.paramLabels && model.paramLabels[key]) || key;
+  return model.declines && key in model.declines ? `${label} (${DECLINE_UNITS[unit].short})` : label;
+};
+
+// Time since the curve's own origin; a segment curve is flat at its initial rate before t0.
+const localTime = (params, t) => Math.max(0, t - (params.t0 || 0));
+
+/**
+ * Production rate at time t for any registered model
+ * @param {Object} params - Phase parameters including model id (and t0 for segment curves)
+ * @param {number} t - Time in days on the chart clock
+ * @returns {number} Rate at t
+ */
+export const modelRate = (params, t) => getModel(params.model).rate(params, localTime(params, t));
+
+/**
+ * Cumulative production from the curve origin (t0, default 0) to t for any registered model
+ * @param {Object} params - Phase parameters including model id (and t0 for segment curves)
+ * @param {number} t - Time in days on the chart clock (may be Infinity)
+ * @returns {number} Cumulative volume
+ */
+export const modelCumulative = (params, t) => getModel(params.model).cumulative(params, localTime(params, t));
+
+/**
+ * Estimated ultimate recovery for any registered model
+ * @param {Object} params - Phase parameters including model id
+ * @param {number} t - Time limit, typically in days
+ * @returns {number} EUR from the curve origin up to t (Infinity when the model never depletes)
+ */
+export const modelEUR = (params, t = Infinity) => {
+  if (!hasValidParams(params)) return 0;
+  return modelCumulative(params, t);
+};
+
+/**
+ * Time at which the model changes regime (modified hyperbolic switch), if any
+ * @param {Object} params - Phase parameters including model id
+ * @returns {number} Switch time in days, Infinity when there is none
+ */
+export const modelSwitchTime = (params) => {
+  const model = getModel(params.model);
+  return model.switchTime ? model.switchTime(params) + (params.t0 || 0) : Infinity;
+};
+
+/**
+ * Instantaneous decline of a curve, D = -d ln q / dt, and its exponent b = d(1/D)/dt,
+ * by central differences so it works for every model
+ * @param {Object} params - Phase parameters including model id
+ * @param {number} t - Time in days on the chart clock
+ * @returns {Object} { D (nominal, per day), b } for converting D to other units
+ */
+export const instantaneousDecline = (params, t) => {
+  const origin = params.t0 || 0;
+  const h = Math.max(0.5, Math.abs(t) * 1e-3);
+  // Central differences, or one-sided ones at the origin where the curve starts.
+  const derivative = (f, tt) => (tt - h >= origin
+    ? (f(tt + h) - f(tt - h)) / (2 * h)
+    : (-3 * f(tt) + 4 * f(tt + h) - f(tt + 2 * h)) / (2 * h));
+  const lnq = tt => Math.log(Math.max(modelRate(params, tt), 1e-300));
+  const declineAt = tt => -derivative(lnq, tt);
+  const D = declineAt(t);
+  const b = derivative(tt => 1 / declineAt(tt), t);
+  return { D, b: isFinite(b) ? Math.max(0, b) : 0 };
+};
+
+// Time since the origin at which the model's cumulative reaches np (doubling, then bisection).
+const localTimeAtCumulative = (model, params, np, horizon) => {
+  if (!(np > 0)) return 0;
+  let lo = 0;
+  let hi = 1;
+  while (model.cumulative(params, hi) < np) {
+    lo = hi;
+    hi *= 2;
+    if (hi > horizon) return Infinity;
+  }
+  for (let i = 0; i < 50 && hi - lo > 1e-6; i++) {
+    const mid = (lo + hi) / 2;
+    if (model.cumulative(params, mid) < np) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+// Tabulated inverse of one parameter set's cumulative up to npMax: a whole residual vector
+// then costs one pass over the grid instead of a root search per point. The table integrates
+// the rate itself (trapezoids on the same sqrt grid as integrateRate), so numerically
+// integrated models don't redo a full integral per node.
+const cumulativeInverse = (model, params, npMax, horizon) => {
+  let tEnd = 1;
+  while (model.cumulative(params, tEnd) < npMax && tEnd < horizon) tEnd *= 2;
+  const n = 800;
+  const ts = [];
+  const cums = [];
+  let previous = 0;
+  for (let i = 0; i <= n; i++) {
+    const u = i / n;
+    const slope = model.rate(params, tEnd * u * u) * 2 * tEnd * u;
+    ts.push(tEnd * u * u);
+    cums.push(i === 0 ? 0 : cums[i - 1] + (previous + slope) / (2 * n));
+    previous = slope;
+  }
+  return (np) => {
+    if (!(np > 0)) return 0;
+    if (np > cums[n]) return Infinity;
+    let lo = 0;
+    let hi = n;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (cums[mid] < np) lo = mid;
+      else hi = mid;
+    }
+    const span = cums[hi] - cums[lo];
+    return ts[lo] + (ts[hi] - ts[lo]) * (span > 0 ? (np - cums[lo]) / span : 0);
+  };
+};
+
+/**
+ * Time at which a curve has produced np since its origin (inverse of modelCumulative)
+ * @param {Object} params - Phase parameters including model id
+ * @param {number} np - Cumulative volume since the curve origin
+ * @param {number} horizon - Longest time to search, in days
+ * @returns {number} Time in days on the chart clock, Infinity if np is never reached
+ */
+export const timeAtCumulative = (params, np, horizon = 100 * DAYS_PER_YEAR) =>
+  (params.t0 || 0) + localTimeAtCumulative(getModel(params.model), params, np, horizon);
+
+/**
+ * Rate of a curve once it has produced np since its origin (the q vs Np view of the curve)
+ * @param {Object} params - Phase parameters including model id
+ * @param {number} np - Cumulative volume since the curve origin
+ * @returns {number} Rate, 0 beyond what the curve ever produces
+ */
+export const rateAtCumulative = (params, np) => {
+  const t = timeAtCumulative(params, np);
+  return isFinite(t) ? modelRate(params, t) : 0;
+};
+
+/**
+ * First time at or after tStart when the rate has fallen to the given value (bisection)
+ * @param {Object} params - Phase parameters including model id
+ * @param {number} rate - Target rate, e.g. an economic limit
+ * @param {number} tStart - Earliest time to consider, in days
+ * @param {number} horizon - Longest search span after tStart, in days
+ * @returns {number} Time in days, tStart if already below, Infinity if never within the horizon
+ */
+export const timeToRate = (params, rate, tStart = 0, horizon = 100 * DAYS_PER_YEAR) => {
+  if (modelRate(params, tStart) <= rate) return tStart;
+  let lo = tStart;
+  let hi = tStart + 1;
+  while (modelRate(params, hi) > rate) {
+    lo = hi;
+    hi = tStart + (hi - tStart) * 2;
+    if (hi - tStart > horizon) return Infinity;
+  }
+  for (let i = 0; i < 60 && hi - lo > 1e-6; i++) {
+    const mid = (lo + hi) / 2;
+    if (modelRate(params, mid) > rate) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+};
+
+/**
+ * Remaining reserves from tStart until the rate reaches the economic limit or the
+ * time limit, whichever comes first
+ * @param {Object} params - Phase parameters including model id
+ * @param {number} tStart - Start of the forecast, in days
+ * @param {Object} limits - { rateLimit (0 = none), tEnd (time limit in days, Infinity = none) }
+ * @returns {Object} { volume, tLimit (time the forecast stops), reason ("rate", "life" or null) }
+ */
+export const remainingReserves = (params, tStart, { rateLimit = 0, tEnd = Infinity } = {}) => {
+  if (!hasValidParams(params) || tEnd <= tStart) {
+    return { volume: 0, tLimit: Math.min(tStart, tEnd), reason: tEnd <= tStart ? "life" : null };
+  }
+  const tRate = rateLimit > 0 ? timeToRate(params, rateLimit, tStart) : Infinity;
+  const tLimit = Math.min(tRate, tEnd);
+  const volume = Math.max(0, modelEUR(params, tLimit) - modelEUR(params, tStart));
+  const reason = isFinite(tLimit) ? (tRate <= tEnd ? "rate" : "life") : null;
+  return { volume, tLimit, reason };
+};
+
+/**
+ * Fit bounds for a model, narrowed by user bounds where the model has those parameters
+ * @param {string} id - Model id
+ * @param {Object} userBounds - {key: [min, max]}
+ * @param {Object} options - { Dmin } for the modified hyperbolic ceiling on b
+ * @returns {Object} {key: [min, max]}
+ */
+export const modelBounds = (id, userBounds = {}, options = {}) => {
+  const model = getModel(id);
+  const bounds = {};
+  model.params.forEach(k => {
+    const [lo, hi] = model.bounds[k];
+    const user = userBounds[k];
+    bounds[k] = user ? [Math.max(lo, user[0]), Math.min(hi, user[1])] : [lo, hi];
+  });
+  if (bounds.b) {
+    bounds.b[1] = Math.min(bounds.b[1], maxDeclineExponent(id === "modified" ? options.Dmin : 0));
+  }
+  return bounds;
+};
+
+/**
+ * Fit a registered model to {t, value} points by least squares
+ * @param {string} id - Model id
+ * @param {Array} points - Array of {t, value} points
+ * @param {Object} options - { bounds, logSpace, maxIterations, Dmin, start (single starting
+ *   point instead of the model's own, e.g. a previous fit), t0 (segment origin: only points
+ *   from t0 on are fitted, and the curve is returned with that origin), space ("time" fits
+ *   rate against time; "cumulative" fits rate against the points' np, see cumulativeFromRates),
+ *   fixed ({key: value} parameters held at the given values; only the others are fitted) }
+ * @returns {Object} { params (with model id), error, sse (in the space fitted, see
+ *   fitRateModel), converged, iterations, stdErrors (fitted keys only), n }
+ */
+export const fitModel = (id, points, options = {}) => {
+  const model = getModel(id);
+  const modelId = DECLINE_MODELS[id] ? id : DEFAULT_MODEL;
+  const t0 = options.t0 > 0 ? options.t0 : 0;
+  const fixed = options.fixed || {};
+  const free = model.params.filter(k => !isFinite(fixed[k]));
+  const extras = {
+    ...(modelId === "modified" ? { Dmin: options.Dmin || 0 } : {}),
+    ...(t0 ? { t0 } : {})
+  };
+  const sorted = [...(points || [])]
+    .filter(p => isFinite(p.value) && p.t >= t0)
+    .map(p => (t0 ? { ...p, t: p.t - t0 } : p))
+    .sort((a, b) => a.t - b.t);
+
+  const bounds = modelBounds(modelId, options.bounds, options);
+  const clamp = (v, [lo, hi]) => Math.min(hi, Math.max(lo, v));
+  const rawStarts = options.start
+    ? [options.start]
+    : model.startingPoints(sorted.length ? sorted : [{ t: 0, value: 100 }], options);
+  const starts = rawStarts.map(start => {
+    const clamped = { ...start, ...extras };
+    if (!t0) delete clamped.t0;
+    model.params.forEach(k => { clamped[k] = k in fixed && isFinite(fixed[k]) ? fixed[k] : clamp(start[k], bounds[k]); });
+    return clamped;
+  });
+
+  // Too few points to fit: keep the model's first starting point.
+  if (sorted.length < 3) {
+    return { params: { model: modelId, ...starts[0] }, error: Infinity, sse: Infinity, converged: false, iterations: 0, stdErrors: null, n: sorted.length };
+  }
+
+  // Everything held: nothing to fit, only the misfit to report.
+  if (!free.length) {
+    const params = { model: modelId, ...starts[0] };
+    // The points and residuals a fit would use (see fitRateModel).
+    const used = options.logSpace ? sorted.filter(p => p.value > 0) : sorted;
+    const residual = p => (options.logSpace
+      ? Math.log(Math.max(model.rate(params, p.t), 1e-12)) - Math.log(p.value)
+      : model.rate(params, p.t) - p.value);
+    const error = used.reduce((acc, p) => acc + Math.pow(model.rate(params, p.t) - p.value, 2), 0) / used.length;
+    const sse = used.reduce((acc, p) => acc + Math.pow(residual(p), 2), 0);
+    return { params, error, sse, converged: true, iterations: 0, stdErrors: null, n: used.length };
+  }
+
+  if (options.space === "cumulative") {
+    // Residuals in q vs Np: x is the cumulative since the segment origin, and the model
+    // rate there comes from inverting its cumulative.
+    const np0 = interpolateCumulative([...(points || [])].filter(p => isFinite(p.np)).sort((a, b) => a.t - b.t), t0);
+    const cumPoints = sorted.filter(p => isFinite(p.np)).map(p => ({ t: p.np - np0, value: p.value }));
+    const npMax = Math.max(0, ...cumPoints.map(p => p.t));
+    const inverses = new WeakMap();
+    const rateAtNp = (p, np) => {
+      if (!inverses.has(p)) inverses.set(p, cumulativeInverse(model, p, npMax, 100 * DAYS_PER_YEAR));
+      const t = inverses.get(p)(np);
+      return isFinite(t) ? model.rate(p, t) : 0;
+    };
+    const fit = fitRateModel(cumPoints, rateAtNp, free, starts, { ...options, bounds });
+    return { ...fit, params: { model: modelId, ...fit.params } };
+  }
+
+  const fit = fitRateModel(sorted, model.rate, free, starts, { ...options, bounds });
+  return { ...fit, params: { model: modelId, ...fit.params } };
+};
+
+/**
+ * Observed ratios of a secondary phase to oil, as plotted on its ratio plot
+ * @param {string} kind - Ratio kind, a key of RATIO_KINDS
+ * @param {string} basis - "time" or "cumulative" (oil)
+ * @param {Array} oilPoints - Oil {t, value, np} points
+ * @param {Array} phasePoints - {t, value} points of the secondary phase, on the oil times
+ * @param {number} t0 - Earliest time to include, in days
+ * @returns {Array} [{ t, x (time or cumulative oil), ratio }] sorted by time
+ */
+export const ratioPoints = (kind, basis, oilPoints, phasePoints, t0 = 0) => {
+  const ratioKind = RATIO_KINDS[kind] || RATIO_KINDS.gor;
+  const oilByT = new Map((oilPoints || []).map(p => [p.t, p]));
+  return (phasePoints || [])
+    .filter(p => p.t >= t0 && p.value > 0 && oilByT.has(p.t) && oilByT.get(p.t).value > 0)
+    .map(p => {
+      const oil = oilByT.get(p.t);
+      return { t: p.t, x: basis === "cumulative" ? oil.np : p.t, ratio: ratioKind.fromRates(p.value, oil.value) };
+    })
+    .filter(p => isFinite(p.x) && isFinite(p.ratio) && p.ratio > 0)
+    .sort((a, b) => a.t - b.t);
+};
+
+/**
+ * Fit a secondary phase as a ratio to the oil forecast: the transformed ratio (log, or
+ * logit for water cut) is regressed linearly on time or on cumulative oil
+ * @param {string} kind - Ratio kind, a key of RATIO_KINDS
+ * @param {string} basis - "time" or "cumulative" (oil)
+ * @param {Array} oilPoints - Oil {t, value, np} points
+ * @param {Array} phasePoints - {t, value} points of the secondary phase, on the oil times
+ * @param {Object} primary - Fitted oil parameters the ratio follows; only points from
+ *   their t0 on are used, and the ratio stream shares that origin
+ * @param {Object} fixed - {r0, k} held at the given values; only the other one is fitted
+ * @returns {Object} { params (model "ratio"), error (mean square in transformed ratio),
+ *   converged, iterations, stdErrors, n }
+ */
+export const fitRatio = (kind, basis, oilPoints, phasePoints, primary, fixed = {}) => {
+  const ratioKind = RATIO_KINDS[kind] || RATIO_KINDS.gor;
+  const t0 = primary.t0 || 0;
+  const np0 = interpolateCumulative([...(oilPoints || [])].filter(p => isFinite(p.np)).sort((a, b) => a.t - b.t), t0);
+  const points = ratioPoints(kind, basis, oilPoints, phasePoints, t0);
+
+  const base = { model: "ratio", kind, basis, np0, primary, ...(t0 ? { t0 } : {}) };
+  if (points.length < 3) {
+    const r0 = points.length ? points[0].ratio : 1;
+    return { params: { ...base, r0, k: 0 }, error: Infinity, converged: false, iterations: 0, stdErrors: null, n: points.length };
+  }
+
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => ratioKind.transform(p.ratio));
+  const [kLo, kHi] = DECLINE_MODELS.ratio.bounds.k;
+  let slope;
+  let intercept;
+  if (isFinite(fixed.r0)) {
+    // Line through the held intercept: slope = Σx(y - y0) / Σx²
+    intercept = ratioKind.transform(fixed.r0);
+    const sxx = xs.reduce((acc, x) => acc + x * x, 0);
+    slope = isFinite(fixed.k) ? fixed.k : (sxx > 0 ? xs.reduce((acc, x, i) => acc + x * (ys[i] - intercept), 0) / sxx : 0);
+  } else if (isFinite(fixed.k)) {
+    slope = fixed.k;
+    intercept = ys.reduce((acc, y, i) => acc + y - slope * xs[i], 0) / ys.length;
+  } else {
+    ({ slope, intercept } = linearRegression(xs, ys));
+  }
+  if (!isFinite(fixed.k)) slope = Math.min(kHi, Math.max(kLo, slope));
+  const params = { ...base, r0: isFinite(fixed.r0) ? fixed.r0 : ratioKind.inverse(intercept), k: slope };
+  const error = points.reduce((acc, p, i) => {
+    const r = ys[i] - (intercept + params.k * p.x);
+    return acc + r * r;
+  }, 0) / points.length;
+  return { params, error, converged: true, iterations: 0, stdErrors: null, n: points.length };
+};
+
+// Small deterministic PRNG (mulberry32) so resampled bands don't flicker between renders.
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Nearest-rank percentile; tolerates Infinity, which interpolation would turn into NaN.
+const percentile = (sorted, q) => sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))))];
+
+/**
+ * Probabilistic forecast by bootstrapping the residuals of a fitted curve: each sample
+ * rescales the fitted rates by log-residuals drawn with replacement, is refitted, and
+ * evaluated at the forecast times. P10 is the high case (10% chance of being exceeded),
+ * P90 the low case.
+ * @param {Array} points - Historical {t, value} points the curve was fitted to
+ * @param {Object} params - Fitted phase parameters including model id
+ * @param {Array} times - Forecast times in days
+ * @param {Object} options - { samples, seed, bounds, logSpace, Dmin, fixed, eur (params => volume) }
+ * @returns {Object|null} { times, p10, p50, p90 (rate arrays), eur: {p10, p50, p90}, samples },
+ *   or null when there are too few positive points to resample
+ */
+export const bootstrapForecast = (points, params, times, options = {}) => {
+  const { samples = 100, seed = 1, eur = modelEUR, ...fitOptions } = options;
+  const sorted = [...(points || [])].filter(p => p.value > 0).sort((a, b) => a.t - b.t);
+  if (sorted.length < 5 || !hasValidParams(params)) return null;
+
+  const fitted = sorted.map(p => Math.max(modelRate(params, p.t), 1e-12));
+  const residuals = sorted.map((p, i) => Math.log(p.value) - Math.log(fitted[i]));
+  const random = seededRandom(seed);
+  const model = getModel(params.model);
+
+  const rateSamples = times.map(() => []);
+  const eurSamples = [];
+  for (let s = 0; s < samples; s++) {
+    const resampled = sorted.map((p, i) => ({
+      ...p,
+      value: fitted[i] * Math.exp(residuals[Math.floor(random() * residuals.length)])
+    }));
+    const start = model.params.reduce((acc, k) => ({ ...acc, [k]: params[k] }), { ...params });
+    const { params: sample } = fitModel(params.model, resampled, { ...fitOptions, start, t0: params.t0, maxIterations: 50 });
+    times.forEach((t, i) => rateSamples[i].push(modelRate(sample, t)));
+    eurSamples.push(eur(sample));
+  }
+
+  const ascending = (a, b) => a - b;
+  const bands = { p10: [], p50: [], p90: [] };
+  rateSamples.forEach(values => {
+    values.sort(ascending);
+    bands.p10.push(percentile(values, 0.9));
+    bands.p50.push(percentile(values, 0.5));
+    bands.p90.push(percentile(values, 0.1));
+  });
+  eurSamples.sort(ascending);
+
+  return {
+    times,
+    ...bands,
+    eur: {
+      p10: percentile(eurSamples, 0.9),
+      p50: percentile(eurSamples, 0.5),
+      p90: percentile(eurSamples, 0.1)
+    },
+    samples
+  };
+};
+
+/**
+ * Apply a vertical drag to a curve's parameters following its model's drag map
+ * @param {Object} initial - Parameters when the drag started
+ * @param {string} key - Drag key: "q" (default), "d" or "b"
+ * @param {number} percentageChange - Fractional change of the rate under the cursor
+ *   (positive when dragging down)
+ * @param {Object} sensitivity - Multipliers per drag key, e.g. { q: 0.8, d: 0.05, b: 0.05 }
+ * @param {Array} locked - Parameter keys the drag must leave alone
+ * @returns {Object} Adjusted parameters, clamped to the model bounds
+ */
+export const applyDrag = (initial, key, percentageChange, sensitivity, locked = []) => {
+  const model = getModel(initial.model);
+  const bounds = modelBounds(initial.model, {}, initial);
+  const next = { ...initial };
+  const drag = typeof model.drag === "function" ? model.drag(initial) : model.drag;
+  (drag[key] || []).filter(({ key: param }) => !locked.includes(param)).forEach(({ key: param, sign, weight = 1 }) => {
+    const factor = 1 + sign * weight * percentageChange * (sensitivity[key] ?? 1);
+    const [lo, hi] = bounds[param];
+    next[param] = Math.min(hi, Math.max(lo, initial[param] * factor));
+  });
+  return next;
+};
+
+const declineModels = {
+  DECLINE_MODELS,
+  DECLINE_MODEL_IDS,
+  getModel,
+  hasValidParams,
+  modelRate,
+  modelCumulative,
+  modelEUR,
+  modelSwitchTime,
+  paramsInDeclineUnit,
+  stdErrorsInDeclineUnit,
+  paramLabel,
+  instantaneousDecline,
+  timeAtCumulative,
+  rateAtCumulative,
+  timeToRate,
+  remainingReserves,
+  modelBounds,
+  fitModel,
+  ratioPoints,
+  fitRatio,
+  ratioAt,
+  RATIO_KINDS,
+  bootstrapForecast,
+  applyDrag
+};
+
+export default declineModels;
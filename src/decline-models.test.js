@@ -0,0 +1,195 @@
+import {
+  DECLINE_MODEL_IDS,
+  modelRate,
+  modelCumulative,
+  modelEUR,
+  bootstrapForecast,
+  remainingReserves,
+  fitModel,
+  rateAtCumulative,
+  timeAtCumulative,
+  ratioPoints,
+  fitRatio
+} from './decline-models';
+
+const duong = m => ({ model: 'duong', q1: 500, a: 1, m });
+
+const samples = {
+  arps: { Qi: 1000, b: 0.8, D: 0.01 },
+  modified: { Qi: 1000, b: 1.2, D: 0.02, Dmin: 0.0002 },
+  duong: { q1: 500, a: 1.2, m: 1.1 },
+  sepd: { qi: 1000, tau: 100, n: 0.5 },
+  ple: { qi: 1000, Di: 0.1, n: 0.5, Dinf: 0.0005 },
+  logistic: { K: 500000, a: 50, n: 0.8 }
+};
+
+// Simpson's rule on t = T·u², which packs samples into the steep early decline.
+const integrate = (f, T, intervals = 4000) => {
+  const g = u => f(T * u * u) * 2 * T * u;
+  const h = 1 / intervals;
+  let sum = g(0) + g(1);
+  for (let i = 1; i < intervals; i++) sum += (i % 2 ? 4 : 2) * g(i * h);
+  return (sum * h) / 3;
+};
+
+test('runs Duong smoothly through m = 1', () => {
+  [0.9999999, 1, 1.0000001].forEach(m => {
+    expect(modelRate(duong(m), 100)).toBeCloseTo(500, -1);
+    expect(modelCumulative(duong(m), 1000)).toBeCloseTo(500000, -3);
+  });
+  expect(modelRate(duong(1), 100)).toBeCloseTo(modelRate(duong(1.0000001), 100), 2);
+  expect(modelCumulative(duong(1), 1000)).toBeCloseTo(modelCumulative(duong(1.0000001), 1000), -1);
+});
+
+test('gives every model a cumulative that integrates its rate', () => {
+  expect(Object.keys(samples).sort()).toEqual([...DECLINE_MODEL_IDS].sort());
+  DECLINE_MODEL_IDS.forEach(model => {
+    const params = { model, ...samples[model] };
+    expect(modelCumulative(params, 0)).toBe(0);
+    [30, 365, 3650].forEach(t => {
+      const expected = integrate(tt => modelRate(params, tt), t);
+      expect(Math.abs(modelCumulative(params, t) - expected) / expected).toBeLessThan(1e-3);
+    });
+  });
+});
+
+const arps = { model: 'arps', Qi: 1000, b: 0.6, D: 0.01 };
+const history = (noise = () => 0) =>
+  Array.from({ length: 40 }, (_, i) => ({ t: i * 15, value: modelRate(arps, i * 15) * Math.exp(noise(i)) }));
+const forecastTimes = [600, 1200, 2400];
+
+test('bootstraps P10 above P50 above P90 and repeats for a seed', () => {
+  const points = history(i => 0.2 * Math.sin(i * 2.3));
+  const result = bootstrapForecast(points, arps, forecastTimes, { samples: 30, seed: 7, eur: p => modelEUR(p, 3650) });
+  expect(result.samples).toBe(30);
+  forecastTimes.forEach((t, i) => {
+    expect(result.p10[i]).toBeGreaterThanOrEqual(result.p50[i]);
+    expect(result.p50[i]).toBeGreaterThanOrEqual(result.p90[i]);
+  });
+  expect(result.p10[2]).toBeGreaterThan(result.p90[2]);
+  expect(result.eur.p10).toBeGreaterThan(result.eur.p90);
+  const again = bootstrapForecast(points, arps, forecastTimes, { samples: 30, seed: 7, eur: p => modelEUR(p, 3650) });
+  expect(again.p50).toEqual(result.p50);
+});
+
+test('collapses the bands onto the fit when the history has no scatter', () => {
+  const result = bootstrapForecast(history(), arps, forecastTimes, { samples: 10 });
+  forecastTimes.forEach((t, i) => {
+    expect(result.p10[i] / modelRate(arps, t)).toBeCloseTo(1, 3);
+    expect(result.p90[i] / modelRate(arps, t)).toBeCloseTo(1, 3);
+  });
+});
+
+test('needs five positive points and a fitted curve to bootstrap', () => {
+  const short = [...history().slice(0, 4), { t: 100, value: 0 }, { t: 110, value: -5 }];
+  expect(bootstrapForecast(short, arps, forecastTimes)).toBeNull();
+  expect(bootstrapForecast(history(), { model: 'arps' }, forecastTimes)).toBeNull();
+});
+
+const exponential = { model: 'arps', Qi: 1000, b: 0, D: 0.001 };
+
+test('stops remaining reserves at the economic limit or the end of life', () => {
+  const byRate = remainingReserves(exponential, 0, { rateLimit: 100 });
+  expect(byRate.reason).toBe('rate');
+  expect(byRate.tLimit).toBeCloseTo(Math.log(10) / 0.001, 3);
+  expect(byRate.volume).toBeCloseTo(900000, -1);
+
+  const byLife = remainingReserves(exponential, 500, { rateLimit: 100, tEnd: 1000 });
+  expect(byLife).toEqual({ volume: expect.any(Number), tLimit: 1000, reason: 'life' });
+  expect(byLife.volume).toBeCloseTo(1e6 * (Math.exp(-0.5) - Math.exp(-1)), -1);
+});
+
+test('runs remaining reserves to the EUR without limits and to nothing past the end', () => {
+  const open = remainingReserves(exponential, 500);
+  expect(open.reason).toBeNull();
+  expect(open.tLimit).toBe(Infinity);
+  expect(open.volume).toBeCloseTo(1e6 * Math.exp(-0.5), -1);
+  expect(remainingReserves(exponential, 500, { tEnd: 400 })).toEqual({ volume: 0, tLimit: 400, reason: 'life' });
+  expect(remainingReserves(exponential, 3000, { rateLimit: 100 }).volume).toBe(0);
+});
+
+// Points carrying their exact cumulative, as the q vs Np plot would show them
+const withCumulative = (params, times) =>
+  times.map(t => ({ t, value: modelRate(params, t), np: modelCumulative(params, t) }));
+const monthly = Array.from({ length: 36 }, (_, i) => i * 30);
+
+test('inverts a curve cumulative back to its time and rate', () => {
+  const params = { model: 'duong', q1: 500, a: 1.2, m: 1.1 };
+  const t = timeAtCumulative(params, modelCumulative(params, 400));
+  expect(t).toBeCloseTo(400, 3);
+  expect(rateAtCumulative(params, modelCumulative(params, 400))).toBeCloseTo(modelRate(params, 400), 3);
+  expect(rateAtCumulative(exponential, 2e6)).toBe(0);
+});
+
+test('recovers a curve fitted in rate against cumulative', () => {
+  [
+    { model: 'arps', Qi: 1000, b: 0.6, D: 0.01 },
+    { model: 'duong', q1: 500, a: 1.2, m: 1.1 },
+    { model: 'ple', qi: 1000, Di: 0.1, n: 0.5, Dinf: 0.0005 }
+  ].forEach(params => {
+    const fit = fitModel(params.model, withCumulative(params, monthly), { space: 'cumulative' });
+    expect(fit.n).toBe(monthly.length);
+    [0, 365, 1050].forEach(t => {
+      expect(modelRate(fit.params, t) / modelRate(params, t)).toBeCloseTo(1, 2);
+    });
+  });
+});
+
+test('measures the cumulative of a later segment from its origin', () => {
+  const early = { model: 'arps', Qi: 800, b: 0.5, D: 0.02 };
+  const late = { model: 'arps', Qi: 1200, b: 0.8, D: 0.015, t0: 300 };
+  const np300 = modelCumulative(early, 300);
+  const points = [
+    ...withCumulative(early, monthly.filter(t => t < 300)),
+    ...monthly.filter(t => t >= 300).map(t => ({ t, value: modelRate(late, t), np: np300 + modelCumulative(late, t) }))
+  ];
+  const fit = fitModel('arps', points, { space: 'cumulative', t0: 300 });
+  expect(fit.params.t0).toBe(300);
+  expect(fit.params.Qi).toBeCloseTo(1200, -1);
+  expect(fit.params.b).toBeCloseTo(0.8, 1);
+  expect(fit.params.D).toBeCloseTo(0.015, 3);
+});
+
+const oil = { model: 'arps', Qi: 1000, b: 0.6, D: 0.01 };
+const oilPoints = withCumulative(oil, monthly);
+const phaseFor = ratio => oilPoints.map(p => ({ t: p.t, value: ratio(p) * p.value }));
+
+test('plots ratios only where both phases produced', () => {
+  const gas = phaseFor(() => 2).map((p, i) => (i === 3 ? { ...p, value: 0 } : p)).concat({ t: 5, value: 10 });
+  const points = ratioPoints('gor', 'time', oilPoints, gas, 60);
+  expect(points.map(p => p.t)).toEqual(monthly.filter((t, i) => t >= 60 && i !== 3));
+  points.forEach(p => expect(p.ratio).toBeCloseTo(2));
+  const byCumulative = ratioPoints('watercut', 'cumulative', oilPoints, phaseFor(() => 1));
+  expect(byCumulative[5]).toEqual({ t: 150, x: oilPoints[5].np, ratio: 0.5 });
+});
+
+test('fits a GOR rising with time and forecasts gas from the oil curve', () => {
+  const gas = phaseFor(p => 2 * Math.exp(0.001 * p.t));
+  const { params, error, n } = fitRatio('gor', 'time', oilPoints, gas, oil);
+  expect(n).toBe(monthly.length);
+  expect(params.r0).toBeCloseTo(2, 6);
+  expect(params.k).toBeCloseTo(0.001, 8);
+  expect(error).toBeCloseTo(0, 10);
+  expect(modelRate(params, 900)).toBeCloseTo(2 * Math.exp(0.9) * modelRate(oil, 900), 3);
+});
+
+test('fits a water cut against cumulative oil from the oil curve origin', () => {
+  const primary = { ...oil, t0: 300 };
+  const np0 = modelCumulative(oil, 300);
+  const cut = p => 1 / (1 + Math.exp(-(-2 + 5e-5 * p.np)));
+  const water = phaseFor(p => cut(p) / (1 - cut(p)));
+  const { params, n } = fitRatio('watercut', 'cumulative', oilPoints, water, primary);
+  expect(n).toBe(monthly.filter(t => t >= 300).length);
+  expect(params.np0).toBeCloseTo(np0, 6);
+  expect(params.r0).toBeCloseTo(1 / (1 + Math.exp(2)), 6);
+  expect(params.k).toBeCloseTo(5e-5, 10);
+});
+
+test('holds a fixed ratio parameter and falls back with too few points', () => {
+  const gas = phaseFor(p => 2 * Math.exp(0.001 * p.t));
+  expect(fitRatio('gor', 'time', oilPoints, gas, oil, { r0: 2 }).params.k).toBeCloseTo(0.001, 8);
+  expect(fitRatio('gor', 'time', oilPoints, gas, oil, { k: 0.001 }).params.r0).toBeCloseTo(2, 6);
+  const sparse = fitRatio('gor', 'time', oilPoints, gas.slice(0, 2), oil);
+  expect(sparse.error).toBe(Infinity);
+  expect(sparse.params).toMatchObject({ r0: 2, k: 0 });
+});
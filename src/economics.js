@@ -0,0 +1,263 @@
+/**
+ * Economics
+ *
+ * Turns the per-phase decline forecasts into a monthly cash flow: price deck,
+ * differentials, opex, production taxes and working/net revenue interests, then
+ * NPV, IRR, payout and the economic limit. Money is in $, oil and water in bbl,
+ * gas in mcf; rates from the decline models are per day.
+ */
+import { DAYS_PER_YEAR } from './dca-utilities';
+import { hasValidParams, modelCumulative } from './decline-models';
+
+export const DAYS_PER_MONTH = DAYS_PER_YEAR / 12;
+export const MAX_ECONOMIC_MONTHS = 50 * 12;
+
+export const DEFAULT_ECONOMICS = {
+  priceDeck: {
+    type: "flat",          // "flat" | "escalated" | "monthly"
+    oil: 70,               // $/bbl
+    gas: 3,                // $/mcf
+    escalation: 2,         // %/yr, used by "escalated"
+    monthly: []            // [{ month: "YYYY-MM", oil, gas }], used by "monthly"
+  },
+  oilDifferential: 3,      // $/bbl below the deck
+  gasDifferential: 0.5,    // $/mcf below the deck
+  fixedOpex: 5000,         // $/month
+  oilOpex: 2,              // $/bbl
+  gasOpex: 0.3,            // $/mcf
+  waterOpex: 1,            // $/bbl
+  severanceTax: 4.6,       // % of revenue
+  adValoremTax: 2,         // % of revenue after severance
+  workingInterest: 100,    // %
+  netRevenueInterest: 80,  // %
+  capex: 0,                // $ (gross), spent in the first month
+  discountRates: [0, 10, 15, 20] // %/yr
+};
+
+/**
+ * "YYYY-MM" label of a date
+ * @param {Date} date - Date
+ * @returns {string} Month label
+ */
+export const monthLabel = (date) => date.toISOString().slice(0, 7);
+
+/**
+ * First day of the calendar month after a date
+ * @param {Date} date - Date
+ * @returns {Date} Midnight UTC on the 1st of the next month
+ */
+export const nextMonth = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+/**
+ * Volumes produced in consecutive calendar months from the start of the forecast, on the
+ * same months as the forecast table: the first runs from startDate to the end of its month
+ * @param {Object} phaseParams - { phase: params } as kept by the chart
+ * @param {Object} basis - { tStart (fit time of startDate, days), startDate (Date), months }
+ * @returns {Array} [{ month, date (end of the month), label, [phase]: volume }]
+ */
+export const monthlyForecast = (phaseParams, { tStart, startDate, months }) => {
+  const phases = Object.keys(phaseParams).filter(phase => hasValidParams(phaseParams[phase]));
+  // Cumulative at each month boundary, so every boundary is integrated once.
+  let previous = {};
+  phases.forEach(phase => { previous[phase] = modelCumulative(phaseParams[phase], tStart); });
+  const rows = [];
+  let begin = startDate;
+  for (let i = 0; i < months; i++) {
+    const date = nextMonth(begin);
+    const t1 = tStart + (date - startDate) / 86400000;
+    const row = { month: i + 1, date, label: monthLabel(begin) };
+    phases.forEach(phase => {
+      const cum = modelCumulative(phaseParams[phase], t1);
+      row[phase] = Math.max(0, cum - previous[phase]);
+      previous[phase] = cum;
+    });
+    rows.push(row);
+    begin = date;
+  }
+  return rows;
+};
+
+/**
+ * Oil and gas price for a month of the forecast
+ * @param {Object} deck - Price deck (see DEFAULT_ECONOMICS.priceDeck)
+ * @param {number} monthIndex - Months since the start of the forecast (0-based)
+ * @param {string} label - "YYYY-MM" of the month, used by monthly decks
+ * @returns {Object} { oil, gas }
+ */
+export const priceForMonth = (deck, monthIndex, label) => {
+  if (deck.type === "escalated") {
+    const factor = Math.pow(1 + (deck.escalation || 0) / 100, Math.floor(monthIndex / 12));
+    return { oil: deck.oil * factor, gas: deck.gas * factor };
+  }
+  if (deck.type === "monthly" && deck.monthly && deck.monthly.length) {
+    // Months past the end of the deck hold its last price; months before it take the first.
+    const sorted = [...deck.monthly].sort((a, b) => a.month.localeCompare(b.month));
+    let entry = sorted[0];
+    sorted.forEach(e => { if (e.month <= label) entry = e; });
+    return { oil: entry.oil, gas: entry.gas };
+  }
+  return { oil: deck.oil, gas: deck.gas };
+};
+
+/**
+ * Parse a monthly price deck typed as one "YYYY-MM, oil, gas" line per month
+ * @param {string} text - Deck text
+ * @returns {Array} [{ month, oil, gas }], skipping lines that don't parse
+ */
+export const parsePriceDeck = (text) => {
+  return text.split(/\r?\n/).map(line => {
+    const [month, oil, gas] = line.split(/[,;\t]/).map(s => s.trim());
+    if (!/^\d{4}-\d{2}$/.test(month || "")) return null;
+    const entry = { month, oil: Number(oil), gas: Number(gas) };
+    return isNaN(entry.oil) || isNaN(entry.gas) ? null : entry;
+  }).filter(Boolean);
+};
+
+/**
+ * Monthly net cash flow from forecast volumes
+ * @param {Array} volumes - Rows from monthlyForecast
+ * @param {Object} inputs - Economic inputs (see DEFAULT_ECONOMICS)
+ * @returns {Array} Rows with prices, revenue, taxes, opex, capex, operating and net cash flow
+ */
+export const calculateCashFlow = (volumes, inputs) => {
+  const wi = inputs.workingInterest / 100;
+  const nri = inputs.netRevenueInterest / 100;
+  let cumulative = 0;
+  return volumes.map((row, i) => {
+    const oil = row.oil || 0;
+    const gas = row.gas || 0;
+    const water = row.water || 0;
+    const price = priceForMonth(inputs.priceDeck, i, row.label);
+    const oilPrice = Math.max(0, price.oil - inputs.oilDifferential);
+    const gasPrice = Math.max(0, price.gas - inputs.gasDifferential);
+    const revenue = nri * (oil * oilPrice + gas * gasPrice);
+    const severance = revenue * inputs.severanceTax / 100;
+    const adValorem = (revenue - severance) * inputs.adValoremTax / 100;
+    const opex = wi * (inputs.fixedOpex + oil * inputs.oilOpex + gas * inputs.gasOpex + water * inputs.waterOpex);
+    const operating = revenue - severance - adValorem - opex;
+    const capex = i === 0 ? wi * inputs.capex : 0;
+    const net = operating - capex;
+    cumulative += net;
+    return {
+      ...row,
+      oilPrice,
+      gasPrice,
+      revenue,
+      taxes: severance + adValorem,
+      opex,
+      operating,
+      capex,
+      net,
+      cumulative
+    };
+  });
+};
+
+/**
+ * Month index of the economic limit: the last month with positive operating cash flow
+ * @param {Array} cashFlow - Rows from calculateCashFlow
+ * @returns {number} Index of that month, -1 if the well never pays its operating costs
+ */
+export const economicLimitIndex = (cashFlow) => {
+  for (let i = cashFlow.length - 1; i >= 0; i--) {
+    if (cashFlow[i].operating > 0) return i;
+  }
+  return -1;
+};
+
+/**
+ * Net present value of monthly cash flows, discounted at the end of each month
+ * @param {Array} flows - Monthly net cash flows, first month first
+ * @param {number} annualRate - Discount rate as a fraction per year
+ * @returns {number} NPV
+ */
+export const npv = (flows, annualRate) => {
+  const monthly = Math.pow(1 + annualRate, 1 / 12);
+  return flows.reduce((sum, cf, i) => sum + cf / Math.pow(monthly, i + 1), 0);
+};
+
+/**
+ * Internal rate of return (bisection on the annual discount rate)
+ * @param {Array} flows - Monthly net cash flows
+ * @returns {number|null} IRR as a fraction per year, null when the flows don't change sign
+ */
+export const irr = (flows) => {
+  let lo = -0.99;
+  let hi = 1;
+  const fLo = npv(flows, lo);
+  // Quick payouts give IRRs of thousands of percent, so widen the bracket as needed.
+  while (fLo * npv(flows, hi) > 0 && hi < 1e6) hi *= 10;
+  if (fLo * npv(flows, hi) > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (lo + hi) / 2;
+    if (npv(flows, mid) * fLo > 0) lo = mid;
+    else hi = mid;
+    if (hi - lo < 1e-7) break;
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Full economics run for a well
+ * @param {Object} phaseParams - { phase: params }
+ * @param {Object} basis - { tStart, startDate, months } of the forecast (see monthlyForecast)
+ * @param {Object} inputs - Economic inputs (see DEFAULT_ECONOMICS)
+ * @returns {Object} { cashFlow (truncated at the economic limit), npv: { [rate%]: value }, irr,
+ *   payoutDate, payoutMonths, economicLimitDate, economicLimitMonths, limitReached,
+ *   neverEconomic, totals } where limitReached is false when the forecast ends before the
+ *   well turns uneconomic, and neverEconomic is true (with no limit date) when it never
+ *   covers its operating costs at all
+ */
+export const runEconomics = (phaseParams, basis, inputs) => {
+  const months = Math.min(MAX_ECONOMIC_MONTHS, Math.max(0, Math.ceil(basis.months)));
+  const full = calculateCashFlow(monthlyForecast(phaseParams, { ...basis, months }), inputs);
+  const limit = economicLimitIndex(full);
+  // Capex still counts when the well never clears its operating costs.
+  const cashFlow = limit >= 0 ? full.slice(0, limit + 1) : full.slice(0, 1);
+  const flows = cashFlow.map(row => row.net);
+
+  let npvs = {};
+  inputs.discountRates.forEach(rate => {
+    npvs[rate] = npv(flows, rate / 100);
+  });
+
+  const payout = inputs.capex > 0 ? cashFlow.find(row => row.cumulative >= 0) : null;
+  const limitRow = limit >= 0 ? full[limit] : null;
+  const totals = cashFlow.reduce((acc, row) => {
+    ["oil", "gas", "water", "revenue", "taxes", "opex", "capex", "net"].forEach(key => {
+      acc[key] += row[key] || 0;
+    });
+    return acc;
+  }, { oil: 0, gas: 0, water: 0, revenue: 0, taxes: 0, opex: 0, capex: 0, net: 0 });
+
+  return {
+    cashFlow,
+    npv: npvs,
+    irr: irr(flows),
+    payoutDate: payout ? payout.date : null,
+    payoutMonths: payout ? payout.month : null,
+    economicLimitDate: limitRow ? limitRow.date : null,
+    economicLimitMonths: limitRow ? limitRow.month : 0,
+    limitReached: limit >= 0 && limit < full.length - 1,
+    neverEconomic: limit < 0,
+    totals
+  };
+};
+
+const economics = {
+  DEFAULT_ECONOMICS,
+  DAYS_PER_MONTH,
+  MAX_ECONOMIC_MONTHS,
+  monthLabel,
+  nextMonth,
+  monthlyForecast,
+  priceForMonth,
+  parsePriceDeck,
+  calculateCashFlow,
+  economicLimitIndex,
+  npv,
+  irr,
+  runEconomics
+};
+
+export default economics;
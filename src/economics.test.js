@@ -0,0 +1,85 @@
+import {
+  DEFAULT_ECONOMICS, DAYS_PER_MONTH, monthlyForecast, priceForMonth, parsePriceDeck, npv, irr, runEconomics
+} from './economics';
+import { buildMonthlyTable } from './forecast-table';
+
+const params = { oil: { model: 'arps', Qi: 100, b: 0, D: 0.005 } };
+const basis = months => ({ tStart: 0, startDate: new Date(Date.UTC(2022, 0, 1)), months });
+// $50 oil with only a fixed monthly cost: the well pays while it makes over 100 bbl/month.
+const inputs = {
+  ...DEFAULT_ECONOMICS,
+  priceDeck: { ...DEFAULT_ECONOMICS.priceDeck, type: 'flat', oil: 50, gas: 0 },
+  oilDifferential: 0,
+  gasDifferential: 0,
+  fixedOpex: 5000,
+  oilOpex: 0,
+  gasOpex: 0,
+  waterOpex: 0,
+  severanceTax: 0,
+  adValoremTax: 0,
+  netRevenueInterest: 100,
+  capex: 0
+};
+
+test('integrates each calendar month of the forecast once', () => {
+  const rows = monthlyForecast(params, basis(3));
+  const total = rows.reduce((sum, row) => sum + row.oil, 0);
+  expect(total).toBeCloseTo(100 / 0.005 * (1 - Math.exp(-0.005 * (31 + 28 + 31))));
+  expect(rows.map(row => row.month)).toEqual([1, 2, 3]);
+  expect(rows.map(row => row.label)).toEqual(['2022-01', '2022-02', '2022-03']);
+  expect(rows[1].date).toEqual(new Date(Date.UTC(2022, 2, 1)));
+});
+
+test('books the forecast to the same months as the forecast table', () => {
+  const startDate = new Date(Date.UTC(2022, 0, 20));
+  const rows = monthlyForecast(params, { tStart: 100, startDate, months: 14 });
+  const table = buildMonthlyTable(params, { tStart: 100, startDate }, {}).slice(0, rows.length);
+  expect(rows.map(row => row.label)).toEqual(table.map(row => row.month));
+  rows.forEach((row, i) => expect(row.oil).toBeCloseTo(table[i].oil.forecastVolume, 6));
+  expect(rows[0].oil).toBeCloseTo(100 / 0.005 * (Math.exp(-0.5) - Math.exp(-0.005 * 112)));
+});
+
+test('prices escalated and monthly decks', () => {
+  const escalated = { type: 'escalated', oil: 100, gas: 4, escalation: 10 };
+  expect(priceForMonth(escalated, 11).oil).toBe(100);
+  expect(priceForMonth(escalated, 12).oil).toBeCloseTo(110);
+  const monthly = { type: 'monthly', monthly: parsePriceDeck('2022-03, 80, 3\nnot a line\n2022-01; 70; 2') };
+  expect(monthly.monthly).toEqual([{ month: '2022-03', oil: 80, gas: 3 }, { month: '2022-01', oil: 70, gas: 2 }]);
+  expect(priceForMonth(monthly, 0, '2021-12')).toEqual({ oil: 70, gas: 2 });
+  expect(priceForMonth(monthly, 0, '2022-02')).toEqual({ oil: 70, gas: 2 });
+  expect(priceForMonth(monthly, 0, '2023-01')).toEqual({ oil: 80, gas: 3 });
+});
+
+test('discounts at the end of each month and finds the rate that zeroes it', () => {
+  const flows = [-100, ...Array(11).fill(0), 110];
+  expect(npv([...Array(11).fill(0), 110], 0.1)).toBeCloseTo(100);
+  expect(irr(flows)).toBeCloseTo(0.1, 5);
+  expect(irr([100, 100])).toBeNull();
+});
+
+test('cuts the cash flow at the last month that covers operating costs', () => {
+  const result = runEconomics(params, basis(60), inputs);
+  // 100 bbl/month is 100 / DAYS_PER_MONTH bbl/d, reached after ln(100 DAYS_PER_MONTH / 100) / D days.
+  const limitMonth = Math.log(DAYS_PER_MONTH) / 0.005 / DAYS_PER_MONTH;
+  expect(result.limitReached).toBe(true);
+  expect(result.neverEconomic).toBe(false);
+  expect(Math.abs(result.economicLimitMonths - limitMonth)).toBeLessThan(1);
+  expect(result.cashFlow).toHaveLength(result.economicLimitMonths);
+  expect(result.economicLimitDate).toEqual(result.cashFlow[result.cashFlow.length - 1].date);
+});
+
+test('reports no limit when the forecast ends while the well still pays', () => {
+  const result = runEconomics(params, basis(12), inputs);
+  expect(result.limitReached).toBe(false);
+  expect(result.neverEconomic).toBe(false);
+  expect(result.economicLimitMonths).toBe(12);
+});
+
+test('flags a well that never covers its operating costs', () => {
+  const result = runEconomics(params, basis(60), { ...inputs, fixedOpex: 1e6, capex: 50000 });
+  expect(result.neverEconomic).toBe(true);
+  expect(result.limitReached).toBe(false);
+  expect(result.economicLimitDate).toBeNull();
+  expect(result.cashFlow).toHaveLength(1);
+  expect(result.totals.capex).toBe(50000);
+});
@@ -0,0 +1,70 @@
+/**
+ * Edit History
+ *
+ * Undo/redo stack of a well's curve parameters. Each entry is a settled state (after a
+ * drag, a typed edit or a refit) with the parameter locks it was fitted under and a label
+ * saying what produced it; moving the index back and forth is undo/redo, and recording
+ * after an undo drops the redo branch.
+ */
+
+export const MAX_HISTORY = 50;
+export const EMPTY_HISTORY = { entries: [], index: -1 };
+
+/**
+ * Whether a state differs from the entry at the history's index
+ * @param {Object} history - { entries, index }
+ * @param {Object} phaseParams - { phase: params }
+ * @returns {boolean} True when phaseParams should be recorded
+ */
+export const isNewState = (history, phaseParams) => {
+  const current = history.entries[history.index];
+  return !current || JSON.stringify(current.phaseParams) !== JSON.stringify(phaseParams);
+};
+
+/**
+ * Record a state after the current index
+ * @param {Object} history - { entries, index }
+ * @param {Object} entry - { label, phaseParams, locks, at (ms timestamp) }
+ * @param {number} limit - Oldest entries beyond this count are dropped
+ * @returns {Object} New history with the entry current
+ */
+export const recordEntry = (history, entry, limit = MAX_HISTORY) => {
+  const entries = [...history.entries.slice(0, history.index + 1), entry].slice(-limit);
+  return { entries, index: entries.length - 1 };
+};
+
+/**
+ * Move to another entry
+ * @param {Object} history - { entries, index }
+ * @param {number} index - Target index, e.g. history.index - 1 for undo
+ * @returns {Object|null} New history, or null when there is no such entry
+ */
+export const moveTo = (history, index) =>
+  index >= 0 && index < history.entries.length && index !== history.index
+    ? { ...history, index }
+    : null;
+
+/**
+ * Give the current entry a name of the user's choosing
+ * @param {Object} history - { entries, index }
+ * @param {string} name - New label; blank keeps the old one
+ * @returns {Object} New history
+ */
+export const nameEntry = (history, name) => {
+  const entry = history.entries[history.index];
+  if (!entry || !name.trim()) return history;
+  const entries = [...history.entries];
+  entries[history.index] = { ...entry, label: name.trim(), named: true };
+  return { ...history, entries };
+};
+
+const editHistory = {
+  MAX_HISTORY,
+  EMPTY_HISTORY,
+  isNewState,
+  recordEntry,
+  moveTo,
+  nameEntry
+};
+
+export default editHistory;
@@ -0,0 +1,44 @@
+import { EMPTY_HISTORY, isNewState, recordEntry, moveTo, nameEntry } from './edit-history';
+
+const entry = (label, Qi) => ({ label, phaseParams: { oil: { model: 'arps', Qi, b: 0.5, D: 0.01 } }, at: 0 });
+
+const recorded = (...entries) => entries.reduce((history, e) => recordEntry(history, e), EMPTY_HISTORY);
+
+test('records entries and undoes and redoes through them', () => {
+  const history = recorded(entry('Fit', 1000), entry('Drag', 900), entry('Typed Qi', 800));
+  expect(history.index).toBe(2);
+  const undone = moveTo(history, history.index - 1);
+  expect(undone.entries[undone.index].label).toBe('Drag');
+  expect(moveTo(undone, undone.index + 1).index).toBe(2);
+  expect(moveTo(history, 3)).toBeNull();
+  expect(moveTo(history, -1)).toBeNull();
+  expect(moveTo(history, 2)).toBeNull();
+});
+
+test('drops the redo branch when recording after an undo', () => {
+  const history = recorded(entry('Fit', 1000), entry('Drag', 900), entry('Drag', 800));
+  const branched = recordEntry(moveTo(history, 0), entry('Refit', 950));
+  expect(branched.entries.map(e => e.phaseParams.oil.Qi)).toEqual([1000, 950]);
+  expect(branched.index).toBe(1);
+});
+
+test('keeps only the latest entries', () => {
+  const history = [1, 2, 3, 4].reduce((h, i) => recordEntry(h, entry(`Edit ${i}`, i), 3), EMPTY_HISTORY);
+  expect(history.entries.map(e => e.label)).toEqual(['Edit 2', 'Edit 3', 'Edit 4']);
+  expect(history.index).toBe(2);
+});
+
+test('records only states that differ from the current entry', () => {
+  const history = recorded(entry('Fit', 1000));
+  expect(isNewState(EMPTY_HISTORY, entry('Fit', 1000).phaseParams)).toBe(true);
+  expect(isNewState(history, entry('Drag', 1000).phaseParams)).toBe(false);
+  expect(isNewState(history, entry('Drag', 900).phaseParams)).toBe(true);
+});
+
+test('names the current entry, ignoring blank names', () => {
+  const history = recorded(entry('Fit', 1000), entry('Drag', 900));
+  const named = nameEntry(history, '  Base case ');
+  expect(named.entries[1]).toMatchObject({ label: 'Base case', named: true });
+  expect(named.entries[0].label).toBe('Fit');
+  expect(nameEntry(history, '   ')).toBe(history);
+});
@@ -0,0 +1,115 @@
+/**
+ * Exclusions
+ *
+ * Which historical points stay out of the fit: points clicked or lassoed on the chart,
+ * plus automatic rules for zero rates, spikes off a rolling median and downtime rows.
+ * Clicked choices are stored per well and phase as overrides keyed by production day,
+ * { "YYYY-MM-DD": true (excluded) | false (kept even if a rule excludes it) }, so they
+ * survive changes to the date window.
+ */
+
+export const DEFAULT_EXCLUSION_RULES = {
+  zeroRate: false,
+  minRate: 0.1,          // rates at or below this count as zero
+  outliers: false,
+  sigma: 3,              // robust standard deviations off the rolling median
+  window: 7,             // points in the rolling median
+  downtime: false,
+  downtimeColumn: "",    // "" = detected (see detectDowntimeColumn)
+  minHours: 20           // hours on production per day below which a row is downtime
+};
+
+export const EXCLUSION_REASONS = {
+  manual: "clicked",
+  zero: "zero rate",
+  outlier: "outlier",
+  downtime: "downtime"
+};
+
+const median = (values) => {
+  if (!values.length) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Hours on production in a day from a downtime column value
+ * @param {number} value - Column value
+ * @param {string} kind - "hours" (hours on) or "downtime" (hours down)
+ * @returns {number} Hours on, or NaN when the value is missing
+ */
+export const hoursOn = (value, kind) => {
+  if (value === "" || value === null || value === undefined || isNaN(+value)) return NaN;
+  return kind === "downtime" ? 24 - +value : +value;
+};
+
+/**
+ * Points the automatic rules exclude
+ * @param {Array} points - {t, value, hoursOn (optional)} points sorted by t
+ * @param {Object} rules - See DEFAULT_EXCLUSION_RULES
+ * @returns {Array} A reason key of EXCLUSION_REASONS, or null, per point. Outliers are judged
+ *   in log rate against a centred rolling median of the positive rates, with the spread
+ *   taken as 1.4826 × the median absolute residual so the spikes don't inflate it.
+ */
+export const ruleExclusions = (points, rules = DEFAULT_EXCLUSION_RULES) => {
+  const reasons = points.map(() => null);
+  points.forEach((p, i) => {
+    if (rules.downtime && isFinite(p.hoursOn) && p.hoursOn < rules.minHours) reasons[i] = "downtime";
+    else if (rules.zeroRate && !(p.value > rules.minRate)) reasons[i] = "zero";
+  });
+  if (!rules.outliers) return reasons;
+
+  const candidates = points.map((p, i) => i).filter(i => points[i].value > 0 && !reasons[i]);
+  const logs = candidates.map(i => Math.log(points[i].value));
+  const half = Math.max(1, Math.floor(rules.window / 2));
+  const residuals = logs.map((v, j) => v - median(logs.slice(Math.max(0, j - half), j + half + 1)));
+  const spread = 1.4826 * median(residuals.map(Math.abs));
+  if (!(spread > 0)) return reasons;
+  residuals.forEach((r, j) => {
+    if (Math.abs(r) > rules.sigma * spread) reasons[candidates[j]] = "outlier";
+  });
+  return reasons;
+};
+
+/**
+ * Mark each point with why it is excluded
+ * @param {Array} points - {day, ...} points
+ * @param {Array} reasons - Output of ruleExclusions for the same points
+ * @param {Object} overrides - { day: true | false } clicked choices
+ * @returns {Array} Points with `excluded` (reason key or null) and `ruleExcluded` (boolean)
+ */
+export const markExclusions = (points, reasons, overrides = {}) =>
+  points.map((p, i) => {
+    const override = overrides[p.day];
+    const excluded = override === true ? "manual" : override === false ? null : reasons[i];
+    return { ...p, excluded, ruleExcluded: !!reasons[i] };
+  });
+
+/**
+ * Overrides after the user sets points to excluded or kept. A choice that matches what the
+ * rules say is dropped, so the point follows the rules again.
+ * @param {Object} overrides - { day: boolean }
+ * @param {Array} points - Marked points (see markExclusions)
+ * @param {boolean} excluded - New state for all of them
+ * @returns {Object} New overrides
+ */
+export const setExcluded = (overrides, points, excluded) => {
+  const next = { ...overrides };
+  points.forEach(p => {
+    if (p.ruleExcluded === excluded) delete next[p.day];
+    else next[p.day] = excluded;
+  });
+  return next;
+};
+
+const exclusions = {
+  DEFAULT_EXCLUSION_RULES,
+  EXCLUSION_REASONS,
+  hoursOn,
+  ruleExclusions,
+  markExclusions,
+  setExcluded
+};
+
+export default exclusions;
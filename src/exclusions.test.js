@@ -0,0 +1,53 @@
+import { DEFAULT_EXCLUSION_RULES, hoursOn, ruleExclusions, markExclusions, setExcluded } from './exclusions';
+
+// Smooth exponential decline with a little alternating scatter
+const declining = (length = 30) =>
+  Array.from({ length }, (_, i) => ({
+    t: i,
+    day: `2022-01-${String(i + 1).padStart(2, '0')}`,
+    value: 1000 * Math.exp(-0.02 * i) * (i % 2 ? 1.03 : 0.97)
+  }));
+
+const rules = (changes) => ({ ...DEFAULT_EXCLUSION_RULES, ...changes });
+
+test('excludes nothing with the rules off', () => {
+  expect(ruleExclusions(declining()).every(r => r === null)).toBe(true);
+});
+
+test('excludes zero and near-zero rates', () => {
+  const points = declining().map((p, i) => (i === 4 ? { ...p, value: 0 } : i === 9 ? { ...p, value: 0.05 } : p));
+  const reasons = ruleExclusions(points, rules({ zeroRate: true }));
+  expect(reasons[4]).toBe('zero');
+  expect(reasons[9]).toBe('zero');
+  expect(reasons.filter(Boolean)).toHaveLength(2);
+});
+
+test('excludes spikes and dips off the rolling median', () => {
+  const points = declining().map((p, i) => (i === 10 ? { ...p, value: p.value * 4 } : i === 20 ? { ...p, value: p.value / 5 } : p));
+  const reasons = ruleExclusions(points, rules({ outliers: true }));
+  expect(reasons[10]).toBe('outlier');
+  expect(reasons[20]).toBe('outlier');
+  expect(reasons.filter(Boolean)).toHaveLength(2);
+  expect(ruleExclusions(points, rules({ outliers: true, sigma: 100 })).filter(Boolean)).toHaveLength(0);
+});
+
+test('excludes days on production for fewer than the minimum hours', () => {
+  expect(hoursOn('6', 'downtime')).toBe(18);
+  expect(hoursOn('6', 'hours')).toBe(6);
+  expect(hoursOn('', 'hours')).toBeNaN();
+  const points = declining().map((p, i) => ({ ...p, hoursOn: i === 3 ? 12 : i === 5 ? NaN : 24 }));
+  const reasons = ruleExclusions(points, rules({ downtime: true, zeroRate: true }));
+  expect(reasons[3]).toBe('downtime');
+  expect(reasons.filter(Boolean)).toHaveLength(1);
+});
+
+test('lets clicked choices override the rules and drops choices that match them', () => {
+  const points = declining(3);
+  const marked = markExclusions(points, ['zero', null, null], { '2022-01-01': false, '2022-01-02': true });
+  expect(marked.map(p => p.excluded)).toEqual([null, 'manual', null]);
+  expect(marked.map(p => p.ruleExcluded)).toEqual([true, false, false]);
+
+  const overrides = setExcluded({ '2022-01-01': false }, [marked[0], marked[2]], true);
+  expect(overrides).toEqual({ '2022-01-03': true });
+  expect(setExcluded(overrides, [marked[2]], false)).toEqual({});
+});
@@ -0,0 +1,48 @@
+/**
+ * Fit Diagnostics
+ *
+ * How well a curve matches the points it was fitted to: residuals (actual − curve) and
+ * goodness-of-fit scores. Works for any registered model and for curves adjusted by hand,
+ * so it can be recomputed on every drag.
+ */
+import { calculatePercentageError } from './dca-utilities';
+import { hasValidParams, modelRate } from './decline-models';
+
+/**
+ * Residuals and scores of a curve against points
+ * @param {Array} points - {t, value} points in the fit window
+ * @param {Object} params - Curve parameters (with model id)
+ * @returns {Object|null} { n, residuals: [{ t, value, predicted, residual }], rmse, r2, mape (%) };
+ *   null without valid parameters or points. R² is against the mean of the points, so it
+ *   goes negative for a curve worse than a flat line.
+ */
+export const fitDiagnostics = (points, params) => {
+  if (!hasValidParams(params)) return null;
+  const residuals = (points || [])
+    .filter(p => isFinite(p.t) && isFinite(p.value))
+    .map(p => {
+      const predicted = modelRate(params, p.t);
+      return { t: p.t, value: p.value, predicted, residual: p.value - predicted };
+    })
+    .filter(p => isFinite(p.predicted));
+  if (!residuals.length) return null;
+
+  const n = residuals.length;
+  const mean = residuals.reduce((acc, p) => acc + p.value, 0) / n;
+  const ssRes = residuals.reduce((acc, p) => acc + p.residual * p.residual, 0);
+  const ssTot = residuals.reduce((acc, p) => acc + (p.value - mean) * (p.value - mean), 0);
+  const mape = calculatePercentageError(residuals.map(p => p.value), residuals.map(p => p.predicted));
+  return {
+    n,
+    residuals,
+    rmse: Math.sqrt(ssRes / n),
+    r2: ssTot > 0 ? 1 - ssRes / ssTot : NaN,
+    mape: isFinite(mape) ? mape : NaN
+  };
+};
+
+const diagnostics = {
+  fitDiagnostics
+};
+
+export default diagnostics;
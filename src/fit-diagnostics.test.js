@@ -0,0 +1,31 @@
+import { fitDiagnostics } from './fit-diagnostics';
+
+const flat = { model: 'arps', Qi: 100, b: 0, D: 0 };
+const points = [{ t: 0, value: 90 }, { t: 10, value: 110 }, { t: 20, value: 80 }, { t: 30, value: 120 }];
+
+test('scores a curve against the points it was fitted to', () => {
+  const result = fitDiagnostics(points, flat);
+  expect(result.n).toBe(4);
+  expect(result.residuals.map(p => p.residual)).toEqual([-10, 10, -20, 20]);
+  expect(result.rmse).toBeCloseTo(Math.sqrt(250));
+  expect(result.r2).toBeCloseTo(0);
+  expect(result.mape).toBeCloseTo((10 / 90 + 10 / 110 + 20 / 80 + 20 / 120) * 25);
+});
+
+test('gives an exact curve a perfect score and a poor one a negative R²', () => {
+  const curve = { model: 'arps', Qi: 1000, b: 0.5, D: 0.01 };
+  const exact = fitDiagnostics([0, 50, 100].map(t => ({ t, value: 1000 / Math.pow(1 + 0.005 * t, 2) })), curve);
+  expect(exact.rmse).toBeCloseTo(0, 9);
+  expect(exact.r2).toBeCloseTo(1, 9);
+  expect(exact.mape).toBeCloseTo(0, 9);
+  expect(fitDiagnostics(points, { ...flat, Qi: 200 }).r2).toBeLessThan(0);
+});
+
+test('leaves out unusable points and scores that cannot be computed', () => {
+  const result = fitDiagnostics([{ t: 0, value: 0 }, { t: NaN, value: 5 }, { t: 5, value: 0 }], flat);
+  expect(result.n).toBe(2);
+  expect(result.r2).toBeNaN();
+  expect(result.mape).toBeNaN();
+  expect(fitDiagnostics([], flat)).toBeNull();
+  expect(fitDiagnostics(points, { model: 'arps', Qi: NaN, b: 0, D: 0 })).toBeNull();
+});
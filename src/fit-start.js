@@ -0,0 +1,92 @@
+/**
+ * Fit Start Detection
+ *
+ * Where a phase's decline begins. Flowback and ramp-up come before the peak, and a decline
+ * fitted through them starts too low and declines too slowly. The start is taken at the
+ * peak of a moving median, so one spike doesn't pass for the peak, or where the smoothed
+ * rate settles into a steady decline after it (the end of cleanup).
+ */
+
+export const FIT_START_METHODS = {
+  peak: "Peak rate",
+  cleanup: "End of cleanup",
+  first: "First point"
+};
+
+export const DEFAULT_FIT_START = "peak";
+
+// Points on either side of each point in the moving median.
+const SMOOTHING = 2;
+// The start is only looked for in this share of the points, so a stream that rises late
+// in life (water) doesn't put it at the end of history.
+const SEARCH_FRACTION = 0.5;
+// Points left after the start for the fit.
+const MIN_FIT_POINTS = 3;
+// Cleanup is over once the smoothed rate falls for this many points in a row, by more
+// than the tolerance overall, without climbing back by more than it on the way.
+const STABLE_POINTS = 3;
+const STABLE_TOLERANCE = 0.05;
+
+/**
+ * Centered moving median of rates
+ * @param {Array} values - Rates
+ * @param {number} halfWidth - Points taken on either side
+ * @returns {Array} Medians, over fewer points near the ends
+ */
+export const smoothRates = (values, halfWidth = SMOOTHING) =>
+  values.map((_, i) => {
+    const window = values.slice(Math.max(0, i - halfWidth), i + halfWidth + 1).sort((a, b) => a - b);
+    const mid = Math.floor(window.length / 2);
+    return window.length % 2 ? window[mid] : (window[mid - 1] + window[mid]) / 2;
+  });
+
+/**
+ * Detect the start of a phase's decline
+ * @param {Array} points - {t, value} points sorted by t
+ * @param {string} method - A key of FIT_START_METHODS
+ * @returns {number|null} Time of the start point, in days; null to fit from the first
+ *   point (method "first", or too few points to tell)
+ */
+export const detectFitStart = (points, method = DEFAULT_FIT_START) => {
+  const pts = (points || []).filter(p => isFinite(p.t) && isFinite(p.value));
+  if (method === "first" || pts.length < 2 * MIN_FIT_POINTS) return null;
+
+  const smoothed = smoothRates(pts.map(p => p.value));
+  const limit = Math.min(Math.ceil(pts.length * SEARCH_FRACTION), pts.length - MIN_FIT_POINTS);
+  let peak = 0;
+  for (let i = 1; i < limit; i++) if (smoothed[i] > smoothed[peak]) peak = i;
+  // The smoothed peak can lag or lead a sharp rise by up to half the window: step back
+  // over the points just before it that already reach the peak rate (a run, so a lone
+  // spike ahead of a dip doesn't count), then on to the first point that reaches it.
+  let start = peak;
+  while (start > Math.max(0, peak - SMOOTHING) && pts[start - 1].value >= smoothed[peak]) start--;
+  for (let i = start; i <= Math.min(peak + SMOOTHING, limit - 1); i++) {
+    if (pts[i].value >= smoothed[peak]) {
+      start = i;
+      break;
+    }
+  }
+
+  if (method === "cleanup") {
+    const stable = i => {
+      if (i + STABLE_POINTS >= smoothed.length) return false;
+      for (let j = 1; j <= STABLE_POINTS; j++) {
+        if (smoothed[i + j] > smoothed[i + j - 1] * (1 + STABLE_TOLERANCE)) return false;
+      }
+      return smoothed[i + STABLE_POINTS] < smoothed[i] * (1 - STABLE_TOLERANCE);
+    };
+    for (let i = start; i < limit; i++) {
+      if (stable(i)) return pts[i].t;
+    }
+  }
+  return pts[start].t;
+};
+
+const fitStart = {
+  FIT_START_METHODS,
+  DEFAULT_FIT_START,
+  smoothRates,
+  detectFitStart
+};
+
+export default fitStart;
@@ -0,0 +1,26 @@
+import { detectFitStart, smoothRates } from './fit-start';
+
+const points = values => values.map((value, i) => ({ t: i * 10, value }));
+const decline = (length, from = 1000) => Array.from({ length }, (_, i) => from * Math.pow(0.9, i + 1));
+
+test('smooths rates with a centred moving median', () => {
+  expect(smoothRates([1, 10, 2, 3, 4], 1)).toEqual([5.5, 2, 3, 3, 3.5]);
+});
+
+test('starts at the peak after the ramp-up, not at a flowback spike', () => {
+  const ramp = [100, 5000, 300, 700, 1000, 1000, ...decline(14)];
+  expect(detectFitStart(points(ramp))).toBe(40);
+  expect(detectFitStart(points(ramp), 'first')).toBeNull();
+});
+
+test('starts at the end of cleanup once the rate settles into a decline', () => {
+  const cleanup = [200, 600, 1000, 990, 1010, 1000, 995, 1005, ...decline(16)];
+  expect(detectFitStart(points(cleanup))).toBe(20);
+  expect(detectFitStart(points(cleanup), 'cleanup')).toBe(50);
+});
+
+test('looks for the start in the first half of the history only', () => {
+  const rising = Array.from({ length: 20 }, (_, i) => 10 + i * i);
+  expect(detectFitStart(points(rising))).toBe(90);
+  expect(detectFitStart(points([100, 900, 800, 700, 600]))).toBeNull();
+});
@@ -0,0 +1,179 @@
+/**
+ * Monthly Forecast Table
+ *
+ * Calendar-month table of actuals and forecast per stream (rate, monthly volume and
+ * running cumulative), plus its CSV and multi-sheet XLSX exports.
+ */
+import * as XLSX from 'xlsx';
+import { hasValidParams, modelCumulative } from './decline-models';
+import { DAYS_PER_MONTH, monthLabel, nextMonth } from './economics';
+
+// Streams with volumes; pressure is a rate-only series and stays out of the table.
+export const TABLE_STREAMS = ["oil", "gas", "water"];
+export const MAX_TABLE_MONTHS = 50 * 12;
+
+const DAY_MS = 86400000;
+const monthStart = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+/**
+ * Actual production per calendar month from dated rate rows
+ * @param {Array} rows - Data rows for one well
+ * @param {string} dateCol - Date column header
+ * @param {Object} phaseColumns - { phase: rate column header }
+ * @returns {Object} { "YYYY-MM": { phase: { rate (mean), volume } } }; volumes are the
+ *   trapezoidal integral of the rates, each segment booked to the month it ends in
+ */
+export const monthlyHistory = (rows, dateCol, phaseColumns) => {
+  const dated = rows
+    .map(row => ({ row, date: new Date(row[dateCol]) }))
+    .filter(r => !isNaN(r.date.getTime()))
+    .sort((a, b) => a.date - b.date);
+  let out = {};
+  TABLE_STREAMS.filter(phase => phaseColumns[phase]).forEach(phase => {
+    const pts = dated
+      .map(r => ({ date: r.date, q: +r.row[phaseColumns[phase]] }))
+      .filter(p => !isNaN(p.q));
+    pts.forEach((p, i) => {
+      const label = monthLabel(p.date);
+      out[label] = out[label] || {};
+      const entry = out[label][phase] || (out[label][phase] = { rate: 0, volume: 0, n: 0 });
+      entry.rate += p.q;
+      entry.n += 1;
+      if (i > 0) {
+        entry.volume += (p.date - pts[i - 1].date) / DAY_MS * (p.q + pts[i - 1].q) / 2;
+      }
+    });
+  });
+  Object.values(out).forEach(month => {
+    Object.values(month).forEach(entry => {
+      entry.rate /= entry.n;
+      delete entry.n;
+    });
+  });
+  return out;
+};
+
+/**
+ * Calendar-month table of actuals and forecast
+ * @param {Object} phaseParams - { phase: params }
+ * @param {Object} basis - { tStart (fit time of startDate, days), startDate (Date) }
+ * @param {Object} history - Output of monthlyHistory
+ * @param {Object} ends - { phase: Date } where each stream's forecast stops (e.g. its EUR limit)
+ * @returns {Array} [{ month, [phase]: { actualRate, actualVolume, forecastRate, forecastVolume, cumulative } }]
+ */
+export const buildMonthlyTable = (phaseParams, basis, history, ends = {}) => {
+  const { tStart, startDate } = basis;
+  const toT = (date) => tStart + (date - startDate) / DAY_MS;
+  const phases = TABLE_STREAMS.filter(phase =>
+    hasValidParams(phaseParams[phase]) || Object.values(history).some(m => m[phase])
+  );
+  const cap = new Date(startDate.getTime() + MAX_TABLE_MONTHS * DAYS_PER_MONTH * DAY_MS);
+  const phaseEnd = (phase) => {
+    const end = ends[phase];
+    return end && end < cap ? end : cap;
+  };
+  const labels = Object.keys(history).sort();
+  const forecastEnd = new Date(Math.max(...phases.filter(p => hasValidParams(phaseParams[p])).map(p => phaseEnd(p)), startDate));
+  let cursor = labels.length ? new Date(`${labels[0]}-01T00:00:00Z`) : monthStart(startDate);
+
+  let cumulative = {};
+  phases.forEach(phase => { cumulative[phase] = 0; });
+  const rows = [];
+  while (cursor <= forecastEnd && rows.length < MAX_TABLE_MONTHS * 2) {
+    const begin = cursor;
+    const end = nextMonth(begin);
+    const label = monthLabel(begin);
+    const row = { month: label };
+    phases.forEach(phase => {
+      const actual = history[label] && history[label][phase];
+      const params = phaseParams[phase];
+      let forecastVolume = null;
+      let forecastRate = null;
+      if (hasValidParams(params)) {
+        const from = begin > startDate ? begin : startDate;
+        const to = end < phaseEnd(phase) ? end : phaseEnd(phase);
+        if (to > from) {
+          forecastVolume = Math.max(0, modelCumulative(params, toT(to)) - modelCumulative(params, toT(from)));
+          forecastRate = forecastVolume / ((to - from) / DAY_MS);
+        }
+      }
+      // Actuals build the cumulative up to the forecast start, the forecast beyond it.
+      cumulative[phase] += (actual && begin < startDate ? actual.volume : 0) + (forecastVolume || 0);
+      row[phase] = {
+        actualRate: actual ? actual.rate : null,
+        actualVolume: actual ? actual.volume : null,
+        forecastRate,
+        forecastVolume,
+        cumulative: cumulative[phase]
+      };
+    });
+    rows.push(row);
+    cursor = end;
+  }
+  return rows;
+};
+
+const FIELDS = [
+  ["actualRate", "Actual Rate"],
+  ["actualVolume", "Actual Volume"],
+  ["forecastRate", "Forecast Rate"],
+  ["forecastVolume", "Forecast Volume"],
+  ["cumulative", "Cumulative"]
+];
+
+/**
+ * Flatten the monthly table into spreadsheet records
+ * @param {Array} table - Output of buildMonthlyTable
+ * @returns {Array} [{ Month, "Oil Actual Rate", ... }] with empty cells as ""
+ */
+export const flattenMonthlyTable = (table) => {
+  return table.map(row => {
+    const record = { Month: row.month };
+    TABLE_STREAMS.filter(phase => row[phase]).forEach(phase => {
+      const name = phase.charAt(0).toUpperCase() + phase.slice(1);
+      FIELDS.forEach(([key, label]) => {
+        const value = row[phase][key];
+        record[`${name} ${label}`] = value === null ? "" : +value.toFixed(2);
+      });
+    });
+    return record;
+  });
+};
+
+/**
+ * CSV text of the monthly table
+ * @param {Array} table - Output of buildMonthlyTable
+ * @returns {string} CSV with a header row
+ */
+export const monthlyTableToCSV = (table) => {
+  const records = flattenMonthlyTable(table);
+  if (!records.length) return "";
+  return XLSX.utils.sheet_to_csv(XLSX.utils.json_to_sheet(records));
+};
+
+/**
+ * Workbook with Forecast, Parameters and History sheets
+ * @param {Array} table - Output of buildMonthlyTable
+ * @param {Array} parameters - One record per phase (model, parameters, EUR...)
+ * @param {Array} history - Raw data rows of the well
+ * @returns {Object} XLSX workbook
+ */
+export const buildForecastWorkbook = (table, parameters, history) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(flattenMonthlyTable(table)), "Forecast");
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(parameters), "Parameters");
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(history), "History");
+  return workbook;
+};
+
+const forecastTable = {
+  TABLE_STREAMS,
+  MAX_TABLE_MONTHS,
+  monthlyHistory,
+  buildMonthlyTable,
+  flattenMonthlyTable,
+  monthlyTableToCSV,
+  buildForecastWorkbook
+};
+
+export default forecastTable;
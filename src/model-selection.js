@@ -0,0 +1,101 @@
+/**
+ * Model Selection
+ *
+ * The "auto" model choice: every registered decline model is fitted to a phase's points
+ * and ranked by an information criterion (AICc or BIC, from the fit's squared residuals
+ * in the space it was fitted in, so extra parameters have to pay for themselves) or by a
+ * hindcast, fitting all but the last points and scoring the forecast on them.
+ */
+import { DECLINE_MODELS, DECLINE_MODEL_IDS, fitModel, hasValidParams } from './decline-models';
+import { backtestMetrics } from './backtest';
+
+export const AUTO_MODEL = "auto";
+
+export const SELECTION_CRITERIA = {
+  aicc: "AICc",
+  bic: "BIC",
+  hindcast: "Hindcast MAPE"
+};
+
+// Share of the fitted points held out for the hindcast score.
+export const HINDCAST_FRACTION = 0.2;
+const MIN_HINDCAST_POINTS = 3;
+
+/**
+ * AICc and BIC of a least-squares fit with Gaussian errors
+ * @param {number} sse - Sum of squared residuals
+ * @param {number} n - Number of points
+ * @param {number} k - Fitted parameters (the error variance is counted on top)
+ * @returns {Object} { aicc, bic }; aicc is Infinity when n is too small for k
+ */
+export const informationCriteria = (sse, n, k) => {
+  if (!(n > 0) || !(sse >= 0)) return { aicc: NaN, bic: NaN };
+  const p = k + 1;
+  // Floor the error so a perfect fit doesn't send the log to −Infinity.
+  const logLik = n * Math.log(Math.max(sse / n, 1e-300));
+  const aic = logLik + 2 * p;
+  return {
+    aicc: n - p - 1 > 0 ? aic + (2 * p * (p + 1)) / (n - p - 1) : Infinity,
+    bic: logLik + p * Math.log(n)
+  };
+};
+
+/**
+ * Fit every model to a phase and rank them
+ * @param {Array} points - {t, value} points of the phase, sorted by t
+ * @param {Object} options - fitModel options (bounds, logSpace, Dmin, t0, fixed...)
+ * @param {string} criterion - A key of SELECTION_CRITERIA
+ * @returns {Array} Best first: [{ model, label, params, n, k, rmse, aicc, bic, hindcastMape }];
+ *   rmse is in the space fitted (log rate with logSpace). Models that don't fit (or can't
+ *   be scored on the criterion) go last
+ */
+export const rankModels = (points, options = {}, criterion = "aicc") => {
+  const t0 = options.t0 > 0 ? options.t0 : 0;
+  const windowed = (points || []).filter(p => p.t >= t0 && isFinite(p.value));
+  const holdout = Math.max(MIN_HINDCAST_POINTS, Math.round(windowed.length * HINDCAST_FRACTION));
+  const cutoff = windowed.length - holdout >= MIN_HINDCAST_POINTS ? windowed[windowed.length - holdout - 1].t : null;
+
+  const rows = DECLINE_MODEL_IDS.map(id => {
+    const fixed = options.fixed || {};
+    const k = DECLINE_MODELS[id].params.filter(key => !isFinite(fixed[key])).length;
+    const fit = fitModel(id, points, options);
+    const valid = hasValidParams(fit.params) && isFinite(fit.sse);
+    const { aicc, bic } = valid ? informationCriteria(fit.sse, fit.n, k) : { aicc: NaN, bic: NaN };
+
+    let hindcastMape = NaN;
+    if (valid && cutoff !== null) {
+      const training = points.filter(p => p.t <= cutoff);
+      const { params } = fitModel(id, training, options);
+      if (hasValidParams(params)) hindcastMape = backtestMetrics(windowed.filter(p => p.t > cutoff), params).mape;
+    }
+    return {
+      model: id,
+      label: DECLINE_MODELS[id].label,
+      params: fit.params,
+      n: fit.n,
+      k,
+      rmse: valid ? Math.sqrt(fit.sse / fit.n) : NaN,
+      aicc,
+      bic,
+      hindcastMape
+    };
+  });
+
+  const score = row => (criterion === "hindcast" ? row.hindcastMape : row[criterion]);
+  return rows.sort((a, b) => {
+    const sa = score(a), sb = score(b);
+    if (!isFinite(sa)) return isFinite(sb) ? 1 : 0;
+    if (!isFinite(sb)) return -1;
+    return sa - sb;
+  });
+};
+
+const modelSelection = {
+  AUTO_MODEL,
+  SELECTION_CRITERIA,
+  HINDCAST_FRACTION,
+  informationCriteria,
+  rankModels
+};
+
+export default modelSelection;
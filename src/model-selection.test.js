@@ -0,0 +1,53 @@
+import { informationCriteria, rankModels } from './model-selection';
+import { DECLINE_MODEL_IDS, DECLINE_MODELS, modelRate } from './decline-models';
+
+// Hyperbolic decline with a fixed wobble, so no model fits it exactly.
+const points = Array.from({ length: 60 }, (_, i) => {
+  const t = i * 5;
+  return { t, value: 800 / Math.pow(1 + 0.8 * 0.02 * t, 1 / 0.8) * (1 + 0.03 * Math.sin(i)) };
+});
+
+const ascending = values => values.every((v, i) => i === 0 || v >= values[i - 1]);
+
+test('charges each fitted parameter and the error variance', () => {
+  const { aicc, bic } = informationCriteria(50, 20, 2);
+  const logLik = 20 * Math.log(50 / 20);
+  expect(aicc).toBeCloseTo(logLik + 2 * 3 + (2 * 3 * 4) / (20 - 3 - 1));
+  expect(bic).toBeCloseTo(logLik + 3 * Math.log(20));
+  expect(informationCriteria(50, 4, 2).aicc).toBe(Infinity);
+  expect(informationCriteria(NaN, 20, 2).aicc).toBeNaN();
+  expect(isFinite(informationCriteria(0, 20, 2).bic)).toBe(true);
+});
+
+test('ranks every model, best first, on the chosen criterion', () => {
+  ['aicc', 'bic', 'hindcast'].forEach(criterion => {
+    const ranking = rankModels(points, {}, criterion);
+    expect(ranking.map(r => r.model).sort()).toEqual([...DECLINE_MODEL_IDS].sort());
+    const key = criterion === 'hindcast' ? 'hindcastMape' : criterion;
+    const scored = ranking.filter(r => isFinite(r[key]));
+    expect(scored.length).toBeGreaterThan(0);
+    expect(ascending(scored.map(r => r[key]))).toBe(true);
+    expect(ranking.slice(0, scored.length)).toEqual(scored);
+  });
+});
+
+test('counts only the free parameters', () => {
+  const ranking = rankModels(points, { fixed: { b: 0.8 } });
+  const arps = ranking.find(r => r.model === 'arps');
+  expect(arps.k).toBe(DECLINE_MODELS.arps.params.length - 1);
+  expect(arps.params.b).toBe(0.8);
+});
+
+test('leaves the hindcast unscored when too few points follow the start', () => {
+  const ranking = rankModels(points, { t0: points[points.length - 5].t });
+  expect(ranking.every(r => !isFinite(r.hindcastMape))).toBe(true);
+});
+
+test('scores log-space fits on their log-rate residuals', () => {
+  const ranking = rankModels(points, { logSpace: true });
+  const arps = ranking.find(r => r.model === 'arps');
+  const sse = points.reduce((acc, p) => acc + Math.pow(Math.log(modelRate(arps.params, p.t) / p.value), 2), 0);
+  expect(arps.rmse).toBeCloseTo(Math.sqrt(sse / points.length), 10);
+  expect(arps.aicc).toBeCloseTo(informationCriteria(sse, points.length, 3).aicc, 6);
+  expect(arps.rmse).toBeLessThan(0.1);
+});
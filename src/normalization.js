@@ -0,0 +1,169 @@
+/**
+ * Rate Normalization
+ *
+ * Production files report either daily rates or volumes per reporting period (typically
+ * monthly accounting or regulatory exports). Volumes become rates per calendar day (the
+ * volume over the days until the next report) or per producing day (the volume over a
+ * days-on column). Producing-day time only runs while the well produces: each row keeps
+ * its calendar date and carries the producing days accumulated before it, and a timeline
+ * of the rows maps chart time back to calendar dates.
+ */
+
+export const RATE_UNITS = {
+  rate: "Rate (per day)",
+  volume: "Volume per period"
+};
+
+export const TIME_BASES = {
+  calendar: "Calendar days",
+  producing: "Producing days"
+};
+
+// Reports at least this far apart are taken as period volumes when the header doesn't say.
+export const VOLUME_INTERVAL_DAYS = 25;
+
+// Row field holding the producing days before the row, counted from the first row.
+export const PRODUCING_DAYS = "__producingDays";
+
+const DAY_MS = 86400000;
+const RATE_HINTS = ["pd", "perday", "rate", "bopd", "bwpd", "mcfd", "mmcfd", "bpd", "/d"];
+const VOLUME_HINTS = ["vol", "month", "mo", "bbls", "bbl", "mcf", "total"];
+
+/**
+ * Median spacing of report dates
+ * @param {Array} dates - Dates (or date strings) in any order
+ * @returns {number} Median gap in days, or NaN for fewer than two valid dates
+ */
+export const medianGapDays = (dates) => {
+  const times = dates.map(d => new Date(d).getTime()).filter(t => !isNaN(t)).sort((a, b) => a - b);
+  const gaps = times.slice(1).map((t, i) => (t - times[i]) / DAY_MS).filter(g => g > 0).sort((a, b) => a - b);
+  if (!gaps.length) return NaN;
+  const mid = Math.floor(gaps.length / 2);
+  return gaps.length % 2 ? gaps[mid] : (gaps[mid - 1] + gaps[mid]) / 2;
+};
+
+/**
+ * Guess whether each phase column holds rates or period volumes: from the header first
+ * ("Oil_BOPD" is a rate, "Oil_Vol_bbl" a volume), else from the reporting interval
+ * @param {Object} phaseColumns - { phase: column header } (see detectColumns)
+ * @param {Array} dates - Report dates of one well
+ * @returns {Object} { phase: "rate" | "volume" }; pressure is always "rate"
+ */
+export const detectRateUnits = (phaseColumns, dates) => {
+  const monthly = medianGapDays(dates) >= VOLUME_INTERVAL_DAYS;
+  let out = {};
+  Object.keys(phaseColumns).forEach(phase => {
+    const header = phaseColumns[phase].toLowerCase();
+    const words = header.split(/[^a-z/]+/).filter(Boolean);
+    const compact = header.replace(/[^a-z/]/g, "");
+    if (phase === "pressure" || RATE_HINTS.some(h => words.includes(h) || compact.endsWith(h))) out[phase] = "rate";
+    else if (VOLUME_HINTS.some(h => words.includes(h))) out[phase] = "volume";
+    else out[phase] = monthly ? "volume" : "rate";
+  });
+  return out;
+};
+
+/**
+ * Days each row covers: until the next report. The last row repeats the gap before it, or
+ * runs to the same day of the next month when the reports are monthly.
+ * @param {Array} times - Report times in ms, ascending
+ * @returns {Array} Days per row (1 for a single row)
+ */
+export const periodDays = (times) =>
+  times.map((t, i) => {
+    if (i + 1 < times.length) return (times[i + 1] - t) / DAY_MS;
+    if (i === 0) return 1;
+    const gap = (t - times[i - 1]) / DAY_MS;
+    if (gap < 28 || gap > 31) return gap;
+    const date = new Date(t);
+    return (Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()) - t) / DAY_MS;
+  });
+
+/**
+ * Rows with every phase as a rate per calendar or producing day, and in producing-day
+ * time the producing days elapsed before each row
+ * @param {Array} rows - One well's rows sorted by date
+ * @param {Object} options - { dateCol, phaseColumns ({ phase: header }), units ({ phase:
+ *   "rate" | "volume" }, missing = rate), daysOnColumn (header or null), basis ("calendar"
+ *   | "producing") }
+ * @returns {Array} New rows; dates come back as Date objects and stay the reported ones.
+ *   In producing-day time each row also has PRODUCING_DAYS. Rates are read as per calendar
+ *   day, so a producing-day rate is the period's volume over its days on. Rows with no days
+ *   on have no producing-day rate (blank).
+ */
+export const normalizeRows = (rows, { dateCol, phaseColumns, units = {}, daysOnColumn = null, basis = "calendar" }) => {
+  const producing = basis === "producing";
+  const converts = Object.keys(phaseColumns).filter(phase => phase !== "pressure" && (units[phase] === "volume" || producing));
+  if (!converts.length && !producing) return rows;
+
+  const times = rows.map(row => new Date(row[dateCol]).getTime());
+  const days = periodDays(times);
+  const daysOn = rows.map((row, i) => {
+    const value = daysOnColumn ? row[daysOnColumn] : "";
+    return value === "" || value === null || value === undefined || isNaN(+value) ? days[i] : Math.min(+value, days[i]);
+  });
+  let elapsed = 0;
+  return rows.map((row, i) => {
+    const next = { ...row, [dateCol]: new Date(times[i]), ...(producing ? { [PRODUCING_DAYS]: elapsed } : {}) };
+    elapsed += daysOn[i];
+    converts.forEach(phase => {
+      const column = phaseColumns[phase];
+      if (row[column] === "" || row[column] === null || row[column] === undefined || isNaN(+row[column])) return;
+      const volume = units[phase] === "volume" ? +row[column] : +row[column] * days[i];
+      const divisor = producing ? daysOn[i] : days[i];
+      next[column] = divisor > 0 ? volume / divisor : "";
+    });
+    return next;
+  });
+};
+
+/**
+ * Calendar date at a chart time
+ * @param {Array} timeline - { t, date } of the reports, ascending; t in days
+ * @param {number} t - Chart time in days
+ * @returns {Date} Within a report, time runs on calendar days up to the next report (the
+ *   rest of a part-producing period is skipped); before the first report and after the
+ *   last it runs on calendar days.
+ */
+export const dateAtTime = (timeline, t) => {
+  if (!timeline.length) return new Date(NaN);
+  let i = 0;
+  while (i + 1 < timeline.length && timeline[i + 1].t <= t) i++;
+  const { t: ti, date } = timeline[i];
+  const next = timeline[i + 1];
+  const days = next && t >= ti ? Math.min(t - ti, (next.date - date) / DAY_MS) : t - ti;
+  return new Date(date.getTime() + days * DAY_MS);
+};
+
+/**
+ * Chart time at a calendar date; the inverse of dateAtTime
+ * @param {Array} timeline - { t, date } of the reports, ascending
+ * @param {Date|string} date - Date
+ * @returns {number} Chart time in days; a date inside the idle rest of a period maps to the
+ *   next report's time
+ */
+export const timeAtDate = (timeline, date) => {
+  const ms = new Date(date).getTime();
+  if (!timeline.length || isNaN(ms)) return NaN;
+  let i = 0;
+  while (i + 1 < timeline.length && timeline[i + 1].date.getTime() <= ms) i++;
+  const { t, date: start } = timeline[i];
+  const next = timeline[i + 1];
+  const days = (ms - start.getTime()) / DAY_MS;
+  return next && days >= 0 ? t + Math.min(days, next.t - t) : t + days;
+};
+
+const normalization = {
+  RATE_UNITS,
+  TIME_BASES,
+  VOLUME_INTERVAL_DAYS,
+  PRODUCING_DAYS,
+  medianGapDays,
+  detectRateUnits,
+  periodDays,
+  normalizeRows,
+  dateAtTime,
+  timeAtDate
+};
+
+export default normalization;
@@ -0,0 +1,64 @@
+import {
+  PRODUCING_DAYS, medianGapDays, detectRateUnits, periodDays, normalizeRows, dateAtTime, timeAtDate
+} from './normalization';
+
+const DAY_MS = 86400000;
+const utc = (y, m, d) => new Date(Date.UTC(y, m - 1, d));
+const iso = date => date.toISOString().slice(0, 10);
+
+const monthlyRows = [
+  { Date: '2022-01-01', Oil: '3000', DaysOn: '30' },
+  { Date: '2022-02-01', Oil: '1400', DaysOn: '14' },
+  { Date: '2022-03-01', Oil: '3100', DaysOn: '31' }
+];
+const options = { dateCol: 'Date', phaseColumns: { oil: 'Oil' }, units: { oil: 'volume' }, daysOnColumn: 'DaysOn' };
+
+test('reads the reporting interval and the units from the headers', () => {
+  expect(medianGapDays(['2022-03-01', '2022-01-01', '2022-02-01'])).toBe(29.5);
+  expect(medianGapDays(['2022-01-01'])).toBeNaN();
+  const monthly = ['2022-01-01', '2022-02-01', '2022-03-01'];
+  expect(detectRateUnits({ oil: 'Oil_BOPD', gas: 'Gas_Vol', water: 'Water' }, monthly))
+    .toEqual({ oil: 'rate', gas: 'volume', water: 'volume' });
+});
+
+test('runs the last monthly period to the same day of the next month', () => {
+  expect(periodDays([utc(2022, 1, 1), utc(2022, 2, 1)].map(d => d.getTime()))).toEqual([31, 28]);
+  expect(periodDays([0, 2 * DAY_MS, 3 * DAY_MS])).toEqual([2, 1, 1]);
+});
+
+test('turns period volumes into rates per calendar day', () => {
+  const rows = normalizeRows(monthlyRows, options);
+  expect(rows.map(r => r.Oil)).toEqual([3000 / 31, 1400 / 28, 3100 / 31]);
+  expect(rows[0][PRODUCING_DAYS]).toBeUndefined();
+});
+
+test('keeps the reported dates in producing-day time and counts producing days apart', () => {
+  const rows = normalizeRows(monthlyRows, { ...options, basis: 'producing' });
+  expect(rows.map(r => iso(r.Date))).toEqual(['2022-01-01', '2022-02-01', '2022-03-01']);
+  expect(rows.map(r => r[PRODUCING_DAYS])).toEqual([0, 30, 44]);
+  expect(rows.map(r => r.Oil)).toEqual([100, 100, 100]);
+});
+
+test('maps chart time to calendar dates and back through idle days', () => {
+  const timeline = [
+    { t: 0, date: utc(2022, 1, 1) },
+    { t: 30, date: utc(2022, 2, 1) },
+    { t: 44, date: utc(2022, 3, 1) }
+  ];
+  expect(iso(dateAtTime(timeline, 10))).toBe('2022-01-11');
+  expect(iso(dateAtTime(timeline, 30))).toBe('2022-02-01');
+  expect(iso(dateAtTime(timeline, 40))).toBe('2022-02-11');
+  expect(iso(dateAtTime(timeline, 54))).toBe('2022-03-11');
+  expect(iso(dateAtTime(timeline, -5))).toBe('2021-12-27');
+  expect(timeAtDate(timeline, '2022-02-11')).toBe(40);
+  expect(timeAtDate(timeline, '2022-02-20')).toBe(44);
+  expect(timeAtDate(timeline, '2022-03-11')).toBe(54);
+  expect(timeAtDate(timeline, 'not a date')).toBeNaN();
+});
+
+test('runs on calendar days past the last report', () => {
+  const timeline = [{ t: 0, date: utc(2022, 1, 1) }, { t: 31, date: utc(2022, 2, 1) }];
+  expect(iso(dateAtTime(timeline, 31))).toBe('2022-02-01');
+  expect(iso(dateAtTime(timeline, 31 + 365))).toBe('2023-02-01');
+  expect(timeAtDate(timeline, '2023-02-01')).toBe(31 + 365);
+});
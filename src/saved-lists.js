@@ -0,0 +1,68 @@
+/**
+ * Saved Lists
+ *
+ * Named items kept as a JSON array under one localStorage key (column mapping profiles,
+ * type curves). Storage can be missing or throw (private browsing, quota, no window in
+ * tests), so every access is guarded: loading gives an empty list and saving keeps the
+ * in-memory list with a warning.
+ */
+
+// The storage passed in, or the browser's. Read only when called, inside the callers'
+// try blocks, since window.localStorage itself can throw.
+const storageOf = (storage) => storage || window.localStorage;
+
+/**
+ * Items saved under a key
+ * @param {string} key - localStorage key
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} Items; empty when storage is unavailable or holds no list
+ */
+export const loadList = (key, storage) => {
+  try {
+    const saved = JSON.parse(storageOf(storage).getItem(key) || "[]");
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    return [];
+  }
+};
+
+const writeList = (key, items, storage, action) => {
+  try {
+    storageOf(storage).setItem(key, JSON.stringify(items));
+  } catch (err) {
+    console.warn(`Could not ${action}:`, err);
+  }
+  return items;
+};
+
+/**
+ * Save (or replace, by name) an item
+ * @param {string} key - localStorage key
+ * @param {Array} items - Current items
+ * @param {Object} item - Item with a name
+ * @param {string} what - What the item is, for the warning when storage fails
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} New items
+ */
+export const saveListItem = (key, items, item, what, storage) =>
+  writeList(key, [...items.filter(i => i.name !== item.name), item], storage, `save ${what}`);
+
+/**
+ * Delete an item by name
+ * @param {string} key - localStorage key
+ * @param {Array} items - Current items
+ * @param {string} name - Item name
+ * @param {string} what - What the item is, for the warning when storage fails
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} New items
+ */
+export const deleteListItem = (key, items, name, what, storage) =>
+  writeList(key, items.filter(i => i.name !== name), storage, `delete ${what}`);
+
+const savedLists = {
+  loadList,
+  saveListItem,
+  deleteListItem
+};
+
+export default savedLists;
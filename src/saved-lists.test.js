@@ -0,0 +1,37 @@
+import { loadList, saveListItem, deleteListItem } from './saved-lists';
+
+const memoryStorage = () => {
+  let values = {};
+  return {
+    getItem: key => (key in values ? values[key] : null),
+    setItem: (key, value) => { values[key] = value; }
+  };
+};
+
+test('saves, replaces by name and deletes items', () => {
+  const storage = memoryStorage();
+  let items = saveListItem('k', loadList('k', storage), { name: 'a', v: 1 }, 'item', storage);
+  items = saveListItem('k', items, { name: 'b', v: 2 }, 'item', storage);
+  items = saveListItem('k', items, { name: 'a', v: 3 }, 'item', storage);
+  expect(loadList('k', storage)).toEqual([{ name: 'b', v: 2 }, { name: 'a', v: 3 }]);
+  deleteListItem('k', items, 'b', 'item', storage);
+  expect(loadList('k', storage)).toEqual([{ name: 'a', v: 3 }]);
+});
+
+test('gives an empty list for missing or malformed storage', () => {
+  const storage = memoryStorage();
+  storage.setItem('k', '{"not": "a list"}');
+  expect(loadList('k', storage)).toEqual([]);
+  storage.setItem('k', 'not json');
+  expect(loadList('k', storage)).toEqual([]);
+  const throwing = { getItem: () => { throw new Error('denied'); } };
+  expect(loadList('k', throwing)).toEqual([]);
+});
+
+test('keeps the new list when storage cannot be written', () => {
+  const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const full = { setItem: () => { throw new Error('quota'); } };
+  expect(saveListItem('k', [], { name: 'a' }, 'item', full)).toEqual([{ name: 'a' }]);
+  expect(warn).toHaveBeenCalledWith('Could not save item:', expect.any(Error));
+  warn.mockRestore();
+});
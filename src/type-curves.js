@@ -0,0 +1,219 @@
+/**
+ * Type Curves
+ *
+ * Per-month rate percentiles across wells on producing time. Each well's rates are put on
+ * producing days (calendar days when there is no days-on column), averaged per month on
+ * production (each report of a monthly file is one month; daily reports go by calendar
+ * month, or by producing days with a days-on column) and aligned to its first production
+ * or its peak month; rates can be normalized by a well attribute such as lateral length
+ * or proppant. P10 is the high case (exceeded by 10% of the wells), P90 the low case. A
+ * model is fitted to each curve, and curves can be saved by name in localStorage.
+ */
+import { DAYS_PER_MONTH } from './economics';
+import { fitModel } from './decline-models';
+import { PRODUCING_DAYS, VOLUME_INTERVAL_DAYS, medianGapDays, normalizeRows } from './normalization';
+import { loadList, saveListItem, deleteListItem } from './saved-lists';
+
+export const ALIGNMENTS = {
+  first: "First production",
+  peak: "Peak rate"
+};
+
+export const TYPE_CURVE_KEYS = ["p10", "p50", "p90", "mean"];
+
+export const TYPE_CURVE_LABELS = { p10: "P10", p50: "P50", p90: "P90", mean: "Mean" };
+
+export const TYPE_CURVE_STORAGE_KEY = "dca.typeCurves";
+
+// Months with fewer wells than this are left off the curves.
+export const DEFAULT_MIN_WELLS = 3;
+
+/**
+ * Value at a percentile by linear interpolation
+ * @param {Array} sorted - Values sorted ascending
+ * @param {number} p - Percentile, 0–100
+ * @returns {number} Value, or NaN for no values
+ */
+export const percentile = (sorted, p) => {
+  if (!sorted.length) return NaN;
+  const pos = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+};
+
+/**
+ * First numeric value of an attribute column in a well's rows
+ * @param {Array} rows - The well's rows
+ * @param {string} column - Attribute header
+ * @returns {number} Value, or NaN when the well has none
+ */
+export const wellAttribute = (rows, column) => {
+  const row = rows.find(r => r[column] !== "" && r[column] !== undefined && isFinite(+r[column]));
+  return row ? +row[column] : NaN;
+};
+
+/**
+ * Monthly producing-time rates of every well, aligned and optionally normalized
+ * @param {Array} rows - Rows of all wells, dates as ISO days
+ * @param {Object} options - { dateCol, wellColumn, phase, phaseColumns, units, daysOnColumn,
+ *   align (key of ALIGNMENTS), attributeColumn (header or ""), reference (attribute value
+ *   the rates are scaled to; defaults to the median over the wells) }
+ * @returns {Object} { series: [{ well, attribute, rates (average rate per aligned month) }],
+ *   skipped: [{ well, reason }], reference }
+ */
+export const buildWellSeries = (rows, options) => {
+  const { dateCol, wellColumn, phase, phaseColumns, units = {}, daysOnColumn = null, align = "first", attributeColumn = "" } = options;
+  const column = phaseColumns[phase];
+  if (!column || !wellColumn) return { series: [], skipped: [], reference: NaN };
+
+  let byWell = new Map();
+  rows.forEach(row => {
+    const well = row[wellColumn];
+    if (!well) return;
+    if (!byWell.has(well)) byWell.set(well, []);
+    byWell.get(well).push(row);
+  });
+
+  let series = [];
+  let skipped = [];
+  byWell.forEach((wellRows, well) => {
+    const sorted = [...wellRows].sort((a, b) => new Date(a[dateCol]) - new Date(b[dateCol]));
+    const attribute = attributeColumn ? wellAttribute(sorted, attributeColumn) : NaN;
+    if (attributeColumn && !(attribute > 0)) {
+      skipped.push({ well, reason: `no ${attributeColumn}` });
+      return;
+    }
+    const normalized = normalizeRows(sorted, {
+      dateCol, phaseColumns, units, daysOnColumn, basis: daysOnColumn ? "producing" : "calendar"
+    });
+    const points = normalized
+      .map(row => ({ date: new Date(row[dateCol]), days: row[PRODUCING_DAYS], value: row[column] === "" ? NaN : +row[column] }))
+      .filter(p => isFinite(p.date.getTime()) && isFinite(p.value));
+    const first = points.findIndex(p => p.value > 0);
+    if (first < 0) {
+      skipped.push({ well, reason: "no production" });
+      return;
+    }
+
+    const producing = points.slice(first);
+    const start = producing[0];
+    const monthly = medianGapDays(producing.map(p => p.date)) >= VOLUME_INTERVAL_DAYS;
+    const monthOf = (p, i) => {
+      if (monthly) return i;
+      if (daysOnColumn) return Math.floor((p.days - start.days) / DAYS_PER_MONTH);
+      return (p.date.getUTCFullYear() - start.date.getUTCFullYear()) * 12 + p.date.getUTCMonth() - start.date.getUTCMonth();
+    };
+    let sums = [];
+    let counts = [];
+    producing.forEach((p, i) => {
+      const month = monthOf(p, i);
+      sums[month] = (sums[month] || 0) + p.value;
+      counts[month] = (counts[month] || 0) + 1;
+    });
+    let rates = Array.from({ length: sums.length }, (_, m) => (counts[m] ? sums[m] / counts[m] : NaN));
+    if (align === "peak") {
+      const peak = rates.reduce((best, r, m) => (r > rates[best] ? m : best), 0);
+      rates = rates.slice(peak);
+    }
+    series.push({ well, attribute, rates });
+  });
+
+  const attributes = series.map(s => s.attribute).filter(isFinite).sort((a, b) => a - b);
+  const reference = attributeColumn
+    ? (options.reference > 0 ? options.reference : percentile(attributes, 50))
+    : NaN;
+  if (attributeColumn) {
+    series = series.map(s => ({ ...s, rates: s.rates.map(r => r * reference / s.attribute) }));
+  }
+  return { series, skipped, reference };
+};
+
+/**
+ * P10/P50/P90 and mean rate per month across wells
+ * @param {Array} series - Output of buildWellSeries (series)
+ * @param {number} minWells - Months with fewer wells reporting are dropped
+ * @returns {Array} [{ month, t (mid-month, days), n, p10, p50, p90, mean }]
+ */
+export const percentileCurves = (series, minWells = DEFAULT_MIN_WELLS) => {
+  const months = Math.max(0, ...series.map(s => s.rates.length));
+  const needed = Math.min(minWells, series.length);
+  let out = [];
+  for (let month = 0; month < months; month++) {
+    const values = series.map(s => s.rates[month]).filter(isFinite).sort((a, b) => a - b);
+    if (!values.length || values.length < needed) continue;
+    out.push({
+      month,
+      t: (month + 0.5) * DAYS_PER_MONTH,
+      n: values.length,
+      p10: percentile(values, 90),
+      p50: percentile(values, 50),
+      p90: percentile(values, 10),
+      mean: values.reduce((a, v) => a + v, 0) / values.length
+    });
+  }
+  return out;
+};
+
+/**
+ * A model fitted to each curve
+ * @param {Array} curves - Output of percentileCurves
+ * @param {string} modelId - Decline model id
+ * @param {Object} options - fitModel options (bounds, logSpace...)
+ * @returns {Object} { p10, p50, p90, mean } fitted params (with model id), time in days
+ *   since the aligned start
+ */
+export const fitTypeCurves = (curves, modelId, options = {}) => {
+  let out = {};
+  TYPE_CURVE_KEYS.forEach(key => {
+    const points = curves.filter(c => c[key] > 0).map(c => ({ t: c.t, value: c[key] }));
+    out[key] = fitModel(modelId, points, { ...options, space: "time" }).params;
+  });
+  return out;
+};
+
+/**
+ * Saved type curves
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} [{ name, phase, align, attributeColumn, reference, wells, curves, fits,
+ *   savedAt }]; empty when storage is unavailable
+ */
+export const loadTypeCurves = (storage) => loadList(TYPE_CURVE_STORAGE_KEY, storage);
+
+/**
+ * Save (or replace, by name) a type curve
+ * @param {Array} typeCurves - Current type curves
+ * @param {Object} typeCurve - Type curve, see loadTypeCurves
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} New type curves
+ */
+export const saveTypeCurve = (typeCurves, typeCurve, storage) =>
+  saveListItem(TYPE_CURVE_STORAGE_KEY, typeCurves, typeCurve, "type curve", storage);
+
+/**
+ * Delete a type curve by name
+ * @param {Array} typeCurves - Current type curves
+ * @param {string} name - Type curve name
+ * @param {Storage} storage - Defaults to window.localStorage
+ * @returns {Array} New type curves
+ */
+export const deleteTypeCurve = (typeCurves, name, storage) =>
+  deleteListItem(TYPE_CURVE_STORAGE_KEY, typeCurves, name, "type curve", storage);
+
+const typeCurves = {
+  ALIGNMENTS,
+  TYPE_CURVE_KEYS,
+  TYPE_CURVE_LABELS,
+  TYPE_CURVE_STORAGE_KEY,
+  DEFAULT_MIN_WELLS,
+  percentile,
+  wellAttribute,
+  buildWellSeries,
+  percentileCurves,
+  fitTypeCurves,
+  loadTypeCurves,
+  saveTypeCurve,
+  deleteTypeCurve
+};
+
+export default typeCurves;
@@ -0,0 +1,53 @@
+import { buildWellSeries, percentile, percentileCurves } from './type-curves';
+
+const options = {
+  dateCol: 'Date',
+  wellColumn: 'Well',
+  phase: 'oil',
+  phaseColumns: { oil: 'Oil' },
+  units: { oil: 'rate' }
+};
+
+const monthlyRows = (well, months, rate) =>
+  Array.from({ length: months }, (_, m) => ({
+    Well: well,
+    Date: new Date(Date.UTC(2022, m, 1)).toISOString().slice(0, 10),
+    Oil: String(rate(m))
+  }));
+
+test('gives each report of a monthly file its own month', () => {
+  const rows = monthlyRows('A', 12, m => 1000 * Math.pow(0.9, m));
+  const { series } = buildWellSeries(rows, options);
+  expect(series[0].rates).toHaveLength(12);
+  series[0].rates.forEach((rate, m) => expect(rate).toBeCloseTo(1000 * Math.pow(0.9, m)));
+});
+
+test('averages daily reports per calendar month from first production', () => {
+  const rows = Array.from({ length: 45 }, (_, i) => ({
+    Well: 'A',
+    Date: new Date(Date.UTC(2022, 0, 20) + i * 86400000).toISOString().slice(0, 10),
+    Oil: i < 12 ? '100' : '50'
+  }));
+  const { series } = buildWellSeries(rows, options);
+  expect(series[0].rates).toEqual([100, 50, 50]);
+});
+
+test('aligns on the peak month and skips wells without production', () => {
+  const rows = [
+    ...monthlyRows('A', 6, m => [200, 800, 600, 500, 400, 300][m]),
+    ...monthlyRows('B', 3, () => 0)
+  ];
+  const { series, skipped } = buildWellSeries(rows, { ...options, align: 'peak' });
+  expect(series.map(s => s.rates)).toEqual([[800, 600, 500, 400, 300]]);
+  expect(skipped).toEqual([{ well: 'B', reason: 'no production' }]);
+});
+
+test('takes P10 as the high case across wells', () => {
+  expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+  const series = [1, 2, 3, 4, 5].map(v => ({ rates: [v * 100] }));
+  const [month] = percentileCurves(series, 3);
+  expect(month.p10).toBeCloseTo(460);
+  expect(month.p50).toBe(300);
+  expect(month.p90).toBeCloseTo(140);
+  expect(month.mean).toBe(300);
+});
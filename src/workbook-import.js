@@ -0,0 +1,105 @@
+/**
+ * Workbook Import
+ *
+ * Excel workbooks often hold a summary sheet first and the daily data on another tab, or
+ * one tab per well. Sheets are summarised for a picker, and one or more of them turned
+ * into the CSV text the rest of the app reads: a single sheet as is, several either as
+ * separate wells (the sheet name becomes the well id) or stacked with a sheet-name column.
+ */
+import * as XLSX from 'xlsx';
+
+export const SHEET_MODES = {
+  wells: "Each sheet is a well",
+  concat: "Stack with a sheet-name column"
+};
+
+// Header of the column holding the sheet name, per mode.
+export const SHEET_COLUMNS = { wells: "Well", concat: "Sheet" };
+
+const PREVIEW_ROWS = 3;
+
+/**
+ * Row count, headers and first rows of each sheet
+ * @param {Object} workbook - XLSX workbook
+ * @returns {Array} [{ name, rows (data rows below the header), columns, preview (arrays of
+ *   cell text) }]
+ */
+export const sheetSummaries = (workbook) =>
+  workbook.SheetNames.map(name => {
+    const sheet = workbook.Sheets[name];
+    if (!sheet || !sheet["!ref"]) return { name, rows: 0, columns: [], preview: [] };
+    const range = XLSX.utils.decode_range(sheet["!ref"]);
+    const head = XLSX.utils.sheet_to_json(sheet, {
+      header: 1,
+      raw: false,
+      defval: "",
+      range: { s: range.s, e: { r: Math.min(range.e.r, range.s.r + PREVIEW_ROWS), c: range.e.c } }
+    });
+    return {
+      name,
+      rows: range.e.r - range.s.r,
+      columns: (head[0] || []).map(String),
+      preview: head.slice(1)
+    };
+  });
+
+/**
+ * The sheet with the most data rows, the likeliest one to hold production
+ * @param {Array} summaries - Output of sheetSummaries
+ * @returns {string|null} Sheet name
+ */
+export const largestSheet = (summaries) =>
+  summaries.reduce((best, s) => (!best || s.rows > best.rows ? s : best), null)?.name ?? null;
+
+/**
+ * A header not already taken: base, else base_2, base_3...
+ * @param {string} base - Wanted header
+ * @param {Array} columns - Headers in use
+ * @returns {string} Free header
+ */
+export const freeHeader = (base, columns) => {
+  if (!columns.includes(base)) return base;
+  let n = 2;
+  while (columns.includes(`${base}_${n}`)) n++;
+  return `${base}_${n}`;
+};
+
+/**
+ * CSV text of the chosen sheets
+ * @param {Object} workbook - XLSX workbook
+ * @param {Array} names - Sheet names, in import order
+ * @param {string} mode - A key of SHEET_MODES; ignored for a single sheet
+ * @returns {Object} { csv, sheetColumn (header holding the sheet name, or null) }. Headers
+ *   are the union of the sheets' in order of first appearance, cells a sheet lacks blank.
+ */
+export const sheetsToCsv = (workbook, names, mode = "wells") => {
+  if (names.length === 1) {
+    return { csv: XLSX.utils.sheet_to_csv(workbook.Sheets[names[0]]), sheetColumn: null };
+  }
+  const tables = names.map(name => ({
+    name,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { raw: false, defval: "" })
+  }));
+  let columns = [];
+  tables.forEach(({ rows }) => {
+    rows.forEach(row => Object.keys(row).forEach(col => {
+      if (!columns.includes(col)) columns.push(col);
+    }));
+  });
+  const sheetColumn = freeHeader(SHEET_COLUMNS[mode] || SHEET_COLUMNS.concat, columns);
+  const records = tables.flatMap(({ name, rows }) => rows.map(row => ({ [sheetColumn]: name, ...row })));
+  if (!records.length) return { csv: "", sheetColumn: null };
+  const sheet = XLSX.utils.json_to_sheet(records, { header: [sheetColumn, ...columns] });
+  return { csv: XLSX.utils.sheet_to_csv(sheet), sheetColumn };
+};
+
+const workbookImport = {
+  SHEET_MODES,
+  SHEET_COLUMNS,
+  sheetSummaries,
+  largestSheet,
+  freeHeader,
+  sheetsToCsv
+};
+
+export default workbookImport;
@@ -0,0 +1,50 @@
+import * as XLSX from 'xlsx';
+import { sheetSummaries, largestSheet, freeHeader, sheetsToCsv } from './workbook-import';
+
+const workbookOf = (sheets) => {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name));
+  return workbook;
+};
+
+const workbook = workbookOf({
+  Summary: [['Field', 'Wells'], ['North', '2']],
+  'A-1': [['Date', 'Oil'], ['2022-01-01', '100'], ['2022-01-02', '90'], ['2022-01-03', '80']],
+  'A-2': [['Date', 'Oil', 'Gas'], ['2022-01-01', '50', '400']]
+});
+
+test('summarises each sheet and picks the one with the most rows', () => {
+  const summaries = sheetSummaries(workbook);
+  expect(summaries.map(s => [s.name, s.rows])).toEqual([['Summary', 1], ['A-1', 3], ['A-2', 1]]);
+  expect(summaries[1].columns).toEqual(['Date', 'Oil']);
+  expect(summaries[1].preview).toEqual([['2022-01-01', '100'], ['2022-01-02', '90'], ['2022-01-03', '80']]);
+  expect(largestSheet(summaries)).toBe('A-1');
+  expect(largestSheet([])).toBeNull();
+});
+
+test('imports a single sheet as it is', () => {
+  expect(sheetsToCsv(workbook, ['A-2'])).toEqual({ csv: 'Date,Oil,Gas\n2022-01-01,50,400', sheetColumn: null });
+});
+
+test('stacks sheets as wells over the union of their headers', () => {
+  const { csv, sheetColumn } = sheetsToCsv(workbook, ['A-1', 'A-2'], 'wells');
+  expect(sheetColumn).toBe('Well');
+  expect(csv.split('\n')).toEqual([
+    'Well,Date,Oil,Gas',
+    'A-1,2022-01-01,100,',
+    'A-1,2022-01-02,90,',
+    'A-1,2022-01-03,80,',
+    'A-2,2022-01-01,50,400'
+  ]);
+});
+
+test('names the sheet column so it does not clash with a data column', () => {
+  expect(freeHeader('Sheet', ['Date', 'Sheet', 'Sheet_2'])).toBe('Sheet_3');
+  const clashing = workbookOf({
+    One: [['Date', 'Sheet'], ['2022-01-01', 'x']],
+    Two: [['Date', 'Sheet'], ['2022-01-02', 'y']]
+  });
+  const { csv, sheetColumn } = sheetsToCsv(clashing, ['One', 'Two'], 'concat');
+  expect(sheetColumn).toBe('Sheet_2');
+  expect(csv.split('\n')).toEqual(['Sheet_2,Date,Sheet', 'One,2022-01-01,x', 'Two,2022-01-02,y']);
+});